@@ -1,9 +1,18 @@
-const { app, BrowserWindow, ipcMain, Menu, shell, globalShortcut, Tray } = require('electron');
+const { app, BrowserWindow, ipcMain, Menu, shell, globalShortcut, Tray, dialog, Notification } = require('electron');
+const fs = require('fs');
 const path = require('path');
 const RSSManager = require('./src/rss-manager');
 const StoreManager = require('./src/store-manager');
+const FeedScheduler = require('./src/feed-scheduler');
+const SettingsPreview = require('./src/settings-preview');
 const AutostartManager = require('./src/autostart-manager');
 const Logger = require('./src/logger');
+const { validateRule, validateHighlightRule } = require('./src/article-filter');
+const { parseOPML, buildOPML, partitionImportedFeeds } = require('./src/opml');
+const { createProfile, validateSchedule, findScheduledProfile } = require('./src/profiles');
+const { buildBackup, parseBackup, planImport } = require('./src/config-backup');
+const { THEME_FIELDS, userThemeId, validateTheme, buildThemeFile, parseThemeFile } = require('./src/themes');
+const { resolveLaneSource } = require('./src/lane-source');
 
 // コマンドライン引数または環境変数からデバッグモードを判定
 const isDebugMode = process.argv.includes('--debug') || 
@@ -30,8 +39,25 @@ let settingsWindow;
 let rssManager;
 let storeManager;
 let autostartManager;
-let updateInterval;
+let feedScheduler;
+let channelCycleTimer = null;
+let profileScheduleTimer = null;
+let lastScheduledProfile = null;
+// 差分を確認中のバックアップ（適用またはキャンセルまで保持する）
+let pendingBackup = null;
+// 設定画面で編集中の表示設定のティッカーへのプレビュー
+const settingsPreview = new SettingsPreview({
+  send: (channel, ...args) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send(channel, ...args);
+    }
+  }
+});
 let tray = null;
+let hasLiveArticles = false;
+
+// この時間以上失敗し続けているフィードはティッカーにエラーとして表示する
+const FEED_ERROR_NOTICE_AFTER = 30 * 60 * 1000;
 
 /**
  * 自動起動経由での起動かどうかを検出
@@ -107,19 +133,32 @@ function createWindow() {
 
   mainWindow.loadFile('index.html');
 
+  // 最初のライブ取得が完了するまでは前回キャッシュした記事を表示する
+  mainWindow.webContents.on('did-finish-load', () => {
+    if (!hasLiveArticles) {
+      sendCachedArticles();
+    }
+  });
+
   mainWindow.on('closed', () => {
-    if (updateInterval) {
-      clearInterval(updateInterval);
+    if (feedScheduler) {
+      feedScheduler.stop();
     }
+    stopChannelCycle();
+    clearInterval(profileScheduleTimer);
     mainWindow = null;
   });
 
   const savedFeeds = storeManager.getFeeds();
   if (savedFeeds.length > 0) {
-    savedFeeds.forEach(feed => rssManager.addFeed(feed.url, feed.name));
+    savedFeeds.forEach(feed => rssManager.addFeed(feed.url, feed.name, feed));
   }
+  applyRSSOptions(settings);
+  rssManager.setFilterRules(storeManager.getFilterRules());
+  startProfileSchedule();
 
   startRSSUpdates();
+  startChannelCycle();
   createContextMenu();
   registerShortcuts();
   createTray();
@@ -144,42 +183,719 @@ app.on('activate', () => {
   }
 });
 
-async function fetchAndUpdateNews() {
-  const result = await rssManager.fetchAllFeeds();
+/**
+ * 設定値からRSSManagerの記事選択オプションを反映
+ * Apply article selection options from settings to RSSManager
+ * @param {Object} settings - Current settings
+ */
+function applyRSSOptions(settings) {
+  rssManager.setOptions({
+    maxArticles: settings.maxArticles,
+    articleOrder: settings.articleOrder,
+    concurrency: settings.fetchConcurrency,
+    feedTimeout: settings.feedTimeout,
+    deduplicate: settings.deduplicateArticles,
+    suspendAfterFailures: settings.suspendFeedAfterFailures,
+    activeGroup: settings.activeGroup
+  });
+}
+
+/**
+ * キャッシュ済みの記事をレンダラーに送信
+ * Send the persisted article set to the renderer, marked as stale
+ * @returns {boolean} True if cached articles were sent
+ */
+function sendCachedArticles() {
+  const cached = storeManager.getCachedArticles();
+  if (cached.articles.length === 0 || !mainWindow || mainWindow.isDestroyed()) {
+    return false;
+  }
+  logger.debug(`キャッシュ済みの記事を表示します: ${cached.articles.length}件 (${cached.savedAt})`);
+  mainWindow.webContents.send('news-update', cached.articles);
+  return true;
+}
+
+/**
+ * フィードを取得してティッカーを更新
+ * Fetch feeds and push the merged article list to the ticker
+ * @param {Object} options - { force } for manual refreshes, { feedUrls } to fetch only some feeds
+ */
+async function fetchAndUpdateNews(options = {}) {
+  const result = await rssManager.fetchAllFeeds(options);
+  if (feedScheduler) {
+    // 取得したフィードの次回予定をここから数え直す
+    feedScheduler.markRefreshed(options.feedUrls || rssManager.getActiveFeeds().map(feed => feed.url));
+  }
+  result.suspended.forEach(notifyFeedSuspended);
+  sendFeedHealth();
+
+  if (result.articles.length > 0) {
+    hasLiveArticles = true;
+    storeManager.saveCachedArticles(result.articles);
+  } else if (result.errors.length > 0 && sendCachedArticles()) {
+    // オフラインなどで1件も取得できない場合はキャッシュした記事を表示する
+    return;
+  }
+
+  const articles = storeManager.getSetting('showFeedErrors')
+    ? [...result.articles, ...rssManager.getFeedErrorArticles(FEED_ERROR_NOTICE_AFTER)]
+    : result.articles;
+
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('news-update', articles);
+  }
+  // フィードの追加・編集でグループが増減するため、チャンネルの一覧も更新する
+  updateTrayMenu();
+}
+
+// チャンネルの一覧（'' は全フィード）
+function getChannels() {
+  return ['', ...rssManager.getGroups()];
+}
+
+// 表示中のチャンネル（グループが無くなっていれば全フィード）
+function getActiveChannel() {
+  const group = rssManager.getOptions().activeGroup;
+  return getChannels().includes(group) ? group : '';
+}
+
+/**
+ * ティッカーに表示するチャンネル（フィードのグループ）を切り替え
+ * Switch the ticker to a feed group; the articles are rebuilt without refetching
+ * @param {string} group - Group name ('' for every feed)
+ */
+function switchChannel(group) {
+  storeManager.updateSettings({ activeGroup: group });
+  rssManager.setOptions({ activeGroup: group });
+
+  // レンダラーが次の記事の更新をチャンネル切り替えによるものと判断できるよう、先に通知する
   if (mainWindow && !mainWindow.isDestroyed()) {
-    mainWindow.webContents.send('news-update', result.articles);
+    mainWindow.webContents.send('channel-changed', group || 'すべて');
+  }
+  fetchAndUpdateNews({ feedUrls: [] });
+}
+
+/**
+ * 次のチャンネルに切り替え
+ * Switch to the channel after the active one
+ * @param {boolean} includeAll - Include the all-feeds channel in the rotation
+ */
+function switchToNextChannel(includeAll = true) {
+  const channels = includeAll ? getChannels() : rssManager.getGroups();
+  if (channels.length === 0) {
+    return;
   }
+  const index = channels.indexOf(getActiveChannel());
+  switchChannel(channels[(index + 1) % channels.length]);
+}
+
+// 設定された間隔でグループを順に切り替える（0で無効）
+function startChannelCycle() {
+  stopChannelCycle();
+  const interval = storeManager.getSetting('channelCycleInterval');
+  if (interval > 0) {
+    channelCycleTimer = setInterval(() => switchToNextChannel(false), interval);
+  }
+}
+
+function stopChannelCycle() {
+  clearInterval(channelCycleTimer);
+  channelCycleTimer = null;
 }
 
+// トレイ・右クリックメニュー共通のチャンネル選択メニュー
+function buildChannelMenu() {
+  const activeChannel = getActiveChannel();
+  return [
+    ...getChannels().map(group => ({
+      label: group || 'すべて',
+      type: 'radio',
+      checked: group === activeChannel,
+      click: () => switchChannel(group)
+    })),
+    { type: 'separator' },
+    {
+      label: '次のチャンネル',
+      accelerator: 'CommandOrControl+Shift+G',
+      click: () => switchToNextChannel()
+    }
+  ];
+}
+
+// 自動停止したフィードを保存して通知する
+function notifyFeedSuspended(suspended) {
+  const feed = rssManager.getFeed(suspended.url);
+  if (feed) {
+    storeManager.updateFeed(feed.url, { ...feed });
+  }
+  logger.warn(`フィードを自動停止しました: ${suspended.feed} (${suspended.failures}回連続で失敗)`);
+
+  if (Notification.isSupported()) {
+    new Notification({
+      title: 'フィードの更新を停止しました',
+      body: `${suspended.feed} の取得に${suspended.failures}回連続で失敗したため、自動更新を停止しました。設定画面から再開できます。`
+    }).show();
+  }
+}
+
+// 設定画面が開いていればフィードの取得状況を送る
+function sendFeedHealth() {
+  if (settingsWindow && !settingsWindow.isDestroyed()) {
+    settingsWindow.webContents.send('feed-health-updated', rssManager.getFeedHealth());
+  }
+}
+
+/**
+ * 全フィードを取得し、以降はフィードごとの更新間隔で取得する
+ * Fetch every feed once, then refresh each feed on its own interval
+ * (falling back to the global updateInterval setting)
+ */
 function startRSSUpdates() {
+  if (!feedScheduler) {
+    feedScheduler = new FeedScheduler({
+      getFeeds: () => rssManager.getActiveFeeds(),
+      getDefaultInterval: () => storeManager.getSetting('updateInterval') || 300000,
+      // 期限を迎えたフィードだけを取得し、他のフィードの記事と統合して送る
+      onDue: feedUrls => fetchAndUpdateNews({ feedUrls })
+    });
+  }
+
   fetchAndUpdateNews();
-  
-  const interval = storeManager.getSetting('updateInterval') || 300000;
-  updateInterval = setInterval(fetchAndUpdateNews, interval);
+  feedScheduler.start();
 }
 
 ipcMain.handle('get-feeds', () => {
   return rssManager.getFeeds();
 });
 
-ipcMain.handle('add-feed', (event, url, name) => {
-  const added = rssManager.addFeed(url, name);
-  if (added) {
-    storeManager.addFeed({ url, name });
-    fetchAndUpdateNews();
+ipcMain.handle('get-feed-health', () => {
+  return rssManager.getFeedHealth();
+});
+
+ipcMain.handle('validate-feed', (event, url) => {
+  return rssManager.validateFeed(url);
+});
+
+// フィードを取得・解析して検証してから登録（名前が空ならフィードのタイトルを使う）
+ipcMain.handle('add-feed', async (event, url, name, options = {}) => {
+  const validation = await rssManager.validateFeed(url);
+  if (!validation.success) {
+    return validation;
+  }
+
+  const feedName = (name || '').trim() || validation.title || validation.url;
+  rssManager.addFeed(validation.url, feedName, options);
+  const feed = { ...rssManager.getFeed(validation.url) };
+  storeManager.addFeed(feed);
+  // 追加したフィードだけを取得して他のフィードの記事と統合する
+  fetchAndUpdateNews({ feedUrls: [feed.url] });
+  return { success: true, feed, discovered: validation.discovered };
+});
+
+// フィードを編集（URLを変更する場合は新しいURLを検証してから反映）
+ipcMain.handle('update-feed', async (event, url, changes = {}) => {
+  if (!rssManager.getFeed(url)) {
+    return { success: false, error: { type: 'unknown-feed', message: 'フィードが見つかりません' } };
   }
-  return added;
+
+  const updates = { ...changes };
+  if (updates.url && updates.url !== url) {
+    const validation = await rssManager.validateFeed(updates.url);
+    if (!validation.success) {
+      return validation;
+    }
+    updates.url = validation.url;
+  }
+
+  const feed = { ...rssManager.updateFeed(url, updates) };
+  storeManager.updateFeed(url, feed);
+  // 編集したフィードだけを取得し直して他のフィードの記事と統合する
+  fetchAndUpdateNews({ feedUrls: [feed.url] });
+  return { success: true, feed };
+});
+
+ipcMain.handle('reorder-feeds', (event, urls) => {
+  const reordered = rssManager.reorderFeeds(urls);
+  if (reordered) {
+    storeManager.reorderFeeds(urls);
+    // 並び順は記事の優先度に影響するため、取得し直さずに記事を組み立て直す
+    fetchAndUpdateNews({ feedUrls: [] });
+  }
+  return reordered;
 });
 
 ipcMain.handle('remove-feed', (event, url) => {
   const removed = rssManager.removeFeed(url);
   if (removed) {
     storeManager.removeFeed(url);
-    fetchAndUpdateNews();
+    // 削除したフィードの記事を除いて組み立て直す（最後のフィードを削除したらデフォルトのフィードを取得する）
+    fetchAndUpdateNews(rssManager.getFeeds().length > 0 ? { feedUrls: [] } : {});
   }
   return removed;
 });
 
+ipcMain.handle('resume-feed', (event, url) => {
+  const resumed = rssManager.resumeFeed(url);
+  if (resumed) {
+    storeManager.updateFeed(url, { ...rssManager.getFeed(url) });
+    fetchAndUpdateNews({ feedUrls: [url] });
+  }
+  return resumed;
+});
+
+ipcMain.handle('import-opml', async () => {
+  const result = await dialog.showOpenDialog(settingsWindow, {
+    title: 'OPMLファイルをインポート',
+    filters: [{ name: 'OPML', extensions: ['opml', 'xml'] }],
+    properties: ['openFile']
+  });
+  if (result.canceled || result.filePaths.length === 0) {
+    return { canceled: true };
+  }
+
+  try {
+    const xml = await fs.promises.readFile(result.filePaths[0], 'utf8');
+    const { feeds, invalid } = await parseOPML(xml);
+    const { newFeeds, duplicates } = partitionImportedFeeds(feeds, storeManager.getFeeds());
+
+    // 追加する前に取得して検証する（応答しないURLやフィードでないURLは取り込まない）
+    const validations = await rssManager.validateFeeds(newFeeds.map(feed => feed.url));
+    const added = [];
+    const failed = [];
+    newFeeds.forEach((feed, index) => {
+      const validation = validations[index];
+      if (!validation.success) {
+        failed.push({ ...feed, reason: validation.error.message });
+      } else if (rssManager.getFeed(validation.url)) {
+        // 自動検出したフィードが登録済み・取り込み済みの場合
+        duplicates.push({ ...feed, url: validation.url });
+      } else {
+        const imported = { ...feed, url: validation.url, name: feed.name || validation.title || validation.url };
+        rssManager.addFeed(imported.url, imported.name, imported);
+        storeManager.addFeed({ ...rssManager.getFeed(imported.url) });
+        added.push(imported);
+      }
+    });
+    logger.info(`OPMLインポート: 追加 ${added.length}件, 重複 ${duplicates.length}件, 不正 ${invalid.length}件, 検証失敗 ${failed.length}件`);
+
+    if (added.length > 0) {
+      fetchAndUpdateNews({ feedUrls: added.map(feed => feed.url) });
+    }
+    return { success: true, added, duplicates, invalid, failed };
+  } catch (error) {
+    logger.error('OPMLインポートエラー:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('export-opml', async () => {
+  const result = await dialog.showSaveDialog(settingsWindow, {
+    title: 'OPMLファイルをエクスポート',
+    defaultPath: 'rss-news-ticker-feeds.opml',
+    filters: [{ name: 'OPML', extensions: ['opml'] }]
+  });
+  if (result.canceled || !result.filePath) {
+    return { canceled: true };
+  }
+
+  try {
+    const feeds = storeManager.getFeeds();
+    await fs.promises.writeFile(result.filePath, buildOPML(feeds), 'utf8');
+    return { success: true, filePath: result.filePath, count: feeds.length };
+  } catch (error) {
+    logger.error('OPMLエクスポートエラー:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * プロファイルのフィード・表示設定・ウィンドウ位置を反映
+ * Switch to a saved profile: replace the feeds, apply its settings and window bounds
+ * @param {string} name - Profile name
+ * @returns {boolean} False if the profile does not exist
+ */
+function applyProfile(name) {
+  const profile = storeManager.getProfile(name);
+  if (!profile) {
+    return false;
+  }
+
+  const feedUrls = rssManager.setFeeds(profile.feeds);
+  storeManager.setFeeds(rssManager.getFeeds().map(feed => ({ ...feed })));
+  const settings = { ...profile.settings };
+  if (profile.bounds) {
+    settings.windowWidth = profile.bounds.width;
+    settings.windowHeight = profile.bounds.height;
+  }
+  const updated = storeManager.updateSettings(settings);
+  storeManager.setActiveProfile(name);
+  applyRSSOptions(updated);
+  logger.info(`プロファイルを切り替えました: ${name}`);
+
+  if (profile.bounds && mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.setBounds(profile.bounds);
+  }
+  settingsPreview.reload();
+  if (settingsWindow && !settingsWindow.isDestroyed()) {
+    settingsWindow.webContents.send('profile-applied', name);
+  }
+  // 起動時の切り替えでは、この後の startRSSUpdates で取得する
+  // 新しく加わったフィードだけを取得する（フィードが無くなった場合はデフォルトのフィードを取得）
+  if (feedScheduler) {
+    feedScheduler.refresh();
+    fetchAndUpdateNews(rssManager.getFeeds().length > 0 ? { feedUrls } : {});
+  }
+  updateTrayMenu();
+  return true;
+}
+
+// 時間帯が設定されたプロファイルに切り替える（時間帯に入ったときだけ切り替え、手動の選択は次の時間帯まで維持する）
+function checkProfileSchedule() {
+  const profile = findScheduledProfile(storeManager.getProfiles(), new Date());
+  const name = profile ? profile.name : null;
+  if (name && name !== lastScheduledProfile && name !== storeManager.getActiveProfile()) {
+    applyProfile(name);
+  }
+  lastScheduledProfile = name;
+}
+
+function startProfileSchedule() {
+  checkProfileSchedule();
+  profileScheduleTimer = setInterval(checkProfileSchedule, 60 * 1000);
+}
+
+// トレイ用のプロファイル選択メニュー
+function buildProfileMenu() {
+  const profiles = storeManager.getProfiles();
+  if (profiles.length === 0) {
+    return [{ label: 'プロファイルがありません', enabled: false }];
+  }
+  const active = storeManager.getActiveProfile();
+  return profiles.map(profile => ({
+    label: profile.name,
+    type: 'radio',
+    checked: profile.name === active,
+    click: () => applyProfile(profile.name)
+  }));
+}
+
+function profileError(message) {
+  return { success: false, error: { message } };
+}
+
+ipcMain.handle('get-profiles', () => {
+  return { profiles: storeManager.getProfiles(), active: storeManager.getActiveProfile() };
+});
+
+// 現在のフィード・表示設定・ウィンドウ位置をプロファイルとして保存
+ipcMain.handle('save-profile', (event, name, schedule = null) => {
+  const profileName = (name || '').trim();
+  if (!profileName) {
+    return profileError('プロファイル名を入力してください');
+  }
+  if (schedule) {
+    const scheduleError = validateSchedule(schedule);
+    if (scheduleError) {
+      return profileError(scheduleError);
+    }
+  }
+
+  const profile = createProfile(profileName, {
+    feeds: storeManager.getFeeds(),
+    settings: storeManager.getSettings(),
+    bounds: mainWindow && !mainWindow.isDestroyed() ? mainWindow.getBounds() : null,
+    schedule
+  });
+  storeManager.saveProfile(profile);
+  storeManager.setActiveProfile(profile.name);
+  updateTrayMenu();
+  return { success: true, profile };
+});
+
+ipcMain.handle('apply-profile', (event, name) => {
+  return applyProfile(name);
+});
+
+ipcMain.handle('rename-profile', (event, name, newName) => {
+  const profileName = (newName || '').trim();
+  if (!profileName) {
+    return profileError('プロファイル名を入力してください');
+  }
+  if (!storeManager.renameProfile(name, profileName)) {
+    return profileError('同じ名前のプロファイルが既にあります');
+  }
+  updateTrayMenu();
+  return { success: true };
+});
+
+// 「名前 (コピー)」「名前 (コピー 2)」… の空いている名前で複製
+ipcMain.handle('duplicate-profile', (event, name) => {
+  let copyName = `${name} (コピー)`;
+  for (let n = 2; storeManager.getProfile(copyName); n++) {
+    copyName = `${name} (コピー ${n})`;
+  }
+  if (!storeManager.duplicateProfile(name, copyName)) {
+    return profileError('プロファイルが見つかりません');
+  }
+  updateTrayMenu();
+  return { success: true, name: copyName };
+});
+
+ipcMain.handle('delete-profile', (event, name) => {
+  const deleted = storeManager.deleteProfile(name);
+  if (deleted) {
+    updateTrayMenu();
+  }
+  return deleted;
+});
+
+function notifyCustomThemesUpdated() {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('custom-themes-updated');
+  }
+}
+
+ipcMain.handle('get-custom-themes', () => {
+  return storeManager.getCustomThemes();
+});
+
+ipcMain.handle('save-custom-theme', (event, theme) => {
+  const { theme: validated, error } = validateTheme(theme);
+  if (error) {
+    return { success: false, error: { message: error } };
+  }
+  storeManager.saveCustomTheme(validated);
+  notifyCustomThemesUpdated();
+  return { success: true, theme: validated };
+});
+
+// 使用中のテーマを削除したときは、その配色をカスタム設定として引き継ぐ
+ipcMain.handle('delete-custom-theme', (event, name) => {
+  const theme = storeManager.getCustomThemes().find(t => t.name === name);
+  if (!theme || !storeManager.deleteCustomTheme(name)) {
+    return false;
+  }
+  if (storeManager.getSettings().theme === userThemeId(name)) {
+    const inherited = { theme: 'custom' };
+    THEME_FIELDS.filter(field => theme[field] !== undefined).forEach(field => {
+      inherited[field] = theme[field];
+    });
+    storeManager.updateSettings(inherited);
+    settingsPreview.reload();
+  }
+  notifyCustomThemesUpdated();
+  return true;
+});
+
+ipcMain.handle('export-theme', async (event, name) => {
+  const theme = storeManager.getCustomThemes().find(t => t.name === name);
+  if (!theme) {
+    return { success: false, error: 'テーマが見つかりません' };
+  }
+  const result = await dialog.showSaveDialog(settingsWindow, {
+    title: 'テーマをエクスポート',
+    defaultPath: `${name}.theme.json`,
+    filters: [{ name: 'JSON', extensions: ['json'] }]
+  });
+  if (result.canceled || !result.filePath) {
+    return { canceled: true };
+  }
+
+  try {
+    await fs.promises.writeFile(result.filePath, buildThemeFile(theme), 'utf8');
+    return { success: true, filePath: result.filePath };
+  } catch (error) {
+    logger.error('テーマのエクスポートエラー:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// 同じ名前のテーマがあるときは「名前 (2)」「名前 (3)」… の空いている名前で取り込む
+ipcMain.handle('import-theme', async () => {
+  const result = await dialog.showOpenDialog(settingsWindow, {
+    title: 'テーマをインポート',
+    filters: [{ name: 'JSON', extensions: ['json'] }],
+    properties: ['openFile']
+  });
+  if (result.canceled || result.filePaths.length === 0) {
+    return { canceled: true };
+  }
+
+  let theme;
+  try {
+    theme = parseThemeFile(await fs.promises.readFile(result.filePaths[0], 'utf8'));
+  } catch (error) {
+    logger.error('テーマのインポートエラー:', error);
+    return { success: false, error: error.message };
+  }
+  const themes = storeManager.getCustomThemes();
+  let name = theme.name;
+  for (let n = 2; themes.some(t => t.name === name); n++) {
+    name = `${theme.name} (${n})`;
+  }
+  const imported = { ...theme, name };
+  storeManager.saveCustomTheme(imported);
+  notifyCustomThemesUpdated();
+  return { success: true, theme: imported };
+});
+
+ipcMain.handle('export-config', async () => {
+  const result = await dialog.showSaveDialog(settingsWindow, {
+    title: '設定をバックアップ',
+    defaultPath: 'rss-news-ticker-backup.json',
+    filters: [{ name: 'JSON', extensions: ['json'] }]
+  });
+  if (result.canceled || !result.filePath) {
+    return { canceled: true };
+  }
+
+  try {
+    await fs.promises.writeFile(result.filePath, buildBackup(storeManager.getConfig()), 'utf8');
+    return { success: true, filePath: result.filePath };
+  } catch (error) {
+    logger.error('設定のバックアップエラー:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// バックアップを読み込んで検証し、適用した場合の差分を返す（まだ保存しない）
+ipcMain.handle('preview-config-import', async (event, mode) => {
+  const result = await dialog.showOpenDialog(settingsWindow, {
+    title: 'バックアップから復元',
+    filters: [{ name: 'JSON', extensions: ['json'] }],
+    properties: ['openFile']
+  });
+  if (result.canceled || result.filePaths.length === 0) {
+    return { canceled: true };
+  }
+
+  try {
+    const json = await fs.promises.readFile(result.filePaths[0], 'utf8');
+    pendingBackup = { filePath: result.filePaths[0], ...parseBackup(json) };
+  } catch (error) {
+    pendingBackup = null;
+    logger.error('バックアップの読み込みエラー:', error);
+    return { success: false, error: error.message };
+  }
+  return planPendingBackup(mode);
+});
+
+// 統合/置き換えを切り替えたときの差分の再計算
+ipcMain.handle('plan-config-import', (event, mode) => {
+  return planPendingBackup(mode);
+});
+
+function planPendingBackup(mode) {
+  if (!pendingBackup) {
+    return { success: false, error: '読み込んだバックアップがありません' };
+  }
+  const { diff } = planImport(storeManager.getConfig(), pendingBackup.config, mode);
+  return { success: true, filePath: pendingBackup.filePath, warnings: pendingBackup.warnings, diff };
+}
+
+ipcMain.handle('apply-config-import', (event, mode) => {
+  if (!pendingBackup) {
+    return { success: false, error: '読み込んだバックアップがありません' };
+  }
+
+  const { config } = planImport(storeManager.getConfig(), pendingBackup.config, mode);
+  storeManager.replaceConfig(config);
+  pendingBackup = null;
+  logger.info(`バックアップから復元しました (${mode}): フィード ${config.feeds.length}件`);
+
+  const settings = storeManager.getSettings();
+  rssManager.setFeeds(storeManager.getFeeds());
+  rssManager.setFilterRules(storeManager.getFilterRules());
+  applyRSSOptions(settings);
+  feedScheduler.refresh();
+  startChannelCycle();
+  fetchAndUpdateNews();
+
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.setSize(settings.windowWidth, settings.windowHeight);
+    mainWindow.setAlwaysOnTop(settings.alwaysOnTop);
+    mainWindow.webContents.send('highlight-rules-updated');
+  }
+  settingsPreview.reload();
+  return { success: true };
+});
+
+ipcMain.handle('cancel-config-import', () => {
+  pendingBackup = null;
+});
+
+ipcMain.handle('get-filter-rules', () => {
+  return rssManager.getFilterRules();
+});
+
+ipcMain.handle('set-filter-rules', (event, rules) => {
+  const errors = rules
+    .map((rule, index) => ({ index, message: validateRule(rule) }))
+    .filter(error => error.message !== null);
+  if (errors.length > 0) {
+    return { success: false, errors };
+  }
+
+  rssManager.setFilterRules(rules);
+  storeManager.setFilterRules(rules);
+  fetchAndUpdateNews({ feedUrls: [] });
+  return { success: true, errors: [] };
+});
+
+ipcMain.handle('preview-filter-rules', (event, rules) => {
+  const preview = rssManager.previewFilters(rules);
+  return {
+    total: preview.total,
+    hidden: preview.hidden.map(({ article, rule, reason }) => ({
+      title: article.title,
+      source: article.source,
+      reason,
+      pattern: rule ? rule.pattern : null
+    }))
+  };
+});
+
+ipcMain.handle('get-highlight-rules', () => {
+  return storeManager.getHighlightRules();
+});
+
+ipcMain.handle('set-highlight-rules', (event, rules) => {
+  const errors = rules
+    .map((rule, index) => ({ index, message: validateHighlightRule(rule) }))
+    .filter(error => error.message !== null);
+  if (errors.length > 0) {
+    return { success: false, errors };
+  }
+
+  storeManager.setHighlightRules(rules);
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('highlight-rules-updated');
+  }
+  return { success: true, errors: [] };
+});
+
+/**
+ * 複数レーン表示の各レーンの記事を取得
+ * Articles for each ticker lane; null for lanes that show the active channel, including lanes
+ * whose group or feed no longer exists. While none of the lane's feeds has been fetched, the
+ * cached articles of the lane's feeds are returned.
+ */
+ipcMain.handle('get-lane-articles', (event, sources = []) => {
+  return sources.map(source => {
+    if (!resolveLaneSource(source, rssManager.getActiveFeeds())) {
+      return null;
+    }
+    const articles = rssManager.getLaneArticles(source);
+    if (articles.length > 0) {
+      return articles;
+    }
+    // キャッシュは表示中のチャンネルの記事だけなので、他のグループのレーンは取得されるまで空のことがある
+    const urls = new Set(rssManager.getLaneFeeds(source).map(feed => feed.url));
+    return storeManager.getCachedArticles().articles
+      .filter(article => (article.feedUrls || []).some(url => urls.has(url)));
+  });
+});
+
 ipcMain.handle('get-settings', () => {
   return storeManager.getSettings();
 });
@@ -192,27 +908,42 @@ ipcMain.handle('get-autostart-launch-status', () => {
   return isLaunchedViaAutostart;
 });
 
-ipcMain.handle('update-settings', (event, settings) => {
-  const updated = storeManager.updateSettings(settings);
-  
-  if (settings.updateInterval !== undefined) {
-    if (updateInterval) {
-      clearInterval(updateInterval);
-    }
-    startRSSUpdates();
+// 設定を検証して保存（範囲外の値は丸め、不正な値は保存せずに errors で返す）
+ipcMain.handle('update-settings', (event, newSettings) => {
+  const { settings: updated, errors } = storeManager.applySettings(newSettings);
+  applyRSSOptions(updated);
+  settingsPreview.commit();
+  if (errors.length > 0) {
+    logger.warn('不正な設定値がありました:', errors);
+  }
+
+  // 反映が必要かどうかは保存された値で判断する（拒否された項目は変わっていない）
+  const rejected = new Set(errors.filter(error => !('clamped' in error)).map(error => error.key));
+  const changed = key => newSettings[key] !== undefined && !rejected.has(key);
+
+  if (changed('updateInterval')) {
+    feedScheduler.refresh();
+  }
+  if (changed('channelCycleInterval')) {
+    startChannelCycle();
+  }
+  if (changed('maxArticles') || changed('articleOrder') ||
+             changed('deduplicateArticles') || changed('showFeedErrors')) {
+    // 取得済みの記事から組み立て直すだけで、フィードは取得し直さない
+    fetchAndUpdateNews({ feedUrls: [] });
   }
   
-  if (settings.windowWidth !== undefined || settings.windowHeight !== undefined) {
-    mainWindow.setSize(settings.windowWidth || 1200, settings.windowHeight || 150);
+  if (changed('windowWidth') || changed('windowHeight')) {
+    mainWindow.setSize(updated.windowWidth, updated.windowHeight);
   }
   
-  if (settings.alwaysOnTop !== undefined) {
-    mainWindow.setAlwaysOnTop(settings.alwaysOnTop);
+  if (changed('alwaysOnTop')) {
+    mainWindow.setAlwaysOnTop(updated.alwaysOnTop);
   }
   
   mainWindow.webContents.send('settings-updated');
   
-  return updated;
+  return { success: errors.length === 0, settings: updated, errors };
 });
 
 // 自動起動関連のIPCハンドラー
@@ -379,16 +1110,30 @@ function createSettingsWindow() {
 
   settingsWindow.on('closed', () => {
     settingsWindow = null;
+    // 保存せずに閉じた場合はプレビューを取り消して保存済みの設定に戻す
+    settingsPreview.revert();
   });
 }
 
+// 設定画面で編集中の表示設定をティッカーにプレビュー表示（保存はしない）
+ipcMain.on('preview-settings', (event, draft) => {
+  settingsPreview.preview(draft);
+});
+
 ipcMain.on('open-settings', () => {
   createSettingsWindow();
 });
 
 // 右クリックメニューの作成
 function createContextMenu() {
-  const contextMenu = Menu.buildFromTemplate([
+  // フィードやチャンネルの一覧が変わるため、表示のたびにメニューを組み立てる
+  mainWindow.webContents.on('context-menu', (event, params) => {
+    buildContextMenu().popup({ window: mainWindow, x: params.x, y: params.y });
+  });
+}
+
+function buildContextMenu() {
+  return Menu.buildFromTemplate([
     {
       label: '一時停止/再開',
       click: () => {
@@ -399,7 +1144,7 @@ function createContextMenu() {
     {
       label: '今すぐ更新',
       click: async () => {
-        await fetchAndUpdateNews();
+        await fetchAndUpdateNews({ force: true });
       }
     },
     {
@@ -408,6 +1153,10 @@ function createContextMenu() {
         createSettingsWindow();
       }
     },
+    {
+      label: 'チャンネル',
+      submenu: buildChannelMenu()
+    },
     { type: 'separator' },
     {
       label: '選択したテキストをコピー',
@@ -428,10 +1177,6 @@ function createContextMenu() {
       }
     }
   ]);
-
-  mainWindow.webContents.on('context-menu', (event, params) => {
-    contextMenu.popup({ window: mainWindow, x: params.x, y: params.y });
-  });
 }
 
 // キーボードショートカットの登録
@@ -445,7 +1190,11 @@ function registerShortcuts() {
   });
 
   globalShortcut.register('CommandOrControl+Shift+R', async () => {
-    await fetchAndUpdateNews();
+    await fetchAndUpdateNews({ force: true });
+  });
+
+  globalShortcut.register('CommandOrControl+Shift+G', () => {
+    switchToNextChannel();
   });
 
   globalShortcut.register('CommandOrControl+Shift+Q', () => {
@@ -463,13 +1212,33 @@ function createTray() {
     const iconPath = path.join(__dirname, 'assets', 'icon.png');
     
     // アイコンファイルが存在しない場合は、トレイを作成しない
-    const fs = require('fs');
     if (!fs.existsSync(iconPath)) {
       logger.debug('Tray icon not found, skipping tray creation');
       return;
     }
     
     tray = new Tray(iconPath);
+    updateTrayMenu();
+
+  // ダブルクリックでウィンドウ表示/非表示
+  tray.on('double-click', () => {
+    if (mainWindow.isVisible()) {
+      mainWindow.hide();
+    } else {
+      mainWindow.show();
+    }
+  });
+  } catch (error) {
+    // Trayの作成失敗はアプリの動作に影響しないので、デバッグログのみ
+    logger.debug('Failed to create tray:', error.message);
+  }
+}
+
+// トレイのメニューとツールチップを現在のチャンネル一覧で更新
+function updateTrayMenu() {
+  if (!tray) {
+    return;
+  }
 
   const trayMenu = Menu.buildFromTemplate([
     {
@@ -493,7 +1262,7 @@ function createTray() {
     {
       label: '今すぐ更新',
       click: async () => {
-        await fetchAndUpdateNews();
+        await fetchAndUpdateNews({ force: true });
       }
     },
     {
@@ -502,6 +1271,14 @@ function createTray() {
         createSettingsWindow();
       }
     },
+    {
+      label: 'チャンネル',
+      submenu: buildChannelMenu()
+    },
+    {
+      label: 'プロファイル',
+      submenu: buildProfileMenu()
+    },
     { type: 'separator' },
     {
       label: '終了',
@@ -511,21 +1288,9 @@ function createTray() {
     }
   ]);
 
-  tray.setToolTip('RSS ニュース電光掲示板');
+  const activeChannel = getActiveChannel();
+  tray.setToolTip(`RSS ニュース電光掲示板${activeChannel ? ` - ${activeChannel}` : ''}`);
   tray.setContextMenu(trayMenu);
-
-  // ダブルクリックでウィンドウ表示/非表示
-  tray.on('double-click', () => {
-    if (mainWindow.isVisible()) {
-      mainWindow.hide();
-    } else {
-      mainWindow.show();
-    }
-  });
-  } catch (error) {
-    // Trayの作成失敗はアプリの動作に影響しないので、デバッグログのみ
-    logger.debug('Failed to create tray:', error.message);
-  }
 }
 
 // ウィンドウ最小化時の処理
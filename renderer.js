@@ -1,6 +1,15 @@
 const { ipcRenderer } = require('electron');
 const { shell } = require('electron');
 const Logger = require('./src/logger');
+const { findHighlightRule } = require('./src/article-filter');
+const { resolveTheme, themeToCssVariables } = require('./src/themes');
+const LedMatrixRenderer = require('./src/led-matrix');
+const ScrollEngine = require('./src/scroll-engine');
+const { anchoredPosition } = require('./src/scroll-engine');
+const { visibleKeys, mergeTickerItems, needsSettle, isNewItem } = require('./src/ticker-queue');
+const PageTicker = require('./src/page-ticker');
+const TickerLane = require('./src/ticker-lanes');
+const { laneSettings } = require('./src/ticker-lanes');
 
 // ログ設定をメインプロセスから取得して初期化
 let logger = new Logger(false); // デフォルトはオフで初期化
@@ -19,104 +28,430 @@ const tickerContent = document.getElementById('ticker-content');
 const pauseBtn = document.getElementById('pause-btn');
 const settingsBtn = document.getElementById('settings-btn');
 const tickerContainer = document.getElementById('ticker-container');
+const ledCanvas = document.getElementById('led-canvas');
+const pageContent = document.getElementById('page-content');
+const lanesContainer = document.getElementById('lanes');
 
 let currentArticles = [];
 let isPaused = false;
 let currentSettings = null;
+let customThemes = [];
+let highlightRules = [];
 
-function updateTicker(newsItems) {
-    if (!newsItems || newsItems.length === 0) {
-        tickerContent.innerHTML = '<span class="news-item">ニュースを取得中...<span class="source">[システム]</span></span>';
-        // テキストが変更されたのでスクロール速度を再計算
-        if (currentSettings) {
-            setTimeout(() => updateScrollSpeed(currentSettings.scrollSpeed), 100);
-        }
-        return;
+// ハイライトの「ゆっくり表示」が画面内にある間のスクロール速度の倍率
+const SLOW_SCROLL_RATE = 0.5;
+let slowItemObserver = null;
+const visibleSlowItems = new Set();
+
+// LEDドットマトリクス表示（表示方式が 'led' のときだけ作成する）
+let ledRenderer = null;
+let ledMode = false;
+// styles.css の .news-item.feed-error と同じ色
+const FEED_ERROR_COLOR = '#ff5555';
+
+// 見出しを1件ずつ切り替える表示（表示の動きが 'page' のときはスクロールを止める）
+let pageMode = false;
+
+// 複数レーン表示のレーン（レーン数が2以上のときだけ作成し、メインのティッカーは止める）
+let tickerLanes = [];
+
+// ティッカーに表示中の記事（{ key, article, firstSeenAt, removed }）と最後に受け取った記事
+let displayedItems = [];
+let tickerArticles = [];
+// チャンネル切り替え直後の更新は新着として扱わない
+let channelSwitched = false;
+// 最後に表示したときの NEW 表示の設定（設定が変わったら表示し直す）
+let newBadgesShown = false;
+
+// 削除された記事が画面外に出たか、画面に記事が無い間に並び順を揃えられるかを確認する間隔
+const SETTLE_INTERVAL = 1000;
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// スクロール位置は内容を入れ替えても保ち、フレームごとに経過時間だけ進める
+const scrollEngine = new ScrollEngine({ onFrame: renderFrame });
+
+// 1件ずつ表示するときは切り替えのたびに、画面から消えた削除済みの記事を片付ける
+const pageTicker = new PageTicker(pageContent, {
+    createElement: createNewsElement,
+    onChange: () => settleTicker(),
+    slowRate: SLOW_SCROLL_RATE
+});
+
+function renderFrame(position, time) {
+    if (ledMode) {
+        scrollEngine.setRate(ledRenderer.hasVisibleSlowItem(position) ? SLOW_SCROLL_RATE : 1);
+        ledRenderer.draw(position, time);
+    } else {
+        // 画面右端から入り、左端に消えるまで動かす
+        tickerContent.style.transform = `translate3d(${window.innerWidth - position}px, 0, 0)`;
+    }
+}
+
+function viewportWidth() {
+    return ledMode ? ledRenderer.grid.columns * ledRenderer.grid.pitch : window.innerWidth;
+}
+
+// 表示中の記事の配置（px）。内容を入れ替えた後のスクロール位置の調整に使う
+function tickerLayout() {
+    if (ledMode) {
+        return ledRenderer.layout();
+    }
+    return Array.from(tickerContent.children).map(element => ({
+        key: element.dataset.key,
+        start: element.offsetLeft - tickerContent.offsetLeft,
+        width: element.offsetWidth
+    }));
+}
+
+// 1周の長さを測り直す。表示内容を変える処理は change の中で行い、画面上の記事がずれないように位置を合わせる
+function relayoutTicker(change = () => {}) {
+    const before = tickerLayout();
+    change();
+    scrollEngine.setLength(ledMode ? ledRenderer.loopLength() : window.innerWidth + tickerContent.scrollWidth);
+    scrollEngine.setPosition(anchoredPosition(before, tickerLayout(), scrollEngine.position, viewportWidth()));
+    if (logger) {
+        logger.debug(`スクロール: 1周=${scrollEngine.length}px, 位置=${scrollEngine.position}px`);
+    }
+}
+
+function visibleItemKeys() {
+    if (pageMode) {
+        const key = pageTicker.currentKey();
+        return new Set(key === null ? [] : [key]);
+    }
+    return visibleKeys(tickerLayout(), scrollEngine.position, viewportWidth());
+}
+
+/**
+ * 受け取った記事をティッカーに反映（画面上の記事はそのまま流し、新着は画面上の記事の後ろに入れる）
+ * Merge articles into the ticker without restarting the scroll
+ * @param {Array<Object>} newsItems - Articles in display order
+ * @param {Object} options - { markNew: record articles not yet on the ticker as new }
+ */
+function updateTicker(newsItems, { markNew = false } = {}) {
+    tickerArticles = newsItems && newsItems.length > 0
+        ? newsItems
+        : [{ title: 'ニュースを取得中...', source: 'システム' }];
+    relayoutTicker(() => {
+        displayedItems = mergeTickerItems(displayedItems, tickerArticles, visibleItemKeys(), { now: Date.now(), markNew });
+        renderItems();
+    });
+}
+
+function renderItems() {
+    newBadgesShown = Boolean(currentSettings && currentSettings.markNewArticles);
+    if (ledRenderer) {
+        ledRenderer.setItems(displayedItems.map(toLedItem));
+    }
+    renderTickerContent(displayedItems);
+    pageTicker.setItems(displayedItems);
+}
+
+function settleTicker() {
+    if (needsSettle(displayedItems, tickerArticles, visibleItemKeys())) {
+        updateTicker(tickerArticles);
     }
+}
+
+function showNewBadge(displayItem) {
+    return Boolean(currentSettings && currentSettings.markNewArticles) && isNewItem(displayItem, Date.now());
+}
 
+function renderTickerContent(displayItems) {
     tickerContent.innerHTML = '';
     
-    newsItems.forEach(item => {
-        const newsElement = document.createElement('span');
-        newsElement.className = 'news-item';
-        newsElement.innerHTML = `
-            ${item.title}
-            <span class="source">[${item.source}]</span>
-        `;
-        if (item.link) {
-            newsElement.addEventListener('click', () => {
-                shell.openExternal(item.link);
-            });
-        }
-        tickerContent.appendChild(newsElement);
+    displayItems.forEach(displayItem => {
+        tickerContent.appendChild(createNewsElement(displayItem));
     });
     
-    // テキストが変更されたのでスクロール速度を再計算
-    if (currentSettings) {
-        setTimeout(() => updateScrollSpeed(currentSettings.scrollSpeed), 100);
+    observeSlowItems();
+}
+
+// 横スクロールと1件ずつの表示で共通の記事の要素（タイプライター効果のため見出しは .title に入れる）
+function createNewsElement(displayItem) {
+    const item = displayItem.article;
+    const newsElement = document.createElement('span');
+    newsElement.className = 'news-item';
+    newsElement.dataset.key = displayItem.key;
+    if (item.stale) {
+        newsElement.classList.add('stale');
+    }
+    if (item.feedError) {
+        newsElement.classList.add('feed-error');
+    }
+    const highlight = findHighlightRule(item, highlightRules);
+    const newBadge = showNewBadge(displayItem) ? '<span class="badge new-badge">NEW</span>' : '';
+    const badge = highlight && highlight.badge ? `<span class="badge">${escapeHtml(highlight.badge)}</span>` : '';
+    newsElement.innerHTML = `
+        ${newBadge}${badge}<span class="title">${escapeHtml(item.title)}</span>
+        <span class="source">[${escapeHtml(sourceLabel(item))}]</span>
+    `;
+    if (highlight) {
+        applyHighlight(newsElement, highlight);
+    }
+    if (item.link) {
+        newsElement.addEventListener('click', () => {
+            shell.openExternal(item.link);
+        });
+    }
+    return newsElement;
+}
+
+// キャッシュから表示している古い記事には取得時からの経過時間を添える
+function sourceLabel(item) {
+    return item.stale ? `${item.source}・${formatAge(item.cachedAt)}` : item.source;
+}
+
+// 記事をドットマトリクス表示用の文字列と色に変換
+function toLedItem(displayItem) {
+    const item = displayItem.article;
+    const highlight = findHighlightRule(item, highlightRules);
+    const color = item.feedError ? FEED_ERROR_COLOR : (highlight && highlight.color) || null;
+    const parts = [];
+    if (showNewBadge(displayItem)) {
+        parts.push({ text: 'NEW', role: 'source' });
+    }
+    if (highlight && highlight.badge) {
+        parts.push({ text: `【${highlight.badge}】`, role: 'source', color: highlight.color || null });
+    }
+    parts.push({ text: item.title, role: 'text', color });
+    parts.push({ text: `[${sourceLabel(item)}]`, role: 'source' });
+    return {
+        key: displayItem.key,
+        parts,
+        link: item.link,
+        blink: Boolean(highlight && highlight.blink),
+        slow: Boolean(highlight && highlight.slow),
+        dim: Boolean(item.stale)
+    };
+}
+
+function applyHighlight(element, rule) {
+    element.classList.add('highlighted');
+    if (rule.color) {
+        element.style.setProperty('--highlight-color', rule.color);
+    }
+    if (rule.blink) {
+        element.classList.add('blink');
+    }
+    if (rule.slow) {
+        element.classList.add('slow');
+    }
+}
+
+// 「ゆっくり表示」の記事が画面内にある間はスクロールの再生速度を落とす
+function observeSlowItems() {
+    if (slowItemObserver) {
+        slowItemObserver.disconnect();
+    }
+    visibleSlowItems.clear();
+    updateScrollRate();
+
+    const slowItems = tickerContent.querySelectorAll('.news-item.slow');
+    if (slowItems.length === 0 || typeof IntersectionObserver === 'undefined') {
+        return;
+    }
+
+    slowItemObserver = new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                visibleSlowItems.add(entry.target);
+            } else {
+                visibleSlowItems.delete(entry.target);
+            }
+        });
+        updateScrollRate();
+    }, { root: tickerContainer });
+
+    slowItems.forEach(item => slowItemObserver.observe(item));
+}
+
+function updateScrollRate() {
+    if (!ledMode) {
+        scrollEngine.setRate(visibleSlowItems.size > 0 ? SLOW_SCROLL_RATE : 1);
     }
 }
 
+async function loadHighlightRules() {
+    highlightRules = await ipcRenderer.invoke('get-highlight-rules');
+}
+
+function formatAge(isoString) {
+    const elapsed = isoString ? Date.now() - new Date(isoString).getTime() : NaN;
+    if (isNaN(elapsed)) {
+        return 'キャッシュ';
+    }
+    const minutes = Math.floor(elapsed / 60000);
+    if (minutes < 1) return 'たった今';
+    if (minutes < 60) return `${minutes}分前`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}時間前`;
+    return `${Math.floor(hours / 24)}日前`;
+}
+
 ipcRenderer.on('news-update', (event, articles) => {
     if (logger) {
         logger.debug(`受信したニュース記事数: ${articles.length}`);
     }
+    // 最初の取得とチャンネル切り替え直後は、表示していなかった記事を新着としない
+    const markNew = currentArticles.length > 0 && !channelSwitched;
+    channelSwitched = false;
     currentArticles = articles;
-    updateTicker(articles);
+    updateTicker(articles, { markNew });
+    refreshLanes({ markNew });
 });
 
 async function loadSettings() {
     currentSettings = await ipcRenderer.invoke('get-settings');
+    customThemes = await ipcRenderer.invoke('get-custom-themes');
     applySettings(currentSettings);
 }
 
 function applySettings(settings) {
-    // スクロール速度をピクセル/秒から時間に変換
-    updateScrollSpeed(settings.scrollSpeed);
+    scrollEngine.setSpeed(settings.scrollSpeed);
     
     document.documentElement.style.setProperty('--font-size', `${settings.fontSize}px`);
-    document.documentElement.style.setProperty('--text-color', settings.textColor);
-    document.documentElement.style.setProperty('--bg-color', settings.backgroundColor);
-    document.documentElement.style.setProperty('--source-color', settings.sourceColor);
-    document.body.style.fontFamily = `'${settings.fontFamily}', monospace`;
     
-    // テーマクラスの適用
-    document.body.className = document.body.className.replace(/theme-\w+/g, '');
-    if (settings.theme !== 'custom') {
-        document.body.classList.add(`theme-${settings.theme}`);
-    }
+    // 組み込み・ユーザー定義のテーマは設定の色より優先する
+    const theme = resolveTheme(settings, customThemes);
+    Object.entries(themeToCssVariables(theme)).forEach(([name, value]) => {
+        document.documentElement.style.setProperty(name, value);
+    });
+    document.body.style.fontFamily = `'${theme.fontFamily}', monospace`;
+    
+    // 文字の大きさ・フォント・表示方式で記事の幅が変わる
+    relayoutTicker(() => {
+        applyRenderMode(settings, theme);
+        if (Boolean(settings.markNewArticles) !== newBadgesShown) {
+            renderItems();
+            tickerLanes.forEach(lane => lane.setArticles(lane.articles));
+        }
+    });
+    applyTickerMode(settings, applyLanes(settings));
 }
 
-function updateScrollSpeed(pixelsPerSecond) {
-    // ピクセル/秒から実際のアニメーション時間を計算
-    calculateAndApplyScrollDuration(pixelsPerSecond);
+// 1件ずつ表示する間はスクロールを止める（切り替え効果・表示時間は次の記事から反映）
+function applyTickerMode(settings, multiLane) {
+    pageTicker.setOptions({
+        transition: settings.pageTransition,
+        dwellTime: settings.pageDwellTime,
+        dwellPerChar: settings.pageDwellPerChar
+    });
+    if (multiLane) {
+        scrollEngine.stop();
+        pageTicker.stop();
+    } else if (pageMode) {
+        scrollEngine.stop();
+        pageTicker.start();
+    } else {
+        pageTicker.stop();
+        scrollEngine.start();
+    }
 }
 
-function calculateAndApplyScrollDuration(pixelsPerSecond) {
-    // テキストコンテンツの幅を取得
-    const tickerContent = document.getElementById('ticker-content');
-    const windowWidth = window.innerWidth;
-    
-    if (tickerContent) {
-        // テキストの実際の幅を測定
-        const textWidth = tickerContent.scrollWidth;
-        // 移動する総距離 = ウィンドウ幅 + テキスト幅（画面右端から完全に左に消えるまで）
-        const totalDistance = windowWidth + textWidth;
-        // 時間 = 距離 / 速度
-        const duration = totalDistance / pixelsPerSecond;
-        
-        if (logger) {
-            logger.debug(`スクロール計算: テキスト幅=${textWidth}px, 総距離=${totalDistance}px, 速度=${pixelsPerSecond}px/s, 時間=${duration}s`);
+// LEDドットマトリクス表示では文字のティッカーを隠してキャンバスに描画する（1件ずつの表示は文字のみ）
+function applyRenderMode(settings, theme) {
+    const wasLed = ledMode;
+    pageMode = settings.tickerMode === 'page';
+    ledMode = settings.renderMode === 'led' && !pageMode;
+    document.body.classList.toggle('page-mode', pageMode);
+    document.body.classList.toggle('led-mode', ledMode);
+    if (!ledMode) {
+        updateScrollRate();
+        return;
+    }
+
+    const options = {
+        dotSize: settings.ledDotSize,
+        dotGap: settings.ledDotGap,
+        offDotOpacity: settings.ledOffDotOpacity / 100,
+        glow: settings.ledGlow,
+        fontFamily: theme.fontFamily,
+        textColor: theme.textColor,
+        sourceColor: theme.sourceColor,
+        backgroundColor: theme.backgroundColor
+    };
+    if (ledRenderer) {
+        ledRenderer.setOptions(options);
+        if (!wasLed) {
+            // 非表示の間にウィンドウの大きさが変わっていることがある
+            ledRenderer.resize();
         }
-        
-        // CSSのアニメーション時間を更新
-        document.documentElement.style.setProperty('--scroll-duration', `${duration}s`);
     } else {
-        // fallback: デフォルトの計算（ウィンドウ幅ベース）
-        const estimatedDistance = windowWidth * 2; // 概算
-        const duration = estimatedDistance / pixelsPerSecond;
-        document.documentElement.style.setProperty('--scroll-duration', `${duration}s`);
+        ledRenderer = new LedMatrixRenderer(ledCanvas, options);
+        ledRenderer.setItems(displayedItems.map(toLedItem));
+    }
+}
+
+/**
+ * レーン数が2以上なら設定に合わせてレーンを作成・更新する
+ * Create, update or remove the lanes of the multi-lane layout
+ * @param {Object} settings - Settings
+ * @returns {boolean} True if the multi-lane layout is used
+ */
+function applyLanes(settings) {
+    const lanes = laneSettings(settings);
+    const multiLane = lanes.length > 1;
+    document.body.classList.toggle('multi-lane', multiLane);
+
+    const count = multiLane ? lanes.length : 0;
+    while (tickerLanes.length > count) {
+        tickerLanes.pop().destroy();
+    }
+    while (tickerLanes.length < count) {
+        const element = document.createElement('div');
+        element.className = 'lane';
+        lanesContainer.appendChild(element);
+        const lane = new TickerLane(element, { createElement: createNewsElement, slowRate: SLOW_SCROLL_RATE });
+        lane.setPaused(isPaused);
+        tickerLanes.push(lane);
+    }
+
+    // 記事の指定が変わったレーンと新しいレーンは記事を取得し直す
+    const needsArticles = tickerLanes.some((lane, index) => lane.articles.length === 0 || lane.source !== lanes[index].source);
+    tickerLanes.forEach((lane, index) => {
+        lane.setOptions(lanes[index]);
+        // 文字の大きさ・フォントで記事の幅が変わる
+        lane.relayout();
+        lane.start();
+    });
+    if (needsArticles) {
+        refreshLanes();
     }
+    return multiLane;
+}
+
+/**
+ * レーンの記事を取得し直す（表示中のチャンネルのレーンと、グループ・フィードが無くなったレーンは受け取った記事をそのまま使う）
+ * Reload the articles of every lane
+ * @param {Object} options - { markNew }
+ */
+async function refreshLanes({ markNew = false } = {}) {
+    if (tickerLanes.length === 0) {
+        return;
+    }
+    const lanes = [...tickerLanes];
+    const sources = lanes.map(lane => lane.source);
+    let laneArticles;
+    try {
+        laneArticles = await ipcRenderer.invoke('get-lane-articles', sources);
+    } catch (error) {
+        console.error('Failed to load lane articles:', error);
+        return;
+    }
+    lanes.forEach((lane, index) => {
+        // 取得中にレーンが削除・変更された場合は次の取得に任せる
+        if (tickerLanes.includes(lane) && lane.source === sources[index]) {
+            lane.setArticles(laneArticles[index] || currentArticles, { markNew });
+        }
+    });
 }
 
 pauseBtn.addEventListener('click', () => {
@@ -128,6 +463,25 @@ pauseBtn.addEventListener('click', () => {
         tickerContainer.classList.remove('paused');
         pauseBtn.textContent = '一時停止';
     }
+    scrollEngine.setPaused(isPaused);
+    pageTicker.setPaused(isPaused);
+    tickerLanes.forEach(lane => lane.setPaused(isPaused));
+});
+
+ledCanvas.addEventListener('click', (e) => {
+    const item = ledRenderer && ledRenderer.itemAt(e.offsetX, scrollEngine.position);
+    if (item && item.link) {
+        shell.openExternal(item.link);
+    }
+});
+
+window.addEventListener('resize', () => {
+    relayoutTicker(() => {
+        if (ledMode) {
+            ledRenderer.resize();
+        }
+    });
+    tickerLanes.forEach(lane => lane.relayout());
 });
 
 settingsBtn.addEventListener('click', () => {
@@ -139,10 +493,51 @@ ipcRenderer.on('settings-updated', async () => {
     await loadSettings();
 });
 
+// 設定画面で編集中の値を一時的に反映する（保存された設定は settings-updated で読み込み直す）
+ipcRenderer.on('preview-settings', (event, draft) => {
+    currentSettings = { ...currentSettings, ...draft };
+    applySettings(currentSettings);
+});
+
+// ユーザー定義テーマの保存・削除時は表示中の設定（プレビュー中の値を含む）で配色を適用し直す
+ipcRenderer.on('custom-themes-updated', async () => {
+    customThemes = await ipcRenderer.invoke('get-custom-themes');
+    if (currentSettings) {
+        applySettings(currentSettings);
+    }
+});
+
+// ハイライトルール変更時は表示中の記事を再描画
+ipcRenderer.on('highlight-rules-updated', async () => {
+    await loadHighlightRules();
+    if (currentArticles.length > 0) {
+        updateTicker(currentArticles);
+    }
+    tickerLanes.forEach(lane => lane.setArticles(lane.articles));
+});
+
+// チャンネル切り替え時はしばらくチャンネル名を表示する
+let channelLabelTimer = null;
+ipcRenderer.on('channel-changed', (event, channel) => {
+    channelSwitched = true;
+    const channelLabel = document.getElementById('channel-label');
+    channelLabel.textContent = `チャンネル: ${channel}`;
+    channelLabel.classList.add('visible');
+    clearTimeout(channelLabelTimer);
+    channelLabelTimer = setTimeout(() => channelLabel.classList.remove('visible'), 3000);
+});
+
 // メインプロセスからの一時停止トグル
 ipcRenderer.on('toggle-pause', () => {
     pauseBtn.click();
 });
 
 loadSettings();
-updateTicker([{ title: "RSS フィードを読み込み中...", source: "システム" }]);
\ No newline at end of file
+loadHighlightRules().catch(error => {
+    console.error('Failed to load highlight rules:', error);
+});
+updateTicker([{ title: "RSS フィードを読み込み中...", source: "システム" }]);
+setInterval(() => {
+    settleTicker();
+    tickerLanes.forEach(lane => lane.settle());
+}, SETTLE_INTERVAL);
\ No newline at end of file
@@ -1,13 +1,31 @@
 const { ipcRenderer } = require('electron');
+const { ERROR_TYPE_LABELS } = require('./src/feed-health');
+const { DEFAULT_SETTINGS } = require('./src/settings-schema');
+const { BUILTIN_THEMES, userThemeId, resolveTheme } = require('./src/themes');
+const { LANE_SOURCE_GROUP, LANE_SOURCE_FEED, resolveLaneSource } = require('./src/lane-source');
 
 let currentSettings = null;
 let currentFeeds = [];
+let currentFeedHealth = {};
+let currentFilterRules = [];
+let currentHighlightRules = [];
+let currentProfiles = { profiles: [], active: null };
+let currentCustomThemes = [];
 
 async function loadCurrentSettings() {
     currentSettings = await ipcRenderer.invoke('get-settings');
     currentFeeds = await ipcRenderer.invoke('get-feeds');
+    currentFeedHealth = await ipcRenderer.invoke('get-feed-health');
+    currentFilterRules = await ipcRenderer.invoke('get-filter-rules');
+    currentHighlightRules = await ipcRenderer.invoke('get-highlight-rules');
+    currentProfiles = await ipcRenderer.invoke('get-profiles');
+    currentCustomThemes = await ipcRenderer.invoke('get-custom-themes');
     
     displayFeeds();
+    displayFilterRules();
+    displayHighlightRules();
+    displayProfiles();
+    populateThemeOptions();
     await displaySettings();
 }
 
@@ -18,13 +36,46 @@ function displayFeeds() {
     currentFeeds.forEach(feed => {
         const feedItem = document.createElement('div');
         feedItem.className = 'feed-item';
+        feedItem.draggable = true;
+        feedItem.dataset.url = feed.url;
         feedItem.innerHTML = `
+            <span class="drag-handle" title="ドラッグして並べ替え（上のフィードほど優先）">≡</span>
+            <input type="checkbox" class="feed-enabled" title="有効/無効">
             <div class="feed-info">
-                <div class="feed-name">${feed.name}</div>
-                <div class="feed-url">${feed.url}</div>
+                <div class="feed-name"></div>
+                <div class="feed-url"></div>
             </div>
-            <button class="remove-feed" data-url="${feed.url}">削除</button>
+            <span class="feed-status"></span>
+            <button class="resume-feed">再開</button>
+            <button class="edit-feed">編集</button>
+            <button class="remove-feed">削除</button>
         `;
+        renderFeedStatus(feedItem.querySelector('.feed-status'), feed, currentFeedHealth[feed.url]);
+        const enabledCheckbox = feedItem.querySelector('.feed-enabled');
+        enabledCheckbox.checked = !feed.disabled;
+        enabledCheckbox.addEventListener('change', async () => {
+            const error = await updateFeed(feed.url, { disabled: !enabledCheckbox.checked });
+            if (error) {
+                alert(`フィードを更新できませんでした: ${error.message}`);
+                displayFeeds();
+            }
+        });
+        if (feed.disabled) {
+            feedItem.classList.add('disabled');
+        }
+        feedItem.querySelector('.edit-feed').addEventListener('click', () => showFeedEditor(feedItem, feed));
+        addFeedDragHandlers(feedItem);
+        const resumeButton = feedItem.querySelector('.resume-feed');
+        if (feed.suspended) {
+            feedItem.classList.add('suspended');
+            resumeButton.addEventListener('click', () => resumeFeed(feed.url));
+        } else {
+            resumeButton.remove();
+        }
+        // OPMLから取り込んだ名前やURLをそのままHTMLとして解釈しない
+        feedItem.querySelector('.feed-name').textContent = feed.category ? `${feed.name} [${feed.category}]` : feed.name;
+        feedItem.querySelector('.feed-url').textContent = `${feed.url}${describeFeedOptions(feed)}`;
+        feedItem.querySelector('.remove-feed').dataset.url = feed.url;
         feedList.appendChild(feedItem);
     });
     
@@ -36,6 +87,402 @@ function displayFeeds() {
     
     // プリセットボタンの状態を更新
     updatePresetButtons();
+    updateFilterScopeOptions();
+    updateGroupOptions();
+    updateLaneSourceOptions();
+}
+
+// グループ入力欄の候補を登録済みのグループで更新
+function updateGroupOptions() {
+    const datalist = document.getElementById('feed-groups');
+    const groups = [...new Set(currentFeeds.map(feed => feed.category).filter(Boolean))];
+    datalist.innerHTML = '';
+    groups.forEach(group => {
+        const option = document.createElement('option');
+        option.value = group;
+        datalist.appendChild(option);
+    });
+}
+
+// フィードの編集フォームを表示
+function showFeedEditor(feedItem, feed) {
+    const info = feedItem.querySelector('.feed-info');
+    feedItem.draggable = false;
+    info.innerHTML = `
+        <div class="feed-edit">
+            <input type="text" class="edit-name" placeholder="フィード名">
+            <input type="text" class="edit-url" placeholder="RSS フィード URL">
+            <input type="text" class="edit-category" placeholder="グループ" list="feed-groups">
+            <input type="number" class="edit-max-items" placeholder="記事数上限" min="1" max="50">
+            <select class="edit-update-interval"></select>
+            <button class="save-feed">保存</button>
+            <button class="cancel-edit">キャンセル</button>
+        </div>
+        <div class="feed-edit-error"></div>
+    `;
+    info.querySelector('.edit-name').value = feed.name;
+    info.querySelector('.edit-url').value = feed.url;
+    info.querySelector('.edit-category').value = feed.category || '';
+    info.querySelector('.edit-max-items').value = feed.maxItems || '';
+    const intervalSelect = info.querySelector('.edit-update-interval');
+    intervalSelect.innerHTML = document.getElementById('feed-update-interval').innerHTML;
+    intervalSelect.value = feed.updateInterval ? String(feed.updateInterval) : '';
+    
+    info.querySelector('.cancel-edit').addEventListener('click', displayFeeds);
+    info.querySelector('.save-feed').addEventListener('click', async () => {
+        const name = info.querySelector('.edit-name').value.trim();
+        if (!name) {
+            info.querySelector('.feed-edit-error').textContent = 'フィード名を入力してください';
+            return;
+        }
+        info.querySelector('.feed-edit-error').textContent = 'フィードを確認しています...';
+        const error = await updateFeed(feed.url, {
+            name,
+            url: info.querySelector('.edit-url').value.trim(),
+            category: info.querySelector('.edit-category').value.trim(),
+            maxItems: parseInt(info.querySelector('.edit-max-items').value) || 0,
+            updateInterval: parseInt(intervalSelect.value) || 0
+        });
+        if (error) {
+            info.querySelector('.feed-edit-error').textContent = error.message;
+        }
+    });
+}
+
+// フィードを更新して一覧を再表示（失敗時はエラーを返す）
+async function updateFeed(url, changes) {
+    const result = await ipcRenderer.invoke('update-feed', url, changes);
+    if (!result.success) {
+        return result.error;
+    }
+    currentFeeds = await ipcRenderer.invoke('get-feeds');
+    displayFeeds();
+    return null;
+}
+
+// ドラッグ＆ドロップでフィードを並べ替え
+function addFeedDragHandlers(feedItem) {
+    feedItem.addEventListener('dragstart', (e) => {
+        e.dataTransfer.setData('text/plain', feedItem.dataset.url);
+        e.dataTransfer.effectAllowed = 'move';
+        feedItem.classList.add('dragging');
+    });
+    feedItem.addEventListener('dragend', () => {
+        feedItem.classList.remove('dragging');
+    });
+    feedItem.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        const rect = feedItem.getBoundingClientRect();
+        const after = e.clientY > rect.top + rect.height / 2;
+        feedItem.classList.toggle('drop-before', !after);
+        feedItem.classList.toggle('drop-after', after);
+    });
+    feedItem.addEventListener('dragleave', () => {
+        feedItem.classList.remove('drop-before', 'drop-after');
+    });
+    feedItem.addEventListener('drop', async (e) => {
+        e.preventDefault();
+        const after = feedItem.classList.contains('drop-after');
+        feedItem.classList.remove('drop-before', 'drop-after');
+        
+        const draggedUrl = e.dataTransfer.getData('text/plain');
+        if (!draggedUrl || draggedUrl === feedItem.dataset.url) {
+            return;
+        }
+        const urls = currentFeeds.map(feed => feed.url).filter(url => url !== draggedUrl);
+        const targetIndex = urls.indexOf(feedItem.dataset.url) + (after ? 1 : 0);
+        urls.splice(targetIndex, 0, draggedUrl);
+        
+        if (await ipcRenderer.invoke('reorder-feeds', urls)) {
+            currentFeeds = await ipcRenderer.invoke('get-feeds');
+            displayFeeds();
+        }
+    });
+}
+
+function formatInterval(ms) {
+    return ms >= 3600000 ? `${ms / 3600000}時間` : `${ms / 60000}分`;
+}
+
+function describeFeedOptions(feed) {
+    const options = [];
+    if (feed.maxItems) {
+        options.push(`最大${feed.maxItems}件`);
+    }
+    if (feed.updateInterval) {
+        options.push(`${formatInterval(feed.updateInterval)}ごとに更新`);
+    }
+    return options.length > 0 ? ` (${options.join('・')})` : '';
+}
+
+function formatDateTime(iso) {
+    return iso ? new Date(iso).toLocaleString('ja-JP') : 'なし';
+}
+
+// 取得状況のバッジだけを更新する（一覧を作り直すと編集中のフォームやドラッグ中の並べ替えが失われる）
+function updateFeedStatuses() {
+    document.querySelectorAll('#feed-list .feed-item').forEach(feedItem => {
+        const feed = currentFeeds.find(f => f.url === feedItem.dataset.url);
+        if (!feed) {
+            return;
+        }
+        const badge = feedItem.querySelector('.feed-status');
+        badge.className = 'feed-status';
+        badge.title = '';
+        renderFeedStatus(badge, feed, currentFeedHealth[feed.url]);
+    });
+}
+
+// フィードの取得状況をバッジとして表示（詳細はツールチップ）
+function renderFeedStatus(badge, feed, health) {
+    if (feed.disabled) {
+        badge.classList.add('disabled');
+        badge.textContent = '無効';
+        badge.title = 'このフィードは取得しません';
+        return;
+    }
+    if (feed.suspended) {
+        badge.classList.add('suspended');
+        badge.textContent = '停止中';
+        badge.title = health && health.lastError
+            ? `連続して失敗したため自動更新を停止しました\n最終エラー: ${formatDateTime(health.lastErrorAt)} ${health.lastError}`
+            : '連続して失敗したため自動更新を停止しました';
+        return;
+    }
+    if (!health || health.status === 'unknown') {
+        badge.classList.add('unknown');
+        badge.textContent = '未取得';
+        return;
+    }
+    
+    const details = [`最終成功: ${formatDateTime(health.lastSuccess)}`];
+    if (health.itemCount !== null) {
+        details.push(`記事数: ${health.itemCount}件`);
+    }
+    if (health.responseTime !== null) {
+        details.push(`応答時間: ${health.responseTime}ms`);
+    }
+    
+    if (health.status === 'ok') {
+        badge.classList.add('ok');
+        badge.textContent = health.itemCount !== null ? `正常 ${health.itemCount}件` : '正常';
+    } else {
+        badge.classList.add('error');
+        badge.textContent = `${ERROR_TYPE_LABELS[health.lastErrorType] || 'エラー'} (${health.consecutiveFailures}回連続)`;
+        details.push(`最終エラー: ${formatDateTime(health.lastErrorAt)} ${health.lastError}`);
+        if (health.nextRetryAt) {
+            details.push(`次回再試行: ${formatDateTime(health.nextRetryAt)}`);
+        }
+    }
+    badge.title = details.join('\n');
+}
+
+function updateFilterScopeOptions() {
+    ['filter-scope', 'highlight-scope'].forEach(id => {
+        const scopeSelect = document.getElementById(id);
+        const selected = scopeSelect.value;
+        scopeSelect.innerHTML = '<option value="">全フィード</option>';
+        currentFeeds.forEach(feed => {
+            const option = document.createElement('option');
+            option.value = feed.url;
+            option.textContent = feed.name;
+            scopeSelect.appendChild(option);
+        });
+        scopeSelect.value = currentFeeds.some(feed => feed.url === selected) ? selected : '';
+    });
+}
+
+// レーンに表示する記事の選択肢（表示中のチャンネル・グループ・フィード）を作り直す
+function updateLaneSourceOptions() {
+    const groups = [...new Set(currentFeeds.map(feed => feed.category).filter(Boolean))];
+    document.querySelectorAll('.lane-source').forEach(select => {
+        const selected = select.value;
+        select.innerHTML = '';
+        select.appendChild(new Option('表示中のチャンネル', ''));
+        [
+            ['グループ', groups.map(group => new Option(group, `${LANE_SOURCE_GROUP}${group}`))],
+            ['フィード', currentFeeds.map(feed => new Option(feed.name, `${LANE_SOURCE_FEED}${feed.url}`))]
+        ].filter(([, options]) => options.length > 0).forEach(([label, options]) => {
+            const group = document.createElement('optgroup');
+            group.label = label;
+            options.forEach(option => group.appendChild(option));
+            select.appendChild(group);
+        });
+        select.value = resolveLaneSource(selected, currentFeeds);
+    });
+}
+
+function getFeedName(url) {
+    const feed = currentFeeds.find(f => f.url === url);
+    return feed ? feed.name : url;
+}
+
+function displayFilterRules() {
+    const filterList = document.getElementById('filter-list');
+    filterList.innerHTML = '';
+    
+    currentFilterRules.forEach((rule, index) => {
+        const ruleItem = document.createElement('div');
+        ruleItem.className = `filter-item ${rule.type}`;
+        ruleItem.innerHTML = `
+            <input type="checkbox" class="toggle-filter" data-index="${index}" ${rule.enabled !== false ? 'checked' : ''}>
+            <span class="filter-type">${rule.type === 'exclude' ? '除外' : '含む'}</span>
+            <span class="filter-pattern"></span>
+            <span class="filter-scope"></span>
+            <button class="remove-filter" data-index="${index}">削除</button>
+        `;
+        ruleItem.querySelector('.filter-pattern').textContent = rule.isRegex ? `/${rule.pattern}/` : rule.pattern;
+        ruleItem.querySelector('.filter-scope').textContent = rule.feedUrl ? getFeedName(rule.feedUrl) : '全フィード';
+        filterList.appendChild(ruleItem);
+    });
+    
+    document.querySelectorAll('.toggle-filter').forEach(checkbox => {
+        checkbox.addEventListener('change', (e) => {
+            const rules = currentFilterRules.map((rule, index) =>
+                index === parseInt(e.target.dataset.index) ? { ...rule, enabled: e.target.checked } : rule
+            );
+            saveFilterRules(rules);
+        });
+    });
+    
+    document.querySelectorAll('.remove-filter').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            const rules = currentFilterRules.filter((rule, index) => index !== parseInt(e.target.dataset.index));
+            saveFilterRules(rules);
+        });
+    });
+    
+    refreshFilterPreview();
+}
+
+function displayHighlightRules() {
+    const highlightList = document.getElementById('highlight-list');
+    highlightList.innerHTML = '';
+    
+    currentHighlightRules.forEach((rule, index) => {
+        const effects = [
+            rule.badge ? `バッジ「${rule.badge}」` : '',
+            rule.blink ? '点滅' : '',
+            rule.slow ? 'ゆっくり表示' : ''
+        ].filter(Boolean).join(' / ');
+        const ruleItem = document.createElement('div');
+        ruleItem.className = 'filter-item highlight';
+        ruleItem.style.borderLeftColor = rule.color || '#ccc';
+        ruleItem.innerHTML = `
+            <input type="checkbox" class="toggle-highlight" data-index="${index}" ${rule.enabled !== false ? 'checked' : ''}>
+            <span class="filter-pattern"></span>
+            <span class="filter-scope"></span>
+            <span class="filter-scope highlight-effects"></span>
+            <button class="remove-filter remove-highlight" data-index="${index}">削除</button>
+        `;
+        const patternText = rule.pattern ? (rule.isRegex ? `/${rule.pattern}/` : rule.pattern) : '（全記事）';
+        ruleItem.querySelector('.filter-pattern').textContent = patternText;
+        ruleItem.querySelector('.filter-scope').textContent = rule.feedUrl ? getFeedName(rule.feedUrl) : '全フィード';
+        ruleItem.querySelector('.highlight-effects').textContent = effects;
+        highlightList.appendChild(ruleItem);
+    });
+    
+    document.querySelectorAll('.toggle-highlight').forEach(checkbox => {
+        checkbox.addEventListener('change', (e) => {
+            const rules = currentHighlightRules.map((rule, index) =>
+                index === parseInt(e.target.dataset.index) ? { ...rule, enabled: e.target.checked } : rule
+            );
+            saveHighlightRules(rules);
+        });
+    });
+    
+    document.querySelectorAll('.remove-highlight').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            const rules = currentHighlightRules.filter((rule, index) => index !== parseInt(e.target.dataset.index));
+            saveHighlightRules(rules);
+        });
+    });
+}
+
+async function saveHighlightRules(rules) {
+    const result = await ipcRenderer.invoke('set-highlight-rules', rules);
+    if (!result.success) {
+        alert(`ハイライトを保存できませんでした:\n${result.errors.map(e => e.message).join('\n')}`);
+        return false;
+    }
+    currentHighlightRules = rules;
+    displayHighlightRules();
+    return true;
+}
+
+async function addHighlightRule() {
+    const rule = {
+        pattern: document.getElementById('highlight-pattern').value.trim(),
+        isRegex: document.getElementById('highlight-regex').checked,
+        feedUrl: document.getElementById('highlight-scope').value || null,
+        color: document.getElementById('highlight-color').value,
+        badge: document.getElementById('highlight-badge').value.trim(),
+        blink: document.getElementById('highlight-blink').checked,
+        slow: document.getElementById('highlight-slow').checked,
+        enabled: true
+    };
+    
+    const saved = await saveHighlightRules([...currentHighlightRules, rule]);
+    if (saved) {
+        document.getElementById('highlight-pattern').value = '';
+        document.getElementById('highlight-badge').value = '';
+        document.getElementById('highlight-regex').checked = false;
+        document.getElementById('highlight-blink').checked = false;
+        document.getElementById('highlight-slow').checked = false;
+    }
+}
+
+function readDraftFilterRule() {
+    return {
+        type: document.getElementById('filter-type').value,
+        pattern: document.getElementById('filter-pattern').value.trim(),
+        isRegex: document.getElementById('filter-regex').checked,
+        feedUrl: document.getElementById('filter-scope').value || null,
+        enabled: true
+    };
+}
+
+async function saveFilterRules(rules) {
+    const result = await ipcRenderer.invoke('set-filter-rules', rules);
+    if (!result.success) {
+        alert(`フィルターを保存できませんでした:\n${result.errors.map(e => e.message).join('\n')}`);
+        return false;
+    }
+    currentFilterRules = rules;
+    displayFilterRules();
+    return true;
+}
+
+async function addFilterRule() {
+    const rule = readDraftFilterRule();
+    if (!rule.pattern) {
+        alert('キーワードを入力してください');
+        return;
+    }
+    
+    const saved = await saveFilterRules([...currentFilterRules, rule]);
+    if (saved) {
+        document.getElementById('filter-pattern').value = '';
+        document.getElementById('filter-regex').checked = false;
+    }
+}
+
+// 入力中のルールも含めて、現在の記事のうち非表示になるものを表示
+async function refreshFilterPreview() {
+    const draft = readDraftFilterRule();
+    const rules = draft.pattern ? [...currentFilterRules, draft] : currentFilterRules;
+    const summary = document.getElementById('filter-preview-summary');
+    const list = document.getElementById('filter-preview-list');
+    
+    const preview = await ipcRenderer.invoke('preview-filter-rules', rules);
+    summary.textContent = `現在の記事 ${preview.total}件のうち ${preview.hidden.length}件が非表示になります`;
+    list.innerHTML = '';
+    preview.hidden.forEach(item => {
+        const entry = document.createElement('li');
+        const reason = item.reason === 'exclude' ? `「${item.pattern}」に一致` : '含むキーワードに一致しない';
+        entry.textContent = `${item.title} [${item.source}] - ${reason}`;
+        list.appendChild(entry);
+    });
 }
 
 function updatePresetButtons() {
@@ -62,15 +509,37 @@ async function displaySettings() {
     document.getElementById('scroll-speed-value').textContent = currentSettings.scrollSpeed;
     document.getElementById('update-interval').value = currentSettings.updateInterval;
     document.getElementById('max-articles').value = currentSettings.maxArticles;
+    document.getElementById('article-order').value = currentSettings.articleOrder || 'date';
+    document.getElementById('channel-cycle-interval').value = currentSettings.channelCycleInterval || 0;
+    document.getElementById('deduplicate-articles').checked = currentSettings.deduplicateArticles;
+    document.getElementById('show-feed-errors').checked = currentSettings.showFeedErrors;
+    document.getElementById('mark-new-articles').checked = currentSettings.markNewArticles;
+    document.getElementById('suspend-feed-after-failures').value = currentSettings.suspendFeedAfterFailures;
+    document.getElementById('fetch-concurrency').value = currentSettings.fetchConcurrency;
+    document.getElementById('feed-timeout').value = currentSettings.feedTimeout;
     
-    // カスタマイズ設定
-    document.getElementById('text-color').value = currentSettings.textColor;
-    document.getElementById('text-color-hex').value = currentSettings.textColor;
-    document.getElementById('background-color').value = currentSettings.backgroundColor;
-    document.getElementById('background-color-hex').value = currentSettings.backgroundColor;
-    document.getElementById('source-color').value = currentSettings.sourceColor;
-    document.getElementById('source-color-hex').value = currentSettings.sourceColor;
-    document.getElementById('font-family').value = currentSettings.fontFamily;
+    // カスタマイズ設定（テーマを選んでいるときはテーマの配色を表示する）
+    displayThemeFields(resolveTheme(currentSettings, currentCustomThemes));
+    const userTheme = getSelectedUserTheme();
+    document.getElementById('theme-name').value = userTheme ? userTheme.name : '';
+    document.getElementById('render-mode').value = currentSettings.renderMode;
+    setRangeField('led-dot-size', currentSettings.ledDotSize);
+    setRangeField('led-dot-gap', currentSettings.ledDotGap);
+    setRangeField('led-off-dot-opacity', currentSettings.ledOffDotOpacity);
+    setRangeField('led-glow', currentSettings.ledGlow);
+    document.getElementById('lane-count').value = currentSettings.laneCount;
+    [1, 2, 3].forEach(lane => {
+        // グループ名の変更・フィードの削除で無くなった指定は表示中のチャンネルに戻す
+        document.getElementById(`lane-${lane}-source`).value =
+            resolveLaneSource(currentSettings[`lane${lane}Source`], currentFeeds);
+        document.getElementById(`lane-${lane}-direction`).value = currentSettings[`lane${lane}Direction`];
+        setRangeField(`lane-${lane}-speed`, currentSettings[`lane${lane}Speed`]);
+    });
+    document.getElementById('ticker-mode').value = currentSettings.tickerMode;
+    document.getElementById('page-transition').value = currentSettings.pageTransition;
+    document.getElementById('page-dwell-time').value = currentSettings.pageDwellTime;
+    document.getElementById('page-dwell-per-char').value = currentSettings.pageDwellPerChar;
+    updateModeSettingsVisibility();
     document.getElementById('window-width').value = currentSettings.windowWidth;
     document.getElementById('window-height').value = currentSettings.windowHeight;
     document.getElementById('always-on-top').checked = currentSettings.alwaysOnTop;
@@ -79,6 +548,209 @@ async function displaySettings() {
     await displayAutostartSettings();
 }
 
+// テーマの選択肢（組み込みテーマ・カスタム・保存したテーマ）を作り直す
+function populateThemeOptions() {
+    const select = document.getElementById('theme');
+    const selected = select.value;
+    select.innerHTML = '';
+    Object.entries(BUILTIN_THEMES).forEach(([id, theme]) => {
+        select.appendChild(new Option(theme.label, id));
+    });
+    select.appendChild(new Option('カスタム', 'custom'));
+    if (currentCustomThemes.length > 0) {
+        const group = document.createElement('optgroup');
+        group.label = '保存したテーマ';
+        currentCustomThemes.forEach(theme => {
+            group.appendChild(new Option(theme.name, userThemeId(theme.name)));
+        });
+        select.appendChild(group);
+    }
+    select.value = selected;
+}
+
+function getSelectedUserTheme() {
+    const selected = document.getElementById('theme').value;
+    return currentCustomThemes.find(theme => userThemeId(theme.name) === selected) || null;
+}
+
+// カラーピッカーは #rrggbb 形式しか受け付けないため #rgb を展開する
+function toPickerColor(color) {
+    return /^#[0-9a-f]{3}$/i.test(color)
+        ? `#${color.slice(1).split('').map(digit => digit + digit).join('')}`
+        : color;
+}
+
+function setColorField(id, color) {
+    document.getElementById(id).value = toPickerColor(color);
+    const hexInput = document.getElementById(`${id}-hex`);
+    if (hexInput) {
+        hexInput.value = color;
+    }
+}
+
+function setRangeField(id, value) {
+    document.getElementById(id).value = value;
+    document.getElementById(`${id}-value`).textContent = value;
+}
+
+// 光彩・影は大きさ0、グラデーションはチェックを外して「使わない」を表す
+function displayThemeFields(fields) {
+    setColorField('text-color', fields.textColor);
+    setColorField('background-color', fields.backgroundColor);
+    setColorField('source-color', fields.sourceColor);
+    if (fields.fontFamily) {
+        document.getElementById('font-family').value = fields.fontFamily;
+    }
+    setColorField('glow-color', fields.glowColor || fields.textColor);
+    setRangeField('glow-size', fields.glowColor ? fields.glowSize ?? DEFAULT_SETTINGS.glowSize : 0);
+    setColorField('shadow-color', fields.shadowColor || '#000000');
+    setRangeField('shadow-offset', fields.shadowColor ? fields.shadowOffset ?? DEFAULT_SETTINGS.shadowOffset : 0);
+    document.getElementById('gradient-enabled').checked = Boolean(fields.gradientColor);
+    setColorField('gradient-color', fields.gradientColor || fields.backgroundColor);
+    setRangeField('gradient-angle', fields.gradientAngle ?? DEFAULT_SETTINGS.gradientAngle);
+}
+
+function readThemeFields() {
+    return {
+        textColor: document.getElementById('text-color').value,
+        backgroundColor: document.getElementById('background-color').value,
+        sourceColor: document.getElementById('source-color').value,
+        fontFamily: document.getElementById('font-family').value,
+        glowColor: document.getElementById('glow-color').value,
+        glowSize: parseInt(document.getElementById('glow-size').value),
+        shadowColor: document.getElementById('shadow-color').value,
+        shadowOffset: parseInt(document.getElementById('shadow-offset').value),
+        gradientColor: document.getElementById('gradient-enabled').checked
+            ? document.getElementById('gradient-color').value
+            : '',
+        gradientAngle: parseInt(document.getElementById('gradient-angle').value)
+    };
+}
+
+function readRenderSettings() {
+    return {
+        renderMode: document.getElementById('render-mode').value,
+        ledDotSize: parseInt(document.getElementById('led-dot-size').value),
+        ledDotGap: parseInt(document.getElementById('led-dot-gap').value),
+        ledOffDotOpacity: parseInt(document.getElementById('led-off-dot-opacity').value),
+        ledGlow: parseInt(document.getElementById('led-glow').value),
+        tickerMode: document.getElementById('ticker-mode').value,
+        pageTransition: document.getElementById('page-transition').value,
+        pageDwellTime: parseInt(document.getElementById('page-dwell-time').value),
+        pageDwellPerChar: parseInt(document.getElementById('page-dwell-per-char').value),
+        ...readLaneSettings()
+    };
+}
+
+function readLaneSettings() {
+    const settings = { laneCount: parseInt(document.getElementById('lane-count').value) };
+    [1, 2, 3].forEach(lane => {
+        settings[`lane${lane}Source`] = document.getElementById(`lane-${lane}-source`).value;
+        settings[`lane${lane}Direction`] = document.getElementById(`lane-${lane}-direction`).value;
+        settings[`lane${lane}Speed`] = parseInt(document.getElementById(`lane-${lane}-speed`).value);
+    });
+    return settings;
+}
+
+// 表示の動き・表示方式に関係する設定だけを表示する（ドットの設定はLEDドットマトリクスのときだけ）
+// 複数レーンは文字の横スクロールで表示するため、レーンの設定だけを表示する
+function updateModeSettingsVisibility() {
+    const laneCount = parseInt(document.getElementById('lane-count').value);
+    const single = laneCount === 1;
+    const page = document.getElementById('ticker-mode').value === 'page';
+    const led = document.getElementById('render-mode').value === 'led';
+    document.querySelectorAll('.lane-setting').forEach(item => {
+        item.hidden = single || parseInt(item.dataset.lane) > laneCount;
+    });
+    document.querySelectorAll('.single-lane-setting').forEach(item => {
+        item.hidden = !single;
+    });
+    document.querySelectorAll('.scroll-setting').forEach(item => {
+        item.hidden = !single || page || (item.classList.contains('led-setting') && !led);
+    });
+    document.querySelectorAll('.page-setting').forEach(item => {
+        item.hidden = !single || !page;
+    });
+}
+
+function showThemeMessage(message, state = '') {
+    const element = document.getElementById('theme-message');
+    element.textContent = message;
+    element.className = `profile-message ${state}`.trim();
+}
+
+async function refreshCustomThemes(selected) {
+    currentCustomThemes = await ipcRenderer.invoke('get-custom-themes');
+    populateThemeOptions();
+    document.getElementById('theme').value = selected;
+}
+
+// 編集中の配色・フォント・効果を名前を付けて保存し、そのテーマを選択する
+async function saveCustomTheme() {
+    const name = document.getElementById('theme-name').value.trim();
+    if (currentCustomThemes.some(theme => theme.name === name) && !confirm(`テーマ「${name}」を上書きしますか？`)) {
+        return;
+    }
+    const result = await ipcRenderer.invoke('save-custom-theme', { name, ...readThemeFields() });
+    if (!result.success) {
+        showThemeMessage(result.error.message, 'invalid');
+        return;
+    }
+    await refreshCustomThemes(userThemeId(result.theme.name));
+    showThemeMessage(`テーマ「${result.theme.name}」を保存しました`, 'valid');
+    previewSettings();
+}
+
+async function deleteCustomTheme() {
+    const theme = getSelectedUserTheme();
+    if (!theme) {
+        showThemeMessage('削除する保存したテーマを選択してください', 'invalid');
+        return;
+    }
+    if (!confirm(`テーマ「${theme.name}」を削除しますか？`)) {
+        return;
+    }
+    await ipcRenderer.invoke('delete-custom-theme', theme.name);
+    // 表示中の配色はカスタム設定として残す
+    await refreshCustomThemes('custom');
+    document.getElementById('theme-name').value = '';
+    showThemeMessage(`テーマ「${theme.name}」を削除しました`, 'valid');
+    previewSettings();
+}
+
+async function exportCustomTheme() {
+    const theme = getSelectedUserTheme();
+    if (!theme) {
+        showThemeMessage('エクスポートする保存したテーマを選択してください', 'invalid');
+        return;
+    }
+    const result = await ipcRenderer.invoke('export-theme', theme.name);
+    if (result.canceled) {
+        return;
+    }
+    if (result.success) {
+        showThemeMessage(`テーマを ${result.filePath} に書き出しました`, 'valid');
+    } else {
+        showThemeMessage(`テーマのエクスポートに失敗しました: ${result.error}`, 'invalid');
+    }
+}
+
+async function importCustomTheme() {
+    const result = await ipcRenderer.invoke('import-theme');
+    if (result.canceled) {
+        return;
+    }
+    if (!result.success) {
+        showThemeMessage(`テーマを読み込めませんでした: ${result.error}`, 'invalid');
+        return;
+    }
+    await refreshCustomThemes(userThemeId(result.theme.name));
+    displayThemeFields(result.theme);
+    document.getElementById('theme-name').value = result.theme.name;
+    showThemeMessage(`テーマ「${result.theme.name}」を読み込みました`, 'valid');
+    previewSettings();
+}
+
 async function displayAutostartSettings() {
     const autostartCheckbox = document.getElementById('autostart');
     const autostartLabel = autostartCheckbox.parentElement.querySelector('label');
@@ -121,23 +793,89 @@ async function displayAutostartSettings() {
     }
 }
 
+function showFeedValidation(message, state = '') {
+    const status = document.getElementById('feed-validation');
+    status.textContent = message;
+    status.className = `feed-validation ${state}`.trim();
+}
+
+// URL入力後にフィードを検証し、サイトURLなら検出したフィードURLに置き換える
+async function validateFeedUrl() {
+    const urlInput = document.getElementById('feed-url');
+    const url = urlInput.value.trim();
+    if (!url) {
+        showFeedValidation('');
+        return;
+    }
+    
+    showFeedValidation('フィードを確認しています...');
+    const result = await ipcRenderer.invoke('validate-feed', url);
+    if (urlInput.value.trim() !== url) {
+        return; // 確認中にURLが変更された
+    }
+    if (!result.success) {
+        showFeedValidation(result.error.message, 'invalid');
+        return;
+    }
+    
+    urlInput.value = result.url;
+    const nameInput = document.getElementById('feed-name');
+    if (!nameInput.value.trim() && result.title) {
+        nameInput.value = result.title;
+    }
+    const found = result.discovered ? 'ページからフィードを検出しました' : 'フィードを確認しました';
+    showFeedValidation(`${found}: ${result.title || result.url} (${result.itemCount}件の記事)`, 'valid');
+}
+
 async function addFeed() {
     const url = document.getElementById('feed-url').value.trim();
     const name = document.getElementById('feed-name').value.trim();
+    const category = document.getElementById('feed-category').value.trim();
+    const maxItems = parseInt(document.getElementById('feed-max-items').value);
+    const updateInterval = parseInt(document.getElementById('feed-update-interval').value);
     
-    if (!url || !name) {
-        alert('URLと名前を入力してください');
+    if (!url) {
+        showFeedValidation('URLを入力してください', 'invalid');
         return;
     }
     
-    const success = await ipcRenderer.invoke('add-feed', url, name);
-    if (success) {
+    const addButton = document.getElementById('add-feed-btn');
+    addButton.disabled = true;
+    showFeedValidation('フィードを確認しています...');
+    
+    const options = {};
+    if (category) {
+        options.category = category;
+    }
+    if (maxItems > 0) {
+        options.maxItems = maxItems;
+    }
+    if (updateInterval > 0) {
+        options.updateInterval = updateInterval;
+    }
+    const result = await ipcRenderer.invoke('add-feed', url, name, options);
+    addButton.disabled = false;
+    
+    if (result.success) {
         document.getElementById('feed-url').value = '';
         document.getElementById('feed-name').value = '';
+        document.getElementById('feed-category').value = '';
+        document.getElementById('feed-max-items').value = '';
+        document.getElementById('feed-update-interval').value = '';
+        showFeedValidation(`「${result.feed.name}」を追加しました`, 'valid');
         currentFeeds = await ipcRenderer.invoke('get-feeds');
         displayFeeds();
     } else {
-        alert('このフィードは既に登録されています');
+        showFeedValidation(result.error.message, 'invalid');
+    }
+}
+
+async function resumeFeed(url) {
+    const success = await ipcRenderer.invoke('resume-feed', url);
+    if (success) {
+        currentFeeds = await ipcRenderer.invoke('get-feeds');
+        currentFeedHealth = await ipcRenderer.invoke('get-feed-health');
+        displayFeeds();
     }
 }
 
@@ -149,6 +887,289 @@ async function removeFeed(url) {
     }
 }
 
+async function importOPML() {
+    const result = await ipcRenderer.invoke('import-opml');
+    if (result.canceled) {
+        return;
+    }
+    if (!result.success) {
+        alert(`OPMLのインポートに失敗しました: ${result.error}`);
+        return;
+    }
+    
+    currentFeeds = await ipcRenderer.invoke('get-feeds');
+    displayFeeds();
+    displayOPMLReport(result);
+}
+
+// インポート結果（追加・重複・検証エラー）を表示
+function displayOPMLReport(result) {
+    const report = document.getElementById('opml-report');
+    report.innerHTML = '';
+    
+    const summary = document.createElement('div');
+    summary.className = 'opml-report-summary';
+    summary.textContent = `追加 ${result.added.length}件 / 登録済み ${result.duplicates.length}件 / ` +
+        `不正 ${result.invalid.length}件 / 取得失敗 ${result.failed.length}件`;
+    report.appendChild(summary);
+    
+    const sections = [
+        { title: '登録済みのためスキップ', items: result.duplicates, format: feed => `${feed.name} (${feed.url})` },
+        { title: '検証に失敗したフィード', items: result.invalid, format: feed => `${feed.name} (${feed.url || 'URLなし'}) - ${feed.reason}` },
+        { title: '取得・解析できなかったフィード', items: result.failed, format: feed => `${feed.name} (${feed.url}) - ${feed.reason}` }
+    ];
+    sections.filter(section => section.items.length > 0).forEach(section => {
+        const heading = document.createElement('div');
+        heading.className = 'opml-report-heading';
+        heading.textContent = section.title;
+        const list = document.createElement('ul');
+        section.items.forEach(item => {
+            const entry = document.createElement('li');
+            entry.textContent = section.format(item);
+            list.appendChild(entry);
+        });
+        report.appendChild(heading);
+        report.appendChild(list);
+    });
+}
+
+async function exportOPML() {
+    const result = await ipcRenderer.invoke('export-opml');
+    if (result.canceled) {
+        return;
+    }
+    if (result.success) {
+        document.getElementById('opml-report').textContent = `${result.count}件のフィードを ${result.filePath} に書き出しました`;
+    } else {
+        alert(`OPMLのエクスポートに失敗しました: ${result.error}`);
+    }
+}
+
+async function exportConfig() {
+    const result = await ipcRenderer.invoke('export-config');
+    if (result.canceled) {
+        return;
+    }
+    if (result.success) {
+        document.getElementById('backup-message').textContent = `設定を ${result.filePath} に書き出しました`;
+    } else {
+        alert(`設定のエクスポートに失敗しました: ${result.error}`);
+    }
+}
+
+function getBackupMode() {
+    return document.querySelector('input[name="backup-mode"]:checked').value;
+}
+
+// バックアップを読み込み、適用前に差分を表示する
+async function importConfig() {
+    const result = await ipcRenderer.invoke('preview-config-import', getBackupMode());
+    if (result.canceled) {
+        return;
+    }
+    if (!result.success) {
+        alert(`バックアップを読み込めませんでした: ${result.error}`);
+        return;
+    }
+    displayBackupDiff(result);
+}
+
+async function changeBackupMode() {
+    const result = await ipcRenderer.invoke('plan-config-import', getBackupMode());
+    if (result.success) {
+        displayBackupDiff(result);
+    }
+}
+
+function formatSettingValue(value) {
+    return value === undefined ? '(なし)' : JSON.stringify(value);
+}
+
+function displayBackupDiff(result) {
+    const { diff } = result;
+    const container = document.getElementById('backup-diff');
+    container.innerHTML = '';
+    document.getElementById('backup-preview').hidden = false;
+    document.getElementById('backup-message').textContent = result.filePath;
+
+    const listDiff = (label, changes, format) => [
+        ...changes.added.map(item => `+ ${label}: ${format(item)}`),
+        ...changes.removed.map(item => `- ${label}: ${format(item)}`),
+        ...changes.changed.map(item => `~ ${label}: ${format(item)}`)
+    ];
+    const formatRule = rule => (rule.isRegex ? `/${rule.pattern}/` : rule.pattern || getFeedName(rule.feedUrl));
+    const sections = [
+        { title: '設定', items: diff.settings.map(change => `${change.key}: ${formatSettingValue(change.from)} → ${formatSettingValue(change.to)}`) },
+        { title: 'フィード', items: listDiff('フィード', diff.feeds, feed => `${feed.name} (${feed.url})`) },
+        { title: 'キーワードフィルター', items: listDiff('フィルター', diff.filterRules, formatRule) },
+        { title: 'ハイライト', items: listDiff('ハイライト', diff.highlightRules, formatRule) },
+        { title: 'プロファイル', items: listDiff('プロファイル', diff.profiles, profile => profile.name) },
+        { title: 'テーマ', items: listDiff('テーマ', diff.customThemes, theme => theme.name) },
+        { title: '読み込まない項目', items: result.warnings }
+    ];
+
+    const changes = sections.slice(0, -1).reduce((count, section) => count + section.items.length, 0);
+    const summary = document.createElement('div');
+    summary.className = 'backup-diff-summary';
+    summary.textContent = changes > 0 ? `${changes}件の変更があります` : '現在の設定から変更はありません';
+    container.appendChild(summary);
+
+    sections.filter(section => section.items.length > 0).forEach(section => {
+        const heading = document.createElement('div');
+        heading.className = 'backup-diff-heading';
+        heading.textContent = section.title;
+        const list = document.createElement('ul');
+        section.items.forEach(item => {
+            const entry = document.createElement('li');
+            entry.textContent = item;
+            list.appendChild(entry);
+        });
+        container.appendChild(heading);
+        container.appendChild(list);
+    });
+}
+
+async function applyBackup() {
+    const mode = getBackupMode();
+    if (mode === 'replace' && !confirm('現在のフィード・設定・フィルター・プロファイルをすべて置き換えます。よろしいですか？')) {
+        return;
+    }
+    const result = await ipcRenderer.invoke('apply-config-import', mode);
+    if (!result.success) {
+        alert(`バックアップを適用できませんでした: ${result.error}`);
+        return;
+    }
+    document.getElementById('backup-preview').hidden = true;
+    await loadCurrentSettings();
+    document.getElementById('backup-message').textContent = 'バックアップから復元しました';
+}
+
+async function cancelBackup() {
+    await ipcRenderer.invoke('cancel-config-import');
+    document.getElementById('backup-preview').hidden = true;
+    document.getElementById('backup-message').textContent = '';
+}
+
+function describeSchedule(schedule) {
+    return schedule ? `${schedule.start}〜${schedule.end} に自動で切り替え` : '手動で切り替え';
+}
+
+function displayProfiles() {
+    const profileList = document.getElementById('profile-list');
+    profileList.innerHTML = '';
+
+    currentProfiles.profiles.forEach(profile => {
+        const profileItem = document.createElement('div');
+        profileItem.className = 'profile-item';
+        if (profile.name === currentProfiles.active) {
+            profileItem.classList.add('active');
+        }
+        profileItem.innerHTML = `
+            <div class="profile-info">
+                <div class="profile-name"></div>
+                <div class="profile-detail"></div>
+            </div>
+            <button class="apply-profile">適用</button>
+            <button class="overwrite-profile" title="現在のフィードと表示設定で上書き">上書き</button>
+            <button class="rename-profile">名前変更</button>
+            <button class="duplicate-profile">複製</button>
+            <button class="delete-profile">削除</button>
+        `;
+        profileItem.querySelector('.profile-name').textContent = profile.name;
+        profileItem.querySelector('.profile-detail').textContent =
+            `フィード${profile.feeds.length}件 / ${describeSchedule(profile.schedule)}`;
+        profileItem.querySelector('.apply-profile').addEventListener('click', () => applyProfile(profile.name));
+        profileItem.querySelector('.overwrite-profile').addEventListener('click', () => saveProfile(profile.name, profile.schedule));
+        profileItem.querySelector('.rename-profile').addEventListener('click', () => showProfileRenamer(profileItem, profile));
+        profileItem.querySelector('.duplicate-profile').addEventListener('click', () => duplicateProfile(profile.name));
+        profileItem.querySelector('.delete-profile').addEventListener('click', () => deleteProfile(profile.name));
+        profileList.appendChild(profileItem);
+    });
+}
+
+// プロファイル名の編集フォームを表示
+function showProfileRenamer(profileItem, profile) {
+    const info = profileItem.querySelector('.profile-info');
+    info.innerHTML = `
+        <div class="profile-rename">
+            <input type="text" class="rename-input">
+            <button class="save-rename">保存</button>
+            <button class="cancel-rename">キャンセル</button>
+        </div>
+        <div class="profile-rename-error"></div>
+    `;
+    info.querySelector('.rename-input').value = profile.name;
+    info.querySelector('.cancel-rename').addEventListener('click', displayProfiles);
+    info.querySelector('.save-rename').addEventListener('click', async () => {
+        const result = await ipcRenderer.invoke('rename-profile', profile.name, info.querySelector('.rename-input').value);
+        if (result.success) {
+            await refreshProfiles();
+        } else {
+            info.querySelector('.profile-rename-error').textContent = result.error.message;
+        }
+    });
+}
+
+function showProfileMessage(message, state = '') {
+    const element = document.getElementById('profile-message');
+    element.textContent = message;
+    element.className = `profile-message ${state}`.trim();
+}
+
+async function refreshProfiles() {
+    currentProfiles = await ipcRenderer.invoke('get-profiles');
+    displayProfiles();
+}
+
+async function saveProfile(name, schedule) {
+    const result = await ipcRenderer.invoke('save-profile', name, schedule);
+    if (result.success) {
+        showProfileMessage(`プロファイル「${result.profile.name}」を保存しました`, 'valid');
+        await refreshProfiles();
+    } else {
+        showProfileMessage(result.error.message, 'invalid');
+    }
+    return result.success;
+}
+
+async function saveNewProfile() {
+    const start = document.getElementById('profile-schedule-start').value;
+    const end = document.getElementById('profile-schedule-end').value;
+    const schedule = start || end ? { start, end } : null;
+    const saved = await saveProfile(document.getElementById('profile-name').value, schedule);
+    if (saved) {
+        document.getElementById('profile-name').value = '';
+        document.getElementById('profile-schedule-start').value = '';
+        document.getElementById('profile-schedule-end').value = '';
+    }
+}
+
+// 適用後の設定は main から 'profile-applied' で通知され、画面を読み込み直す
+async function applyProfile(name) {
+    const applied = await ipcRenderer.invoke('apply-profile', name);
+    if (!applied) {
+        showProfileMessage(`プロファイル「${name}」が見つかりません`, 'invalid');
+    }
+}
+
+async function duplicateProfile(name) {
+    const result = await ipcRenderer.invoke('duplicate-profile', name);
+    if (result.success) {
+        showProfileMessage(`「${result.name}」を作成しました`, 'valid');
+        await refreshProfiles();
+    } else {
+        showProfileMessage(result.error.message, 'invalid');
+    }
+}
+
+async function deleteProfile(name) {
+    if (!confirm(`プロファイル「${name}」を削除しますか？`)) {
+        return;
+    }
+    await ipcRenderer.invoke('delete-profile', name);
+    await refreshProfiles();
+}
+
 async function saveSettings() {
     const newSettings = {
         theme: document.getElementById('theme').value,
@@ -156,10 +1177,16 @@ async function saveSettings() {
         scrollSpeed: parseInt(document.getElementById('scroll-speed').value),
         updateInterval: parseInt(document.getElementById('update-interval').value),
         maxArticles: parseInt(document.getElementById('max-articles').value),
-        textColor: document.getElementById('text-color').value,
-        backgroundColor: document.getElementById('background-color').value,
-        sourceColor: document.getElementById('source-color').value,
-        fontFamily: document.getElementById('font-family').value,
+        articleOrder: document.getElementById('article-order').value,
+        channelCycleInterval: parseInt(document.getElementById('channel-cycle-interval').value) || 0,
+        deduplicateArticles: document.getElementById('deduplicate-articles').checked,
+        showFeedErrors: document.getElementById('show-feed-errors').checked,
+        markNewArticles: document.getElementById('mark-new-articles').checked,
+        suspendFeedAfterFailures: parseInt(document.getElementById('suspend-feed-after-failures').value) || 0,
+        fetchConcurrency: parseInt(document.getElementById('fetch-concurrency').value),
+        feedTimeout: parseInt(document.getElementById('feed-timeout').value),
+        ...readThemeFields(),
+        ...readRenderSettings(),
         windowWidth: parseInt(document.getElementById('window-width').value),
         windowHeight: parseInt(document.getElementById('window-height').value),
         alwaysOnTop: document.getElementById('always-on-top').checked
@@ -175,32 +1202,82 @@ async function saveSettings() {
         return; // エラーの場合は設定保存を中断
     }
     
-    await ipcRenderer.invoke('update-settings', newSettings);
+    const result = await ipcRenderer.invoke('update-settings', newSettings);
+    if (result.errors.length > 0) {
+        // 丸めた値・保存しなかった項目を知らせ、保存後の値を表示し直す
+        alert(`次の設定を確認してください:\n${result.errors.map(describeSettingError).join('\n')}`);
+        currentSettings = result.settings;
+        await displaySettings();
+        return;
+    }
     window.close();
 }
 
-function resetSettings() {
-    const defaults = {
-        theme: 'dark',
-        fontSize: 48,
-        scrollSpeed: 30,
-        updateInterval: 300000,
-        maxArticles: 20,
-        textColor: '#0ff',
-        backgroundColor: '#000',
-        sourceColor: '#ff0',
-        fontFamily: 'Courier New',
-        windowWidth: 1200,
-        windowHeight: 150,
-        alwaysOnTop: false
-    };
-    
-    currentSettings = { ...currentSettings, ...defaults };
-    displaySettings();
+// 設定キー（camelCase）と同じ名前の入力欄（kebab-case）のラベルを使って表示する
+function describeSettingError(error) {
+    const id = error.key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+    const label = document.querySelector(`label[for="${id}"]`);
+    const name = label ? label.textContent.replace(/[:：]\s*$/, '') : error.key;
+    return 'clamped' in error
+        ? `${name}: ${error.message}（${error.clamped} に調整しました）`
+        : `${name}: ${error.message}`;
+}
+
+async function resetSettings() {
+    currentSettings = { ...currentSettings, ...DEFAULT_SETTINGS };
+    await displaySettings();
+    previewSettings();
+}
+
+// 表示に関わる設定の編集中の値をメインのティッカーにプレビュー表示する
+function previewSettings() {
+    ipcRenderer.send('preview-settings', {
+        theme: document.getElementById('theme').value,
+        fontSize: parseInt(document.getElementById('font-size').value),
+        scrollSpeed: parseInt(document.getElementById('scroll-speed').value),
+        markNewArticles: document.getElementById('mark-new-articles').checked,
+        ...readThemeFields(),
+        ...readRenderSettings()
+    });
 }
 
+ipcRenderer.on('profile-applied', async (event, name) => {
+    await loadCurrentSettings();
+    showProfileMessage(`プロファイル「${name}」に切り替えました`, 'valid');
+});
+
+ipcRenderer.on('feed-health-updated', (event, health) => {
+    currentFeedHealth = health;
+    updateFeedStatuses();
+});
+
 document.getElementById('add-feed-btn').addEventListener('click', addFeed);
+document.getElementById('feed-url').addEventListener('change', validateFeedUrl);
+document.getElementById('import-opml-btn').addEventListener('click', importOPML);
+document.getElementById('export-opml-btn').addEventListener('click', exportOPML);
+document.getElementById('save-profile-btn').addEventListener('click', saveNewProfile);
+document.getElementById('save-theme-btn').addEventListener('click', saveCustomTheme);
+document.getElementById('delete-theme-btn').addEventListener('click', deleteCustomTheme);
+document.getElementById('export-theme-btn').addEventListener('click', exportCustomTheme);
+document.getElementById('import-theme-btn').addEventListener('click', importCustomTheme);
+document.getElementById('export-config-btn').addEventListener('click', exportConfig);
+document.getElementById('import-config-btn').addEventListener('click', importConfig);
+document.getElementById('apply-backup-btn').addEventListener('click', applyBackup);
+document.getElementById('cancel-backup-btn').addEventListener('click', cancelBackup);
+document.querySelectorAll('input[name="backup-mode"]').forEach(radio => {
+    radio.addEventListener('change', changeBackupMode);
+});
+document.getElementById('add-filter-btn').addEventListener('click', addFilterRule);
+document.getElementById('add-highlight-btn').addEventListener('click', addHighlightRule);
+['filter-type', 'filter-regex', 'filter-scope'].forEach(id => {
+    document.getElementById(id).addEventListener('change', refreshFilterPreview);
+});
+document.getElementById('filter-pattern').addEventListener('input', refreshFilterPreview);
+document.getElementById('filter-pattern').addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') addFilterRule();
+});
 document.getElementById('save-settings').addEventListener('click', saveSettings);
+// 閉じるとメインプロセスがプレビューを取り消して保存済みの設定に戻す
 document.getElementById('cancel-settings').addEventListener('click', () => window.close());
 document.getElementById('reset-settings').addEventListener('click', resetSettings);
 
@@ -382,29 +1459,56 @@ document.getElementById('source-color-hex').addEventListener('input', (e) => {
     }
 });
 
-// テーマ変更時の処理
-const themePresets = {
-    dark: { textColor: '#0ff', backgroundColor: '#000', sourceColor: '#ff0' },
-    light: { textColor: '#333', backgroundColor: '#f0f0f0', sourceColor: '#666' },
-    matrix: { textColor: '#00ff00', backgroundColor: '#000', sourceColor: '#00cc00' },
-    retro: { textColor: '#ffaa00', backgroundColor: '#222', sourceColor: '#ff6600' },
-    ocean: { textColor: '#66ccff', backgroundColor: '#001a33', sourceColor: '#0099ff' },
-    sunset: { textColor: '#ff6b9d', backgroundColor: '#1a0033', sourceColor: '#ffd93d' },
-    cyberpunk: { textColor: '#ff00ff', backgroundColor: '#0a0a0a', sourceColor: '#00ffff' },
-    monochrome: { textColor: '#fff', backgroundColor: '#000', sourceColor: '#ccc' }
-};
-
-document.getElementById('theme').addEventListener('change', (e) => {
-    const theme = e.target.value;
-    if (theme !== 'custom' && themePresets[theme]) {
-        const preset = themePresets[theme];
-        document.getElementById('text-color').value = preset.textColor;
-        document.getElementById('text-color-hex').value = preset.textColor;
-        document.getElementById('background-color').value = preset.backgroundColor;
-        document.getElementById('background-color-hex').value = preset.backgroundColor;
-        document.getElementById('source-color').value = preset.sourceColor;
-        document.getElementById('source-color-hex').value = preset.sourceColor;
+['lane-count', 'ticker-mode', 'render-mode'].forEach(id => {
+    document.getElementById(id).addEventListener('change', updateModeSettingsVisibility);
+});
+
+['glow-size', 'shadow-offset', 'gradient-angle', 'led-dot-size', 'led-dot-gap', 'led-off-dot-opacity', 'led-glow',
+    'lane-1-speed', 'lane-2-speed', 'lane-3-speed'].forEach(id => {
+    document.getElementById(id).addEventListener('input', (e) => {
+        document.getElementById(`${id}-value`).textContent = e.target.value;
+    });
+});
+
+// テーマ変更時はテーマの配色を入力欄に反映する
+document.getElementById('theme').addEventListener('change', () => {
+    const theme = document.getElementById('theme').value;
+    const userTheme = getSelectedUserTheme();
+    if (BUILTIN_THEMES[theme]) {
+        displayThemeFields(resolveTheme({ ...readThemeFields(), theme }));
+    } else if (userTheme) {
+        displayThemeFields(resolveTheme({ ...readThemeFields(), theme }, currentCustomThemes));
+        document.getElementById('theme-name').value = userTheme.name;
+    }
+});
+
+// テーマの項目を編集したらカスタムに切り替える（組み込みテーマはフォントを含まないのでそのまま）
+function switchToCustomTheme(e) {
+    const select = document.getElementById('theme');
+    if (select.value === 'custom' || (e.target.id === 'font-family' && BUILTIN_THEMES[select.value])) {
+        return;
     }
+    select.value = 'custom';
+}
+['font-family', 'gradient-enabled'].forEach(id => {
+    document.getElementById(id).addEventListener('change', switchToCustomTheme);
+});
+['text-color', 'text-color-hex', 'background-color', 'background-color-hex', 'source-color', 'source-color-hex',
+    'glow-color', 'glow-size', 'shadow-color', 'shadow-offset', 'gradient-color', 'gradient-angle'].forEach(id => {
+    document.getElementById(id).addEventListener('input', switchToCustomTheme);
+});
+
+// テーマの配色を反映した後に送るため、テーマの change ハンドラーより後に登録する
+['theme', 'font-family', 'gradient-enabled', 'render-mode', 'mark-new-articles', 'ticker-mode', 'page-transition',
+    'page-dwell-time', 'page-dwell-per-char', 'lane-count', 'lane-1-source', 'lane-1-direction', 'lane-2-source',
+    'lane-2-direction', 'lane-3-source', 'lane-3-direction'].forEach(id => {
+    document.getElementById(id).addEventListener('change', previewSettings);
+});
+['font-size', 'scroll-speed', 'text-color', 'text-color-hex', 'background-color', 'background-color-hex',
+    'source-color', 'source-color-hex', 'glow-color', 'glow-size', 'shadow-color', 'shadow-offset',
+    'gradient-color', 'gradient-angle', 'led-dot-size', 'led-dot-gap', 'led-off-dot-opacity', 'led-glow',
+    'lane-1-speed', 'lane-2-speed', 'lane-3-speed'].forEach(id => {
+    document.getElementById(id).addEventListener('input', previewSettings);
 });
 
 // DOMContentLoaded イベントで初期化
@@ -425,12 +1529,12 @@ document.addEventListener('DOMContentLoaded', () => {
                 await removeFeed(url);
             } else {
                 // 追加
-                const success = await ipcRenderer.invoke('add-feed', url, name);
-                if (success) {
+                const result = await ipcRenderer.invoke('add-feed', url, name);
+                if (result.success) {
                     currentFeeds = await ipcRenderer.invoke('get-feeds');
                     displayFeeds();
                 } else {
-                    alert('フィードの追加に失敗しました');
+                    alert(`フィードの追加に失敗しました: ${result.error.message}`);
                 }
             }
         });
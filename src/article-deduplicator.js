@@ -0,0 +1,147 @@
+// タイトルの類似度がこの値以上なら同じ記事とみなす
+const DEFAULT_SIMILARITY_THRESHOLD = 0.85;
+
+// 除去するトラッキング用クエリパラメータ
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|yclid|mc_cid|mc_eid)$/i;
+
+/**
+ * 記事URLを正規化（トラッキングパラメータ・フラグメント・末尾スラッシュを除去）
+ * Canonicalize an article URL for duplicate detection
+ * @param {string} url - Article URL
+ * @returns {string} Canonical URL, or '' if the URL is invalid
+ */
+function canonicalizeUrl(url) {
+    if (!url) return '';
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return '';
+    }
+
+    [...parsed.searchParams.keys()]
+        .filter(key => TRACKING_PARAMS.test(key))
+        .forEach(key => parsed.searchParams.delete(key));
+    parsed.searchParams.sort();
+    parsed.hash = '';
+
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    const pathname = parsed.pathname.replace(/\/+$/, '');
+    const query = parsed.searchParams.toString();
+
+    return `${host}${pathname}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * タイトルを比較用に正規化（全角半角・大文字小文字・記号の揺れを吸収）
+ * Normalize a title for similarity comparison
+ * @param {string} title - Article title
+ * @returns {string} Normalized title
+ */
+function normalizeTitle(title) {
+    return (title || '')
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/[\s\p{P}\p{S}]+/gu, '');
+}
+
+function toBigrams(text) {
+    const bigrams = new Map();
+    for (let i = 0; i < text.length - 1; i++) {
+        const bigram = text.slice(i, i + 2);
+        bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+    }
+    return bigrams;
+}
+
+function diceCoefficient(a, b) {
+    if (a.text === b.text) return 1;
+    if (a.size === 0 || b.size === 0) return 0;
+    // 数字（日付・金額・回数など）が異なる見出しは別の記事とみなす
+    if (a.numbers !== b.numbers) return 0;
+
+    let overlap = 0;
+    a.bigrams.forEach((count, bigram) => {
+        overlap += Math.min(count, b.bigrams.get(bigram) || 0);
+    });
+    return (2 * overlap) / (a.size + b.size);
+}
+
+function toTitleKey(title) {
+    const text = normalizeTitle(title);
+    return {
+        text,
+        numbers: (text.match(/\d+/g) || []).join(','),
+        bigrams: toBigrams(text),
+        size: Math.max(text.length - 1, 0)
+    };
+}
+
+/**
+ * 2つのタイトルの類似度（文字バイグラムのDice係数）
+ * Similarity of two titles using character bigrams, which works for Japanese text
+ * @param {string} a - First title
+ * @param {string} b - Second title
+ * @returns {number} Similarity between 0 and 1
+ */
+function titleSimilarity(a, b) {
+    return diceCoefficient(toTitleKey(a), toTitleKey(b));
+}
+
+/**
+ * フィードごとの記事リストから重複記事を統合
+ * Merge duplicate articles across feeds. The first occurrence (in feed order) is kept
+ * and the sources of its duplicates are appended to it.
+ * @param {Array<Array<Object>>} articleGroups - Articles grouped by feed, in feed order
+ * @param {Object} options - { threshold } title similarity threshold
+ * @returns {Array<Array<Object>>} Article groups with duplicates removed
+ */
+function deduplicateArticleGroups(articleGroups, options = {}) {
+    const threshold = options.threshold || DEFAULT_SIMILARITY_THRESHOLD;
+    const kept = [];
+    const byUrl = new Map();
+
+    return articleGroups.map(group => group.filter(article => {
+        const url = canonicalizeUrl(article.link);
+        const titleKey = toTitleKey(article.title);
+
+        // タイトルの類似判定は別フィードの記事同士に限る（同一フィード内の連載記事などを守る）
+        const original = (url && byUrl.get(url)) ||
+            kept.find(entry => !entry.article.sources.includes(article.source) &&
+                diceCoefficient(entry.titleKey, titleKey) >= threshold);
+
+        if (original) {
+            mergeInto(original.article, article);
+            return false;
+        }
+
+        const entry = { article, titleKey };
+        kept.push(entry);
+        if (url) {
+            byUrl.set(url, entry);
+        }
+        return true;
+    }));
+}
+
+function mergeInto(target, duplicate) {
+    duplicate.sources.forEach(source => {
+        if (!target.sources.includes(source)) {
+            target.sources.push(source);
+        }
+    });
+    target.source = target.sources.join(' / ');
+    duplicate.feedUrls.forEach(feedUrl => {
+        if (!target.feedUrls.includes(feedUrl)) {
+            target.feedUrls.push(feedUrl);
+        }
+    });
+}
+
+module.exports = {
+    canonicalizeUrl,
+    normalizeTitle,
+    titleSimilarity,
+    deduplicateArticleGroups
+};
@@ -0,0 +1,157 @@
+/**
+ * 比較用にテキストを正規化（全角半角・大文字小文字の違いを吸収）
+ * Normalize text for matching: NFKC folds full-width/half-width forms, then lower-case
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizeForMatch(text) {
+    return (text || '').normalize('NFKC').toLowerCase();
+}
+
+// 正規表現は \S などのエスケープを壊さないよう小文字化せず、i フラグで大文字小文字を無視する
+function toRegExp(pattern) {
+    return new RegExp(pattern.normalize('NFKC'), 'iu');
+}
+
+/**
+ * ルールの内容を検証
+ * Validate a filter rule
+ * @param {Object} rule - { type, pattern, isRegex, feedUrl }
+ * @returns {string|null} Error message, or null if the rule is valid
+ */
+function validateRule(rule) {
+    if (!rule || (rule.type !== 'include' && rule.type !== 'exclude')) {
+        return 'ルールの種類が不正です';
+    }
+    if (typeof rule.pattern !== 'string' || rule.pattern.trim() === '') {
+        return 'キーワードを入力してください';
+    }
+    return validatePattern(rule);
+}
+
+function validatePattern(rule) {
+    if (rule.isRegex) {
+        try {
+            toRegExp(rule.pattern);
+        } catch (error) {
+            return `正規表現が不正です: ${error.message}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * ハイライトルールの内容を検証（キーワードかフィードのどちらかが必要）
+ * Validate a highlight rule; it needs a keyword, a feed, or both
+ * @param {Object} rule - { pattern, isRegex, feedUrl, color, badge, blink, slow }
+ * @returns {string|null} Error message, or null if the rule is valid
+ */
+function validateHighlightRule(rule) {
+    if (!rule) {
+        return 'ルールが不正です';
+    }
+    const hasPattern = typeof rule.pattern === 'string' && rule.pattern.trim() !== '';
+    if (!hasPattern && !rule.feedUrl) {
+        return 'キーワードまたはフィードを指定してください';
+    }
+    if (rule.color && !/^#[0-9a-f]{3}([0-9a-f]{3})?$/i.test(rule.color)) {
+        return '色の指定が不正です';
+    }
+    return hasPattern ? validatePattern(rule) : null;
+}
+
+/**
+ * ルールを判定関数に変換
+ * Compile a rule into a predicate over normalized article text
+ * @param {Object} rule - Filter rule
+ * @returns {Function} (normalizedText) => boolean
+ */
+function compileRule(rule) {
+    if (rule.isRegex) {
+        const regex = toRegExp(rule.pattern);
+        return text => regex.test(text);
+    }
+    // 空白区切りのキーワードは全て含む場合に一致（AND）
+    const keywords = normalizeForMatch(rule.pattern.trim()).split(/\s+/).filter(Boolean);
+    return text => keywords.every(keyword => text.includes(keyword));
+}
+
+function articleText(article) {
+    return normalizeForMatch([
+        article.title,
+        article.summary,
+        ...(article.categories || [])
+    ].filter(Boolean).join('\n'));
+}
+
+function appliesTo(rule, article) {
+    return !rule.feedUrl || (article.feedUrls || []).includes(rule.feedUrl);
+}
+
+/**
+ * 記事にフィルタールールを適用
+ * Apply include/exclude rules. An article is hidden when it matches any exclude rule,
+ * or when include rules apply to it and it matches none of them.
+ * Rules with a feedUrl only apply to articles from that feed.
+ * @param {Array<Object>} articles - Articles to filter
+ * @param {Array<Object>} rules - Filter rules
+ * @returns {Object} { visible, hidden: [{ article, rule, reason }] }
+ */
+function applyFilters(articles, rules = []) {
+    const compiled = rules
+        .filter(rule => rule.enabled !== false && validateRule(rule) === null)
+        .map(rule => ({ rule, match: compileRule(rule) }));
+
+    const visible = [];
+    const hidden = [];
+
+    if (compiled.length === 0) {
+        return { visible: articles.slice(), hidden };
+    }
+
+    articles.forEach(article => {
+        const text = articleText(article);
+        const applicable = compiled.filter(entry => appliesTo(entry.rule, article));
+
+        const excludedBy = applicable.find(entry => entry.rule.type === 'exclude' && entry.match(text));
+        if (excludedBy) {
+            hidden.push({ article, rule: excludedBy.rule, reason: 'exclude' });
+            return;
+        }
+
+        const includes = applicable.filter(entry => entry.rule.type === 'include');
+        if (includes.length > 0 && !includes.some(entry => entry.match(text))) {
+            hidden.push({ article, rule: null, reason: 'include' });
+            return;
+        }
+
+        visible.push(article);
+    });
+
+    return { visible, hidden };
+}
+
+/**
+ * 記事に一致する最初のハイライトルールを取得
+ * Find the first enabled highlight rule matching an article (by keyword and/or feed)
+ * @param {Object} article - Article to test
+ * @param {Array<Object>} rules - Highlight rules, in priority order
+ * @returns {Object|null} Matching rule
+ */
+function findHighlightRule(article, rules = []) {
+    const text = articleText(article);
+    return rules.find(rule =>
+        rule.enabled !== false &&
+        validateHighlightRule(rule) === null &&
+        appliesTo(rule, article) &&
+        (!rule.pattern || !rule.pattern.trim() || compileRule(rule)(text))
+    ) || null;
+}
+
+module.exports = {
+    normalizeForMatch,
+    validateRule,
+    validateHighlightRule,
+    applyFilters,
+    findHighlightRule
+};
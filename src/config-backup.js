@@ -0,0 +1,271 @@
+const { DEFAULT_SETTINGS, validateSettings } = require('./settings-schema');
+const { CONFIG_VERSION, migrateConfig } = require('./config-migrations');
+const { isValidFeedUrl } = require('./feed-discovery');
+const { validateRule, validateHighlightRule } = require('./article-filter');
+const { validateTheme } = require('./themes');
+const { validateSchedule } = require('./profiles');
+
+// バックアップファイルの識別子
+const BACKUP_FORMAT = 'rss-news-ticker-backup';
+
+// バックアップに含める設定ファイルのキー
+const BACKUP_KEYS = ['settings', 'feeds', 'filterRules', 'highlightRules', 'profiles', 'customThemes'];
+
+/**
+ * 設定一式をバックアップ用のJSONに変換
+ * Serialize the whole config into a versioned backup document
+ * @param {Object} config - { settings, feeds, filterRules, highlightRules, profiles, customThemes }
+ * @returns {string} JSON document
+ */
+function buildBackup(config) {
+    const backup = {
+        format: BACKUP_FORMAT,
+        configVersion: CONFIG_VERSION,
+        exportedAt: new Date().toISOString()
+    };
+    BACKUP_KEYS.forEach(key => {
+        backup[key] = config[key];
+    });
+    return JSON.stringify(backup, null, 2);
+}
+
+function asArray(value) {
+    return Array.isArray(value) ? value : [];
+}
+
+function positiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * バックアップのフィードを検証し、既知の項目だけを取り出す
+ * Validate a feed entry from a backup and keep only the known fields
+ * @param {Object} feed - Feed entry
+ * @returns {Object} { feed } or { error: message }
+ */
+function sanitizeFeed(feed) {
+    if (!feed || !isValidFeedUrl(feed.url)) {
+        return { error: 'URLが不正です' };
+    }
+    if (typeof feed.name !== 'string' || feed.name.trim() === '') {
+        return { error: '名前がありません' };
+    }
+    const sanitized = { url: feed.url, name: feed.name.trim() };
+    if (positiveInteger(feed.maxItems)) {
+        sanitized.maxItems = feed.maxItems;
+    }
+    if (positiveInteger(feed.updateInterval)) {
+        sanitized.updateInterval = feed.updateInterval;
+    }
+    if (typeof feed.category === 'string' && feed.category.trim() !== '') {
+        sanitized.category = feed.category.trim();
+    }
+    ['suspended', 'disabled'].forEach(key => {
+        if (feed[key] === true) {
+            sanitized[key] = true;
+        }
+    });
+    return { feed: sanitized };
+}
+
+// ウィンドウの位置と大きさ（x / y / width / height がすべて整数の場合のみ有効）
+function validBounds(bounds) {
+    return Boolean(bounds) && ['x', 'y', 'width', 'height'].every(key => Number.isInteger(bounds[key]));
+}
+
+/**
+ * バックアップを解析・検証（古いバージョンのバックアップは最新の形式に移行する）
+ * Parse and validate a backup. Older backups are migrated; invalid entries are dropped and
+ * reported as warnings.
+ * @param {string} json - Backup document
+ * @returns {Object} { config: { settings, feeds, filterRules, highlightRules, profiles, customThemes }, warnings: [string] }
+ */
+function parseBackup(json) {
+    let backup;
+    try {
+        backup = JSON.parse(json);
+    } catch (error) {
+        throw new Error(`バックアップファイルを解析できませんでした: ${error.message}`);
+    }
+    if (!backup || backup.format !== BACKUP_FORMAT) {
+        throw new Error('バックアップファイルではありません');
+    }
+    const version = Number.isInteger(backup.configVersion) ? backup.configVersion : 0;
+    if (version > CONFIG_VERSION) {
+        throw new Error('このバージョンより新しいアプリで作成されたバックアップです');
+    }
+
+    const { config: migrated } = migrateConfig(backup, version);
+    const warnings = [];
+
+    // プロファイルの設定も同じように検証する
+    const validSettings = (values, label) => {
+        const { settings: valid, errors } = validateSettings(values && typeof values === 'object' ? values : {});
+        errors.forEach(error => {
+            warnings.push('clamped' in error
+                ? `${label} ${error.key}: ${error.message}（${error.clamped} に調整します）`
+                : `${label} ${error.key}: ${error.message}（読み込みません）`);
+        });
+        return valid;
+    };
+    const settings = validSettings(migrated.settings, '設定');
+
+    // プロファイルのフィードも同じように検証する
+    const validFeeds = (list, label) => {
+        const feeds = [];
+        asArray(list).forEach(item => {
+            const { feed, error } = sanitizeFeed(item);
+            const name = `${label} ${(item && (item.name || item.url)) || ''}`;
+            if (error) {
+                warnings.push(`${name}: ${error}（読み込みません）`);
+            } else if (feeds.some(f => f.url === feed.url)) {
+                warnings.push(`${name}: 重複しています（読み込みません）`);
+            } else {
+                feeds.push(feed);
+            }
+        });
+        return feeds;
+    };
+    const feeds = validFeeds(migrated.feeds, 'フィード');
+
+    const validRules = (rules, validate, label) => asArray(rules).filter(rule => {
+        const message = validate(rule);
+        if (message) {
+            warnings.push(`${label} ${(rule && rule.pattern) || ''}: ${message}（読み込みません）`);
+        }
+        return !message;
+    });
+
+    const profiles = asArray(migrated.profiles).filter(profile => {
+        const valid = profile && typeof profile.name === 'string' && profile.name.trim() !== '' &&
+            Array.isArray(profile.feeds);
+        if (!valid) {
+            warnings.push('名前またはフィードの無いプロファイルがあります（読み込みません）');
+        }
+        return valid;
+    }).map(profile => {
+        const label = `プロファイル ${profile.name}`;
+        const bounds = validBounds(profile.bounds)
+            ? { x: profile.bounds.x, y: profile.bounds.y, width: profile.bounds.width, height: profile.bounds.height }
+            : null;
+        if (profile.bounds && !bounds) {
+            warnings.push(`${label}: ウィンドウの位置と大きさが不正です（読み込みません）`);
+        }
+        let schedule = null;
+        if (profile.schedule) {
+            const message = validateSchedule(profile.schedule);
+            if (message) {
+                warnings.push(`${label} の自動切り替え: ${message}（読み込みません）`);
+            } else {
+                schedule = { start: profile.schedule.start, end: profile.schedule.end };
+            }
+        }
+        return {
+            name: profile.name,
+            feeds: validFeeds(profile.feeds, `${label} のフィード`),
+            settings: validSettings(profile.settings, `${label} の設定`),
+            bounds,
+            schedule
+        };
+    });
+
+    const customThemes = [];
+    asArray(migrated.customThemes).forEach(item => {
+        const { theme, error } = validateTheme(item);
+        if (error) {
+            warnings.push(`テーマ ${(item && item.name) || ''}: ${error}（読み込みません）`);
+        } else {
+            customThemes.push(theme);
+        }
+    });
+
+    return {
+        config: {
+            settings,
+            feeds,
+            filterRules: validRules(migrated.filterRules, validateRule, 'フィルター'),
+            highlightRules: validRules(migrated.highlightRules, validateHighlightRule, 'ハイライト'),
+            profiles,
+            customThemes
+        },
+        warnings
+    };
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// キーで対応付けたリストの統合（同じキーは取り込む側で上書き、順序は既存のものを優先）
+function mergeByKey(current, imported, keyOf) {
+    const merged = current.map(item => imported.find(i => keyOf(i) === keyOf(item)) || item);
+    imported
+        .filter(item => !current.some(c => keyOf(c) === keyOf(item)))
+        .forEach(item => merged.push(item));
+    return merged;
+}
+
+function diffByKey(before, after, keyOf) {
+    return {
+        added: after.filter(item => !before.some(b => keyOf(b) === keyOf(item))),
+        removed: before.filter(item => !after.some(a => keyOf(a) === keyOf(item))),
+        changed: after.filter(item => {
+            const previous = before.find(b => keyOf(b) === keyOf(item));
+            return previous && !sameValue(previous, item);
+        })
+    };
+}
+
+/**
+ * 取り込み後の設定と現在の設定との差分を計算（まだ保存しない）
+ * Compute the config that an import would produce and its diff against the current config.
+ *   merge:   imported settings override, feeds/profiles with the same URL/name are replaced,
+ *            new entries are appended and nothing is removed
+ *   replace: the imported config replaces everything (missing settings fall back to defaults)
+ * @param {Object} current - Current config
+ * @param {Object} imported - Config from parseBackup
+ * @param {string} mode - 'merge' | 'replace'
+ * @returns {Object} { config, diff: { settings: [{ key, from, to }], feeds, filterRules, highlightRules, profiles, customThemes } }
+ */
+function planImport(current, imported, mode) {
+    const ruleKey = rule => JSON.stringify(rule);
+    const config = mode === 'replace'
+        ? {
+            settings: { ...DEFAULT_SETTINGS, ...imported.settings },
+            feeds: imported.feeds,
+            filterRules: imported.filterRules,
+            highlightRules: imported.highlightRules,
+            profiles: imported.profiles,
+            customThemes: imported.customThemes
+        }
+        : {
+            settings: { ...current.settings, ...imported.settings },
+            feeds: mergeByKey(current.feeds, imported.feeds, feed => feed.url),
+            filterRules: mergeByKey(current.filterRules, imported.filterRules, ruleKey),
+            highlightRules: mergeByKey(current.highlightRules, imported.highlightRules, ruleKey),
+            profiles: mergeByKey(current.profiles, imported.profiles, profile => profile.name),
+            customThemes: mergeByKey(current.customThemes, imported.customThemes, theme => theme.name)
+        };
+
+    const settingKeys = [...new Set([...Object.keys(current.settings), ...Object.keys(config.settings)])];
+    return {
+        config,
+        diff: {
+            settings: settingKeys
+                .filter(key => !sameValue(current.settings[key], config.settings[key]))
+                .map(key => ({ key, from: current.settings[key], to: config.settings[key] })),
+            feeds: diffByKey(current.feeds, config.feeds, feed => feed.url),
+            filterRules: diffByKey(current.filterRules, config.filterRules, ruleKey),
+            highlightRules: diffByKey(current.highlightRules, config.highlightRules, ruleKey),
+            profiles: diffByKey(current.profiles, config.profiles, profile => profile.name),
+            customThemes: diffByKey(current.customThemes, config.customThemes, theme => theme.name)
+        }
+    };
+}
+
+module.exports = {
+    BACKUP_FORMAT,
+    buildBackup,
+    parseBackup,
+    planImport
+};
@@ -0,0 +1,106 @@
+// バージョン1の時点の設定項目（後からスキーマを変えても移行の結果が変わらないよう、ここに固定する）
+// 数値はすべて整数で、範囲外の値は上下限に丸める
+const V1_NUMBER_RANGES = {
+    updateInterval: [60000, 3600000],
+    scrollSpeed: [10, 200],
+    fontSize: [24, 72],
+    maxArticles: [5, 50],
+    fetchConcurrency: [1, 10],
+    feedTimeout: [5000, 60000],
+    suspendFeedAfterFailures: [0, 100],
+    channelCycleInterval: [0, 3600000],
+    windowWidth: [600, 2400],
+    windowHeight: [100, 400]
+};
+const V1_CHOICES = { articleOrder: ['date', 'interleave', 'priority'] };
+const V1_STRING_KEYS = ['theme', 'fontFamily'];
+const V1_OPTIONAL_STRING_KEYS = ['activeGroup'];
+const V1_BOOLEAN_KEYS = ['deduplicateArticles', 'showFeedErrors', 'alwaysOnTop'];
+const V1_COLOR_KEYS = ['textColor', 'backgroundColor', 'sourceColor'];
+const V1_MAX_LENGTH = 100;
+const COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * バージョン1の設定項目として値を検証
+ * Check a setting against the frozen version 1 key set
+ * @param {string} key - Setting key
+ * @param {*} value - Stored value
+ * @returns {*} Value to keep (numbers clamped), or undefined to drop it
+ */
+function migrateV1Setting(key, value) {
+    if (key in V1_NUMBER_RANGES) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            return undefined;
+        }
+        const [min, max] = V1_NUMBER_RANGES[key];
+        return Math.min(Math.max(Math.round(value), min), max);
+    }
+    if (key in V1_CHOICES) {
+        return V1_CHOICES[key].includes(value) ? value : undefined;
+    }
+    if (V1_BOOLEAN_KEYS.includes(key)) {
+        return typeof value === 'boolean' ? value : undefined;
+    }
+    if (V1_COLOR_KEYS.includes(key)) {
+        return typeof value === 'string' && COLOR_PATTERN.test(value) ? value : undefined;
+    }
+    const optional = V1_OPTIONAL_STRING_KEYS.includes(key);
+    if (optional || V1_STRING_KEYS.includes(key)) {
+        const valid = typeof value === 'string' && (optional || value !== '') && value.length <= V1_MAX_LENGTH;
+        return valid ? value : undefined;
+    }
+    return undefined;
+}
+
+/**
+ * 設定ファイルの移行処理（version の昇順）。設定の形式を変えるときは末尾に追加する
+ * Config migrations in ascending version order. Each migration receives the whole
+ * config ({ settings, feeds, filterRules, highlightRules, profiles, activeProfile, customThemes })
+ * written by the previous version and returns the upgraded config.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'バージョン管理前の設定をスキーマに合わせる',
+        migrate(config) {
+            // 以前は検証せずに保存していたため、NaN（null として保存される）や範囲外の値が残っていることがある
+            const settings = {};
+            Object.entries(config.settings || {}).forEach(([key, value]) => {
+                const migrated = migrateV1Setting(key, value);
+                if (migrated !== undefined) {
+                    settings[key] = migrated;
+                }
+            });
+            const feeds = (Array.isArray(config.feeds) ? config.feeds : [])
+                .filter(feed => feed && typeof feed.url === 'string' && feed.url)
+                .map(feed => ({ ...feed, name: feed.name || feed.url }));
+            return { ...config, settings, feeds };
+        }
+    }
+];
+
+const CONFIG_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * 設定を最新の形式に移行
+ * Apply every migration newer than `fromVersion`
+ * @param {Object} config - Stored config
+ * @param {number} fromVersion - Version the config was written with (0 before versioning)
+ * @returns {Object} { config, applied: [version] }
+ */
+function migrateConfig(config, fromVersion) {
+    const applied = [];
+    const migrated = MIGRATIONS
+        .filter(migration => migration.version > fromVersion)
+        .reduce((current, migration) => {
+            applied.push(migration.version);
+            return migration.migrate(current);
+        }, config);
+    return { config: migrated, applied };
+}
+
+module.exports = {
+    MIGRATIONS,
+    CONFIG_VERSION,
+    migrateConfig
+};
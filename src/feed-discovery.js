@@ -0,0 +1,99 @@
+// <link rel="alternate"> で自動検出の対象とするフィードの MIME タイプ
+const FEED_TYPES = [
+    'application/rss+xml',
+    'application/atom+xml',
+    'application/rdf+xml',
+    'application/feed+json',
+    'application/json'
+];
+
+/**
+ * フィードとして登録できるURLかどうかを判定（http / https のみ）
+ * Check that a string is an absolute http(s) URL
+ * @param {string} url - URL to check
+ * @returns {boolean} True if the URL can be fetched as a feed
+ */
+function isValidFeedUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * 本文がHTMLページかどうかを判定
+ * Check whether a response is an HTML page rather than a feed
+ * @param {string} body - Response body
+ * @param {string|null} contentType - Content-Type header value
+ * @returns {boolean} True for HTML documents
+ */
+function isHtmlDocument(body, contentType) {
+    if (/html/i.test(contentType || '')) {
+        return true;
+    }
+    return /^\s*(<!--[\s\S]*?-->\s*)*<(!doctype\s+html|html[\s>])/i.test(body);
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+function parseAttributes(tag) {
+    const attrs = {};
+    const pattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+    let match;
+    while ((match = pattern.exec(tag)) !== null) {
+        attrs[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4]);
+    }
+    return attrs;
+}
+
+/**
+ * HTMLページの <link rel="alternate"> からフィードを検出
+ * Discover feeds advertised by an HTML page, in document order
+ * @param {string} html - HTML document
+ * @param {string} baseUrl - Page URL used to resolve relative links
+ * @returns {Array<Object>} [{ url, title, type }]
+ */
+function discoverFeedLinks(html, baseUrl) {
+    const feeds = [];
+    const seen = new Set();
+    const tags = html.match(/<link\b[^>]*>/gi) || [];
+
+    tags.forEach(tag => {
+        const attrs = parseAttributes(tag);
+        const rels = (attrs.rel || '').toLowerCase().split(/\s+/);
+        const type = (attrs.type || '').toLowerCase().split(';')[0].trim();
+        if (!rels.includes('alternate') || !FEED_TYPES.includes(type) || !attrs.href) {
+            return;
+        }
+
+        let url;
+        try {
+            url = new URL(attrs.href, baseUrl).href;
+        } catch (error) {
+            return;
+        }
+        if (!isValidFeedUrl(url) || seen.has(url)) {
+            return;
+        }
+
+        seen.add(url);
+        feeds.push({ url, title: (attrs.title || '').trim(), type });
+    });
+
+    return feeds;
+}
+
+module.exports = {
+    isValidFeedUrl,
+    isHtmlDocument,
+    discoverFeedLinks
+};
@@ -0,0 +1,189 @@
+const { isJSONFeed, parseJSONFeed } = require('./feed-normalizer');
+
+// リクエスト時に送信するヘッダー
+const REQUEST_HEADERS = {
+    'User-Agent': 'rss-news-ticker',
+    'Accept': 'application/rss+xml, application/atom+xml, application/feed+json, application/xml;q=0.9, text/xml;q=0.9, */*;q=0.8'
+};
+
+// Cache-Control や <ttl> が極端に長い場合でも最大1時間で再検証する
+const MAX_FRESHNESS = 3600000;
+
+/**
+ * レスポンス本文を文字コードに従ってデコード
+ * Decode a response body using the charset from Content-Type or the XML declaration
+ * @param {Buffer} buffer - Raw response body
+ * @param {string|null} contentType - Content-Type header value
+ * @returns {string} Decoded text
+ */
+function decodeBody(buffer, contentType) {
+    let charset = null;
+    const headerMatch = /charset=["']?([\w-]+)/i.exec(contentType || '');
+    if (headerMatch) {
+        charset = headerMatch[1];
+    } else {
+        const head = buffer.subarray(0, 200).toString('latin1');
+        const declMatch = /<\?xml[^>]*encoding=["']([\w-]+)["']/i.exec(head);
+        if (declMatch) {
+            charset = declMatch[1];
+        }
+    }
+
+    try {
+        return new TextDecoder(charset || 'utf-8').decode(buffer);
+    } catch (error) {
+        // 未知の文字コードはUTF-8として扱う
+        return new TextDecoder('utf-8').decode(buffer);
+    }
+}
+
+/**
+ * レスポンスヘッダーとフィードの<ttl>から鮮度の有効期間を算出
+ * Compute how long a response may be reused without revalidation
+ * @param {Headers} headers - Response headers
+ * @param {Object} feed - Parsed feed (may carry `ttl` in minutes)
+ * @returns {number} Freshness lifetime in milliseconds
+ */
+function getFreshnessLifetime(headers, feed) {
+    const cacheControl = (headers.get('cache-control') || '').toLowerCase();
+    if (/no-store|no-cache/.test(cacheControl)) {
+        return 0;
+    }
+
+    const maxAgeMatch = /max-age=(\d+)/.exec(cacheControl);
+    const maxAge = maxAgeMatch ? parseInt(maxAgeMatch[1], 10) * 1000 : 0;
+    const ttl = feed && parseInt(feed.ttl, 10) > 0 ? parseInt(feed.ttl, 10) * 60000 : 0;
+
+    return Math.min(Math.max(maxAge, ttl), MAX_FRESHNESS);
+}
+
+/**
+ * リクエストを中断するシグナル（呼び出し側のシグナルがあればそれを使う）
+ * AbortSignal for a request: the caller's signal, or one that fires after `timeout`
+ * @param {Object} options - { timeout, signal }
+ * @returns {AbortSignal|undefined} Signal, or undefined when the request never aborts
+ */
+function requestSignal(options) {
+    if (options.signal) {
+        return options.signal;
+    }
+    return options.timeout > 0 ? AbortSignal.timeout(options.timeout) : undefined;
+}
+
+/**
+ * FeedFetcher - 条件付きリクエストとレスポンスキャッシュを備えたフィード取得クラス
+ * Fetches and parses feeds using ETag / Last-Modified revalidation and freshness caching
+ */
+class FeedFetcher {
+    constructor(parser) {
+        this.parser = parser;
+        this.cache = new Map();
+    }
+
+    /**
+     * フィードを取得して解析（キャッシュが新鮮なら再利用）
+     * Fetch and parse a feed, reusing the cached copy when fresh or not modified
+     * @param {string} feedUrl - Feed URL
+     * @param {Object} options - { timeout, signal, force }
+     * @returns {Promise<Object>} { feed, fromCache }
+     */
+    async fetch(feedUrl, options = {}) {
+        const cached = this.cache.get(feedUrl);
+        const now = Date.now();
+
+        if (cached && !options.force && cached.expiresAt > now) {
+            return { feed: cached.feed, fromCache: true };
+        }
+
+        const headers = { ...REQUEST_HEADERS };
+        if (cached && cached.etag) {
+            headers['If-None-Match'] = cached.etag;
+        }
+        if (cached && cached.lastModified) {
+            headers['If-Modified-Since'] = cached.lastModified;
+        }
+
+        const response = await fetch(feedUrl, {
+            headers,
+            signal: requestSignal(options)
+        });
+
+        if (response.status === 304 && cached) {
+            cached.expiresAt = now + getFreshnessLifetime(response.headers, cached.feed);
+            return { feed: cached.feed, fromCache: true };
+        }
+
+        if (!response.ok) {
+            throw new Error(`Status code ${response.status}`);
+        }
+
+        const contentType = response.headers.get('content-type');
+        const body = decodeBody(Buffer.from(await response.arrayBuffer()), contentType);
+        const feed = await this.parse(body, contentType);
+
+        this.cache.set(feedUrl, {
+            feed,
+            etag: response.headers.get('etag'),
+            lastModified: response.headers.get('last-modified'),
+            expiresAt: now + getFreshnessLifetime(response.headers, feed)
+        });
+
+        return { feed, fromCache: false };
+    }
+
+    /**
+     * キャッシュを使わずに文書を取得（フィードの検証・自動検出用）
+     * Fetch a document without touching the cache, e.g. to validate a feed before it is added
+     * @param {string} url - Document URL
+     * @param {Object} options - { timeout, signal }
+     * @returns {Promise<Object>} { url (after redirects), body, contentType }
+     */
+    async fetchDocument(url, options = {}) {
+        const response = await fetch(url, {
+            headers: REQUEST_HEADERS,
+            signal: requestSignal(options)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Status code ${response.status}`);
+        }
+
+        const contentType = response.headers.get('content-type');
+        return {
+            url: response.url || url,
+            body: decodeBody(Buffer.from(await response.arrayBuffer()), contentType),
+            contentType
+        };
+    }
+
+    /**
+     * 本文をJSON FeedまたはXML（RSS / RDF / Atom）として解析
+     * Parse a body as JSON Feed or as XML via rss-parser
+     * @param {string} body - Decoded response body
+     * @param {string|null} contentType - Content-Type header value
+     * @returns {Promise<Object>} Parsed feed
+     */
+    async parse(body, contentType) {
+        if (isJSONFeed(body, contentType)) {
+            return parseJSONFeed(body);
+        }
+        return this.parser.parseString(body);
+    }
+
+    /**
+     * キャッシュを削除（URL指定時はそのフィードのみ）
+     * Drop cached responses for one feed or all feeds
+     * @param {string} [feedUrl] - Feed URL
+     */
+    clear(feedUrl) {
+        if (feedUrl) {
+            this.cache.delete(feedUrl);
+        } else {
+            this.cache.clear();
+        }
+    }
+}
+
+module.exports = FeedFetcher;
+module.exports.decodeBody = decodeBody;
+module.exports.getFreshnessLifetime = getFreshnessLifetime;
@@ -0,0 +1,145 @@
+// 取得エラーの種類ごとの表示名
+const ERROR_TYPE_LABELS = {
+    timeout: 'タイムアウト',
+    http: 'HTTPエラー',
+    network: '接続エラー',
+    parse: '解析エラー'
+};
+
+/**
+ * 連続失敗回数に応じた再試行までの待ち時間（失敗ごとに倍増し、上限で頭打ち）
+ * Exponential backoff delay: baseDelay doubled per consecutive failure, capped at maxDelay
+ * @param {number} failures - Consecutive failures (1 or more)
+ * @param {Object} backoff - { baseDelay, maxDelay } in milliseconds
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(failures, backoff) {
+    if (!(failures > 0) || !(backoff.baseDelay > 0)) {
+        return 0;
+    }
+    return Math.min(backoff.baseDelay * Math.pow(2, failures - 1), backoff.maxDelay);
+}
+
+function createHealth() {
+    return {
+        status: 'unknown',        // 'unknown': 未取得 / 'ok': 正常 / 'error': 直近の取得に失敗
+        lastSuccess: null,        // 最後に取得に成功した日時（ISO 8601）
+        lastError: null,          // 最後のエラーメッセージ
+        lastErrorType: null,      // 'timeout' | 'http' | 'network' | 'parse'
+        lastErrorAt: null,        // 最後に失敗した日時（ISO 8601）
+        failingSince: null,       // 連続して失敗し始めた日時（ISO 8601）
+        consecutiveFailures: 0,
+        nextRetryAt: null,        // バックオフ中の次回再試行日時（ISO 8601）
+        itemCount: null,          // 直近の取得で得られた記事数
+        responseTime: null        // 直近のネットワーク取得の所要時間（ミリ秒）
+    };
+}
+
+/**
+ * FeedHealthTracker - フィードごとの取得状況（成功・失敗・応答時間）を記録するクラス
+ * Tracks per-feed fetch health: last success, last error, consecutive failures,
+ * item count and response time
+ */
+class FeedHealthTracker {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    /**
+     * 取得成功を記録
+     * Record a successful fetch
+     * @param {string} feedUrl - Feed URL
+     * @param {Object} result - { itemCount, responseTime } (responseTime is null for cache hits)
+     */
+    recordSuccess(feedUrl, result = {}) {
+        const health = this.entries.get(feedUrl) || createHealth();
+        health.status = 'ok';
+        health.lastSuccess = new Date().toISOString();
+        health.failingSince = null;
+        health.consecutiveFailures = 0;
+        health.nextRetryAt = null;
+        health.itemCount = result.itemCount ?? health.itemCount;
+        health.responseTime = result.responseTime ?? health.responseTime;
+        this.entries.set(feedUrl, health);
+    }
+
+    /**
+     * 取得失敗を記録し、次回の再試行日時を決める
+     * Record a failed fetch and schedule the next retry with exponential backoff
+     * @param {string} feedUrl - Feed URL
+     * @param {string} message - Error message
+     * @param {string} type - Error type from classifyFetchError
+     * @param {Object} backoff - { baseDelay, maxDelay } in milliseconds (no backoff if omitted)
+     */
+    recordFailure(feedUrl, message, type, backoff = {}) {
+        const health = this.entries.get(feedUrl) || createHealth();
+        const now = Date.now();
+        health.status = 'error';
+        health.lastError = message;
+        health.lastErrorType = type;
+        health.lastErrorAt = new Date(now).toISOString();
+        health.failingSince = health.failingSince || health.lastErrorAt;
+        health.consecutiveFailures++;
+        const delay = getRetryDelay(health.consecutiveFailures, backoff);
+        health.nextRetryAt = delay > 0 ? new Date(now + delay).toISOString() : null;
+        this.entries.set(feedUrl, health);
+    }
+
+    /**
+     * バックオフ中で再試行を待っているかどうか
+     * Check whether a feed is still waiting for its next retry
+     * @param {string} feedUrl - Feed URL
+     * @returns {boolean} True while backing off
+     */
+    isBackingOff(feedUrl) {
+        const health = this.entries.get(feedUrl);
+        return Boolean(health && health.nextRetryAt && Date.parse(health.nextRetryAt) > Date.now());
+    }
+
+    /**
+     * フィードの取得状況を取得
+     * Get a copy of the health of one feed
+     * @param {string} feedUrl - Feed URL
+     * @returns {Object} Feed health
+     */
+    get(feedUrl) {
+        return { ...(this.entries.get(feedUrl) || createHealth()) };
+    }
+
+    /**
+     * 複数フィードの取得状況をURLをキーにして取得
+     * Get the health of several feeds keyed by URL
+     * @param {Array<string>} feedUrls - Feed URLs
+     * @returns {Object} { [feedUrl]: health }
+     */
+    getAll(feedUrls) {
+        const result = {};
+        feedUrls.forEach(feedUrl => {
+            result[feedUrl] = this.get(feedUrl);
+        });
+        return result;
+    }
+
+    /**
+     * 一定時間以上失敗し続けているフィードのURLを取得
+     * List feeds that have been failing continuously for at least `minDuration`
+     * @param {Array<string>} feedUrls - Feed URLs to check
+     * @param {number} minDuration - Minimum failing duration in milliseconds
+     * @returns {Array<string>} Failing feed URLs
+     */
+    getFailing(feedUrls, minDuration) {
+        const now = Date.now();
+        return feedUrls.filter(feedUrl => {
+            const health = this.entries.get(feedUrl);
+            return health && health.failingSince && now - Date.parse(health.failingSince) >= minDuration;
+        });
+    }
+
+    remove(feedUrl) {
+        this.entries.delete(feedUrl);
+    }
+}
+
+module.exports = FeedHealthTracker;
+module.exports.ERROR_TYPE_LABELS = ERROR_TYPE_LABELS;
+module.exports.getRetryDelay = getRetryDelay;
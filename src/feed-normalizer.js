@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+
+// 要約の最大文字数
+const SUMMARY_MAX_LENGTH = 200;
+
+// rss-parser に追加で取り出させる項目（Atom / RDF / Media RSS）
+const PARSER_OPTIONS = {
+    customFields: {
+        item: [
+            'updated',
+            ['dc:subject', 'subjects', { keepArray: true }],
+            ['category', 'categoryElements', { keepArray: true }],
+            ['link', 'linkElements', { keepArray: true }],
+            ['media:thumbnail', 'mediaThumbnail'],
+            ['media:content', 'mediaContent', { keepArray: true }]
+        ]
+    }
+};
+
+/**
+ * 記事の安定したIDを生成
+ * Create a stable hash-based article id that survives refreshes
+ * @param {string} feedUrl - Feed URL
+ * @param {string} key - guid, link or title of the article
+ * @returns {string} 16 character hex id
+ */
+function createArticleId(feedUrl, key) {
+    return crypto.createHash('sha1').update(`${feedUrl}\n${key}`).digest('hex').slice(0, 16);
+}
+
+function toISODate(value) {
+    if (!value) return null;
+    const date = new Date(typeof value === 'string' ? value.trim() : value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function textOf(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'string') return value;
+    if (typeof value._ === 'string') return value._;
+    if (value.$ && typeof value.$.term === 'string') return value.$.term;
+    return '';
+}
+
+function stripHtml(html) {
+    return html
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function toSummary(...candidates) {
+    const text = candidates.map(c => stripHtml(textOf(c))).find(c => c.length > 0) || '';
+    return text.length > SUMMARY_MAX_LENGTH ? `${text.slice(0, SUMMARY_MAX_LENGTH)}…` : text;
+}
+
+function uniqueStrings(values) {
+    return [...new Set(values.map(v => textOf(v).trim()).filter(v => v.length > 0))];
+}
+
+function isImageType(type) {
+    return typeof type === 'string' && type.startsWith('image/');
+}
+
+/**
+ * 記事オブジェクトを組み立て
+ * Assemble a normalized article, filling in the stable id and guid
+ */
+function buildArticle(fields, feedUrl, feedName) {
+    const key = fields.guid || fields.link || `${fields.title}\n${fields.summary}`;
+    const id = createArticleId(feedUrl, key);
+
+    return {
+        id,
+        guid: fields.guid || fields.link || id,
+        title: fields.title || 'タイトルなし',
+        link: fields.link || '',
+        summary: fields.summary,
+        author: fields.author || '',
+        categories: fields.categories,
+        enclosure: fields.enclosure || null,
+        thumbnail: fields.thumbnail || null,
+        pubDate: fields.pubDate || fields.updated || new Date().toISOString(),
+        updated: fields.updated || null,
+        source: feedName,
+        sources: [feedName],
+        feedUrls: [feedUrl]
+    };
+}
+
+/**
+ * rss-parser の項目（RSS 2.0 / RSS 1.0 (RDF) / Atom）を正規化
+ * Normalize an rss-parser item from RSS 2.0, RSS 1.0 (RDF) or Atom
+ * @param {Object} item - Item produced by rss-parser
+ * @param {string} feedUrl - Feed URL (used for the stable id)
+ * @param {string} feedName - Display name of the feed
+ * @returns {Object} Normalized article
+ */
+function normalizeItem(item, feedUrl, feedName) {
+    // Atom の <link rel="enclosure"> とRSSの <enclosure> を統一
+    const atomEnclosure = (item.linkElements || [])
+        .map(link => link && link.$)
+        .find(attrs => attrs && attrs.rel === 'enclosure');
+    const enclosureAttrs = item.enclosure || (atomEnclosure && { url: atomEnclosure.href, type: atomEnclosure.type, length: atomEnclosure.length });
+    const enclosure = enclosureAttrs && enclosureAttrs.url ? {
+        url: enclosureAttrs.url,
+        type: enclosureAttrs.type || '',
+        length: parseInt(enclosureAttrs.length, 10) || 0
+    } : null;
+
+    const mediaImage = (item.mediaContent || [])
+        .map(media => media && media.$)
+        .find(attrs => attrs && attrs.url && (attrs.medium === 'image' || isImageType(attrs.type)));
+    const thumbnail = (item.mediaThumbnail && item.mediaThumbnail.$ && item.mediaThumbnail.$.url) ||
+        (mediaImage && mediaImage.url) ||
+        (enclosure && isImageType(enclosure.type) ? enclosure.url : null) ||
+        (item.itunes && item.itunes.image) ||
+        null;
+
+    const guid = textOf(item.guid) || textOf(item.id) || item['rdf:about'] || '';
+    const updated = toISODate(item.updated);
+
+    return buildArticle({
+        guid,
+        title: textOf(item.title).trim(),
+        link: typeof item.link === 'string' ? item.link.trim() : '',
+        summary: toSummary(item.contentSnippet, item.summary, item.content),
+        author: textOf(item.creator || item.author).trim(),
+        categories: uniqueStrings([
+            ...(item.categories || []),
+            ...(item.categoryElements || []),
+            ...(item.subjects || [])
+        ]),
+        enclosure,
+        thumbnail,
+        pubDate: toISODate(item.isoDate || item.pubDate || item.date),
+        updated
+    }, feedUrl, feedName);
+}
+
+/**
+ * JSON Feed 1.0 / 1.1 の項目を正規化
+ * Normalize a JSON Feed item
+ * @param {Object} item - JSON Feed item
+ * @param {string} feedUrl - Feed URL (used for the stable id)
+ * @param {string} feedName - Display name of the feed
+ * @returns {Object} Normalized article
+ */
+function normalizeJSONFeedItem(item, feedUrl, feedName) {
+    const attachment = (item.attachments || []).find(a => a && a.url);
+    const authors = item.authors || (item.author ? [item.author] : []);
+
+    return buildArticle({
+        guid: item.id !== undefined && item.id !== null ? String(item.id) : '',
+        title: (item.title || '').trim(),
+        link: item.url || item.external_url || '',
+        summary: toSummary(item.summary, item.content_text, item.content_html),
+        author: authors.map(a => a && a.name).filter(Boolean).join(', '),
+        categories: uniqueStrings(item.tags || []),
+        enclosure: attachment ? {
+            url: attachment.url,
+            type: attachment.mime_type || '',
+            length: attachment.size_in_bytes || 0
+        } : null,
+        thumbnail: item.image || item.banner_image || null,
+        pubDate: toISODate(item.date_published),
+        updated: toISODate(item.date_modified)
+    }, feedUrl, feedName);
+}
+
+/**
+ * フィードの形式に応じて全項目を正規化
+ * Normalize every item of a parsed feed
+ * @param {Object} feed - Parsed feed ({ format: 'json' } for JSON Feed)
+ * @param {string} feedUrl - Feed URL
+ * @param {string} feedName - Display name of the feed
+ * @returns {Array<Object>} Normalized articles
+ */
+function normalizeFeed(feed, feedUrl, feedName) {
+    const normalize = feed.format === 'json' ? normalizeJSONFeedItem : normalizeItem;
+    return (feed.items || []).map(item => normalize(item, feedUrl, feedName));
+}
+
+/**
+ * 本文がJSON Feedかどうかを判定
+ * Check whether a response body looks like a JSON Feed
+ * @param {string} body - Response body
+ * @param {string|null} contentType - Content-Type header value
+ * @returns {boolean} True for JSON content
+ */
+function isJSONFeed(body, contentType) {
+    return /json/i.test(contentType || '') || /^\s*\{/.test(body);
+}
+
+/**
+ * JSON Feed を解析
+ * Parse a JSON Feed document into the common feed shape
+ * @param {string} body - Response body
+ * @returns {Object} { format: 'json', title, link, items }
+ */
+function parseJSONFeed(body) {
+    let data;
+    try {
+        data = JSON.parse(body);
+    } catch (error) {
+        throw new Error(`Invalid JSON Feed: ${error.message}`);
+    }
+    if (!data || typeof data.version !== 'string' || !data.version.startsWith('https://jsonfeed.org/version/')) {
+        throw new Error('Feed not recognized as JSON Feed.');
+    }
+
+    return {
+        format: 'json',
+        title: data.title || '',
+        link: data.home_page_url || '',
+        feedUrl: data.feed_url || '',
+        items: Array.isArray(data.items) ? data.items : []
+    };
+}
+
+module.exports = {
+    PARSER_OPTIONS,
+    createArticleId,
+    normalizeItem,
+    normalizeJSONFeedItem,
+    normalizeFeed,
+    isJSONFeed,
+    parseJSONFeed
+};
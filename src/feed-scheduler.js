@@ -0,0 +1,138 @@
+// 期限が近いフィードはまとめて取得する（この時間内に期限を迎えるものを同時に扱う）
+const BATCH_WINDOW = 5000;
+
+// タイマーの最短間隔
+const MIN_DELAY = 1000;
+
+/**
+ * FeedScheduler - フィードごとの更新間隔で取得を予約するスケジューラー
+ * Schedules feed refreshes per feed. Each feed uses its own `updateInterval`
+ * or falls back to the global interval; feeds that fall due together are
+ * refreshed as one batch so the ticker receives a single merged update.
+ */
+class FeedScheduler {
+    /**
+     * @param {Object} options
+     * @param {Function} options.getFeeds - () => Array of feeds ({ url, updateInterval })
+     * @param {Function} options.getDefaultInterval - () => global update interval in milliseconds
+     * @param {Function} options.onDue - async (feedUrls) => void, called with the feeds to refresh
+     */
+    constructor(options) {
+        this.getFeeds = options.getFeeds;
+        this.getDefaultInterval = options.getDefaultInterval;
+        this.onDue = options.onDue;
+        this.nextRunAt = new Map();
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * フィードの更新間隔（個別設定が無ければ全体の設定）
+     * Effective refresh interval of a feed
+     * @param {Object} feed - Feed
+     * @returns {number} Interval in milliseconds
+     */
+    getInterval(feed) {
+        return feed.updateInterval > 0 ? feed.updateInterval : this.getDefaultInterval();
+    }
+
+    /**
+     * スケジュールを開始（全フィードを取得した直後に呼ぶ）
+     * Start scheduling; every feed is treated as just refreshed
+     */
+    start() {
+        this.stop();
+        this.running = true;
+        this.nextRunAt.clear();
+        this.markRefreshed(this.getFeeds().map(feed => feed.url));
+    }
+
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * 指定したフィードを取得済みとして次回の予定を設定
+     * Record that feeds were just refreshed and schedule their next run
+     * @param {Array<string>} feedUrls - Refreshed feed URLs
+     */
+    markRefreshed(feedUrls) {
+        const now = Date.now();
+        this.getFeeds()
+            .filter(feed => feedUrls.includes(feed.url))
+            .forEach(feed => this.nextRunAt.set(feed.url, now + this.getInterval(feed)));
+        this.prune();
+        this.arm();
+    }
+
+    // 削除されたフィードの予定を破棄
+    prune() {
+        const urls = new Set(this.getFeeds().map(feed => feed.url));
+        [...this.nextRunAt.keys()]
+            .filter(url => !urls.has(url))
+            .forEach(url => this.nextRunAt.delete(url));
+    }
+
+    /**
+     * フィードの追加・削除や更新間隔の変更を反映
+     * Sync with the current feed list: forget removed feeds, schedule new feeds one
+     * interval from now, and pull in runs that are further away than a shortened interval
+     */
+    refresh() {
+        const now = Date.now();
+        this.prune();
+        this.getFeeds().forEach(feed => {
+            const latest = now + this.getInterval(feed);
+            const scheduled = this.nextRunAt.get(feed.url);
+            if (scheduled === undefined || scheduled > latest) {
+                this.nextRunAt.set(feed.url, latest);
+            }
+        });
+        this.arm();
+    }
+
+    /**
+     * 次回の予定を取得
+     * Next scheduled run of each feed
+     * @returns {Object} { [feedUrl]: timestamp in milliseconds }
+     */
+    getSchedule() {
+        return Object.fromEntries(this.nextRunAt);
+    }
+
+    arm() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        const feeds = this.getFeeds();
+        if (!this.running || feeds.length === 0) {
+            return;
+        }
+
+        // 予定の無いフィード（追加直後など）はすぐに取得する
+        const next = Math.min(...feeds.map(feed => this.nextRunAt.get(feed.url) ?? Date.now()));
+        this.timer = setTimeout(() => this.tick(), Math.max(next - Date.now(), MIN_DELAY));
+    }
+
+    async tick() {
+        this.timer = null;
+        const now = Date.now();
+        const due = this.getFeeds()
+            .filter(feed => (this.nextRunAt.get(feed.url) ?? now) <= now + BATCH_WINDOW)
+            .map(feed => feed.url);
+
+        if (due.length > 0) {
+            // 取得中にタイマーが再び発火しないよう、先に次回の予定を設定する
+            this.markRefreshed(due);
+            try {
+                await this.onDue(due);
+            } catch (error) {
+                console.error('Scheduled feed refresh failed:', error);
+            }
+        }
+        this.arm();
+    }
+}
+
+module.exports = FeedScheduler;
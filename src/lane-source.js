@@ -0,0 +1,45 @@
+// レーンに表示する記事の指定（'' は表示中のチャンネル）
+const LANE_SOURCE_GROUP = 'group:';
+const LANE_SOURCE_FEED = 'feed:';
+
+/**
+ * レーンの記事の指定を解析
+ * Parse a lane source
+ * @param {string} source - '' | 'group:<name>' | 'feed:<url>'
+ * @returns {Object} { type: 'channel' } | { type: 'group', name } | { type: 'feed', url }
+ */
+function parseLaneSource(source) {
+    if (source && source.startsWith(LANE_SOURCE_GROUP)) {
+        return { type: 'group', name: source.slice(LANE_SOURCE_GROUP.length) };
+    }
+    if (source && source.startsWith(LANE_SOURCE_FEED)) {
+        return { type: 'feed', url: source.slice(LANE_SOURCE_FEED.length) };
+    }
+    return { type: 'channel' };
+}
+
+/**
+ * フィード一覧に対してレーンの記事の指定を確認
+ * Resolve a lane source against the feed list; a group that no feed belongs to anymore or a
+ * deleted feed falls back to the active channel
+ * @param {string} source - Lane source
+ * @param {Array<Object>} feeds - Registered feeds
+ * @returns {string} The source, or '' when it no longer matches any feed or group
+ */
+function resolveLaneSource(source, feeds) {
+    const lane = parseLaneSource(source);
+    if (lane.type === 'group' && feeds.some(feed => feed.category === lane.name)) {
+        return source;
+    }
+    if (lane.type === 'feed' && feeds.some(feed => feed.url === lane.url)) {
+        return source;
+    }
+    return '';
+}
+
+module.exports = {
+    LANE_SOURCE_GROUP,
+    LANE_SOURCE_FEED,
+    parseLaneSource,
+    resolveLaneSource
+};
@@ -0,0 +1,311 @@
+// ドットマトリクス表示の既定値（設定画面の値で上書きする）
+const DEFAULT_LED_OPTIONS = {
+    dotSize: 4, // ドットの直径(px)
+    dotGap: 1, // ドットの間隔(px)
+    offDotOpacity: 0.12, // 消灯しているドットの明るさ（0〜1）
+    glow: 6, // 点灯しているドットの光彩(px)
+    fontFamily: 'monospace',
+    textColor: '#0ff',
+    sourceColor: '#ff0',
+    backgroundColor: '#000'
+};
+
+// 記事と記事の間のドット数
+const ITEM_SPACING = 24;
+
+// 文字のピクセルがこの不透明度以上ならドットを点灯する
+const LIT_THRESHOLD = 128;
+
+// 点滅する記事の点灯・消灯の間隔（.news-item.blink と同じ1秒周期）
+const BLINK_INTERVAL = 500;
+
+// 古い記事（キャッシュから表示）の明るさ（.news-item.stale と同じ）
+const DIM_OPACITY = 0.6;
+
+/**
+ * キャンバスに並ぶドットの行数・列数
+ * Size of the dot grid that fits in a canvas
+ * @param {number} width - Canvas width (px)
+ * @param {number} height - Canvas height (px)
+ * @param {number} dotSize - Dot diameter (px)
+ * @param {number} dotGap - Gap between dots (px)
+ * @returns {Object} { pitch, columns, rows }
+ */
+function gridSize(width, height, dotSize, dotGap) {
+    const pitch = dotSize + dotGap;
+    return {
+        pitch,
+        columns: Math.max(1, Math.ceil(width / pitch)),
+        rows: Math.max(1, Math.floor((height + dotGap) / pitch))
+    };
+}
+
+/**
+ * 1ドット1ピクセルで描いた文字をドットの点灯パターンに変換
+ * Convert the RGBA pixels of text drawn at one pixel per dot into a dot pattern
+ * @param {Uint8ClampedArray} data - RGBA pixels (ImageData.data)
+ * @param {number} width - Width in dots
+ * @param {number} height - Height in dots
+ * @param {Array<number>} partStarts - First column of each text part (ascending, starting at 0)
+ * @returns {Uint8Array} Column-major dots: 0 = off, n = lit with the color of part n - 1
+ */
+function pixelsToDots(data, width, height, partStarts = [0]) {
+    const dots = new Uint8Array(width * height);
+    let part = 0;
+    for (let x = 0; x < width; x++) {
+        while (part + 1 < partStarts.length && partStarts[part + 1] <= x) {
+            part++;
+        }
+        for (let y = 0; y < height; y++) {
+            if (data[(y * width + x) * 4 + 3] >= LIT_THRESHOLD) {
+                dots[x * height + y] = part + 1;
+            }
+        }
+    }
+    return dots;
+}
+
+/**
+ * 記事の区間を横に並べる
+ * Lay out segments of the given widths with ITEM_SPACING between them
+ * @param {Array<number>} widths - Segment widths in dots
+ * @returns {Object} { starts: [column], length: total columns including trailing spacing }
+ */
+function layoutSegments(widths) {
+    const starts = [];
+    let column = 0;
+    widths.forEach(width => {
+        starts.push(column);
+        column += width + ITEM_SPACING;
+    });
+    return { starts, length: column };
+}
+
+/**
+ * 列に表示されている記事の区間を取得
+ * Find the segment that covers a content column
+ * @param {Array<Object>} segments - Segments ({ start, width })
+ * @param {number} column - Content column
+ * @returns {Object|null} Segment
+ */
+function segmentAt(segments, column) {
+    return segments.find(segment => column >= segment.start && column < segment.start + segment.width) || null;
+}
+
+/**
+ * キャンバスにLED電光掲示板風のドットで記事を描画する
+ * Canvas renderer that rasterizes headlines (including Japanese glyphs) onto an LED dot grid.
+ * The scroll position (px, as in ScrollEngine) is passed to each draw; the dots move in
+ * whole-dot steps like a real LED board.
+ *
+ * Items are { key, parts: [{ text, role: 'text'|'source', color? }], link, blink, slow, dim }.
+ */
+class LedMatrixRenderer {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.options = { ...DEFAULT_LED_OPTIONS, ...options };
+        this.items = [];
+        this.segments = [];
+        this.contentColumns = 0;
+        this.offDotLayer = null;
+        this.resize();
+    }
+
+    /**
+     * 表示設定を更新（ドットの大きさ・フォントが変わったときは文字を変換し直す）
+     * Update the options; the text is rasterized again when the dot size or font changes
+     * @param {Object} options - Partial DEFAULT_LED_OPTIONS
+     */
+    setOptions(options) {
+        const previous = this.options;
+        this.options = { ...this.options, ...options };
+        if (['dotSize', 'dotGap', 'fontFamily'].some(key => previous[key] !== this.options[key])) {
+            this.resize();
+        } else {
+            this.offDotLayer = null;
+        }
+    }
+
+    setItems(items) {
+        this.items = items;
+        this.rasterize();
+    }
+
+    // キャンバスの大きさに合わせてドットの行数・列数を計算し直す
+    resize() {
+        this.canvas.width = this.canvas.clientWidth;
+        this.canvas.height = this.canvas.clientHeight;
+        this.grid = gridSize(this.canvas.width, this.canvas.height, this.options.dotSize, this.options.dotGap);
+        this.offDotLayer = null;
+        this.rasterize();
+    }
+
+    // 記事ごとに行数と同じ高さのピクセルで文字を描き、ドットの点灯パターンにする
+    rasterize() {
+        const rows = this.grid.rows;
+        const scratch = document.createElement('canvas');
+        const context = scratch.getContext('2d');
+        const font = `bold ${rows}px '${this.options.fontFamily}', monospace`;
+
+        const rendered = this.items.map(item => {
+            context.font = font;
+            const partStarts = [];
+            let width = 0;
+            item.parts.forEach(part => {
+                partStarts.push(width);
+                width += Math.ceil(context.measureText(`${part.text} `).width);
+            });
+            width = Math.max(1, width);
+
+            // 幅を変えるとキャンバスの内容と描画設定がリセットされる
+            scratch.width = width;
+            scratch.height = rows;
+            context.font = font;
+            context.textBaseline = 'middle';
+            context.fillStyle = '#fff';
+            item.parts.forEach((part, index) => {
+                context.fillText(part.text, partStarts[index], rows / 2);
+            });
+            const { data } = context.getImageData(0, 0, width, rows);
+            return { item, width, dots: pixelsToDots(data, width, rows, partStarts) };
+        });
+
+        const { starts, length } = layoutSegments(rendered.map(segment => segment.width));
+        this.segments = rendered.map((segment, index) => ({ ...segment, start: starts[index] }));
+        this.contentColumns = length;
+    }
+
+    // 1周の長さ(px)。画面右端から入り、最後の記事が左端に消えたら最初に戻る
+    loopLength() {
+        return (this.grid.columns + this.contentColumns) * this.grid.pitch;
+    }
+
+    // 記事の配置(px)。表示内容を入れ替えたときのスクロール位置の調整に使う
+    layout() {
+        return this.segments.map(segment => ({
+            key: segment.item.key,
+            start: segment.start * this.grid.pitch,
+            width: segment.width * this.grid.pitch
+        }));
+    }
+
+    // 画面左端の列に表示される記事上の列（LEDらしく1ドット単位で動かす）
+    firstColumn(position) {
+        return Math.floor(position / this.grid.pitch) - this.grid.columns;
+    }
+
+    visibleSegments(position) {
+        const first = this.firstColumn(position);
+        const last = first + this.grid.columns;
+        return this.segments.filter(segment => segment.start < last && segment.start + segment.width > first);
+    }
+
+    hasVisibleSlowItem(position) {
+        return this.visibleSegments(position).some(segment => segment.item.slow);
+    }
+
+    /**
+     * 画面上の位置に表示されている記事を取得
+     * Find the item displayed at an x coordinate of the canvas
+     * @param {number} x - X coordinate (px)
+     * @param {number} position - Scroll position (px)
+     * @returns {Object|null} Item
+     */
+    itemAt(x, position) {
+        const segment = segmentAt(this.segments, this.firstColumn(position) + Math.floor(x / this.grid.pitch));
+        return segment ? segment.item : null;
+    }
+
+    partColor(part) {
+        return part.color || (part.role === 'source' ? this.options.sourceColor : this.options.textColor);
+    }
+
+    // 消灯しているドットは毎フレーム同じなので別のキャンバスに描いておく
+    buildOffDotLayer() {
+        const layer = document.createElement('canvas');
+        layer.width = this.canvas.width;
+        layer.height = this.canvas.height;
+        const context = layer.getContext('2d');
+        context.fillStyle = this.options.backgroundColor;
+        context.fillRect(0, 0, layer.width, layer.height);
+        context.globalAlpha = this.options.offDotOpacity;
+        context.fillStyle = this.options.textColor;
+        const path = new Path2D();
+        for (let column = 0; column < this.grid.columns; column++) {
+            for (let row = 0; row < this.grid.rows; row++) {
+                this.addDot(path, column, row);
+            }
+        }
+        context.fill(path);
+        return layer;
+    }
+
+    addDot(path, column, row) {
+        const radius = this.options.dotSize / 2;
+        const x = column * this.grid.pitch + radius;
+        const y = this.offsetY + row * this.grid.pitch + radius;
+        path.moveTo(x + radius, y);
+        path.arc(x, y, radius, 0, Math.PI * 2);
+    }
+
+    /**
+     * 1フレームを描画
+     * Draw a frame
+     * @param {number} position - Scroll position (px)
+     * @param {number} time - Frame time (ms), used for blinking items
+     */
+    draw(position, time) {
+        const { context, grid } = this;
+        this.offsetY = Math.floor((this.canvas.height - grid.rows * grid.pitch + this.options.dotGap) / 2);
+        if (!this.offDotLayer) {
+            this.offDotLayer = this.buildOffDotLayer();
+        }
+        context.drawImage(this.offDotLayer, 0, 0);
+
+        // 同じ色・明るさのドットをまとめて描く（光彩の描画は重いため色ごとに1回にする）
+        const batches = new Map();
+        const first = this.firstColumn(position);
+        const blinkOff = Math.floor(time / BLINK_INTERVAL) % 2 === 1;
+        this.visibleSegments(position)
+            .filter(segment => !(segment.item.blink && blinkOff))
+            .forEach(segment => {
+                const alpha = segment.item.dim ? DIM_OPACITY : 1;
+                const from = Math.max(segment.start, first);
+                const to = Math.min(segment.start + segment.width, first + grid.columns);
+                for (let column = from; column < to; column++) {
+                    const offset = (column - segment.start) * grid.rows;
+                    for (let row = 0; row < grid.rows; row++) {
+                        const dot = segment.dots[offset + row];
+                        if (dot === 0) {
+                            continue;
+                        }
+                        const color = this.partColor(segment.item.parts[dot - 1]);
+                        const key = `${color}|${alpha}`;
+                        if (!batches.has(key)) {
+                            batches.set(key, { color, alpha, path: new Path2D() });
+                        }
+                        this.addDot(batches.get(key).path, column - first, row);
+                    }
+                }
+            });
+
+        context.save();
+        context.shadowBlur = this.options.glow;
+        batches.forEach(({ color, alpha, path }) => {
+            context.globalAlpha = alpha;
+            context.fillStyle = color;
+            context.shadowColor = color;
+            context.fill(path);
+        });
+        context.restore();
+    }
+}
+
+module.exports = LedMatrixRenderer;
+module.exports.DEFAULT_LED_OPTIONS = DEFAULT_LED_OPTIONS;
+module.exports.ITEM_SPACING = ITEM_SPACING;
+module.exports.gridSize = gridSize;
+module.exports.pixelsToDots = pixelsToDots;
+module.exports.layoutSegments = layoutSegments;
+module.exports.segmentAt = segmentAt;
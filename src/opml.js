@@ -0,0 +1,135 @@
+const xml2js = require('xml2js');
+const { isValidFeedUrl } = require('./feed-discovery');
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * OPMLを解析してフィード一覧を取得
+ * Parse an OPML document. Folder outlines become the `category` of the feeds they
+ * contain (nested folders are joined with "/").
+ * @param {string} xml - OPML document
+ * @returns {Promise<Object>} { title, feeds: [{ url, name, category }], invalid: [{ name, url, reason }] }
+ */
+async function parseOPML(xml) {
+    let result;
+    try {
+        result = await xml2js.parseStringPromise(xml);
+    } catch (error) {
+        throw new Error(`OPMLファイルを解析できませんでした: ${error.message}`);
+    }
+
+    if (!result || !result.opml || !result.opml.body) {
+        throw new Error('OPMLファイルではありません');
+    }
+
+    const head = result.opml.head && result.opml.head[0];
+    const title = head && head.title ? String(head.title[0]) : '';
+    const feeds = [];
+    const invalid = [];
+
+    const walk = (outlines, folders) => {
+        (outlines || []).forEach(outline => {
+            const attrs = outline.$ || {};
+            const label = (attrs.title || attrs.text || '').trim();
+
+            if (attrs.xmlUrl === undefined) {
+                // xmlUrl の無い outline はフォルダとして扱う
+                walk(outline.outline, label ? [...folders, label] : folders);
+                return;
+            }
+
+            const url = attrs.xmlUrl.trim();
+            const name = label || url;
+            if (!isValidFeedUrl(url)) {
+                invalid.push({ name, url, reason: 'URLが不正です' });
+                return;
+            }
+
+            // フォルダが無い場合は OPML 2.0 の category 属性（"/IT/ニュース" 形式）を使う
+            const categoryAttr = (attrs.category || '').split(',')[0].trim().replace(/^\/+|\/+$/g, '');
+            const category = folders.length > 0 ? folders.join('/') : categoryAttr;
+
+            const feed = { url, name };
+            if (category) {
+                feed.category = category;
+            }
+            feeds.push(feed);
+        });
+    };
+
+    walk(result.opml.body[0].outline, []);
+
+    return { title, feeds, invalid };
+}
+
+/**
+ * フィード一覧からOPML 2.0を生成（カテゴリはフォルダとして出力）
+ * Build an OPML 2.0 document, writing each feed category as a folder outline
+ * @param {Array<Object>} feeds - Feeds ({ url, name, category })
+ * @param {Object} options - { title }
+ * @returns {string} OPML document
+ */
+function buildOPML(feeds, options = {}) {
+    const title = options.title || 'RSS ニュース電光掲示板 フィード一覧';
+    const feedOutline = (feed, indent) =>
+        `${indent}<outline type="rss" text="${escapeXml(feed.name)}" title="${escapeXml(feed.name)}" xmlUrl="${escapeXml(feed.url)}"/>`;
+
+    const uncategorized = feeds.filter(feed => !feed.category);
+    const categories = [...new Set(feeds.filter(feed => feed.category).map(feed => feed.category))];
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<opml version="2.0">',
+        '  <head>',
+        `    <title>${escapeXml(title)}</title>`,
+        `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+        '  </head>',
+        '  <body>'
+    ];
+
+    categories.forEach(category => {
+        lines.push(`    <outline text="${escapeXml(category)}" title="${escapeXml(category)}">`);
+        feeds.filter(feed => feed.category === category).forEach(feed => lines.push(feedOutline(feed, '      ')));
+        lines.push('    </outline>');
+    });
+    uncategorized.forEach(feed => lines.push(feedOutline(feed, '    ')));
+
+    lines.push('  </body>', '</opml>', '');
+    return lines.join('\n');
+}
+
+/**
+ * インポートするフィードを既存のフィードと照合
+ * Split imported feeds into new ones and duplicates of existing (or earlier imported) feeds
+ * @param {Array<Object>} importedFeeds - Feeds parsed from OPML
+ * @param {Array<Object>} existingFeeds - Feeds already registered
+ * @returns {Object} { newFeeds, duplicates }
+ */
+function partitionImportedFeeds(importedFeeds, existingFeeds) {
+    const knownUrls = new Set(existingFeeds.map(feed => feed.url));
+    const newFeeds = [];
+    const duplicates = [];
+
+    importedFeeds.forEach(feed => {
+        if (knownUrls.has(feed.url)) {
+            duplicates.push(feed);
+        } else {
+            knownUrls.add(feed.url);
+            newFeeds.push(feed);
+        }
+    });
+
+    return { newFeeds, duplicates };
+}
+
+module.exports = {
+    parseOPML,
+    buildOPML,
+    partitionImportedFeeds
+};
@@ -0,0 +1,231 @@
+// 切り替え効果（styles.css の .page-item.<効果>-in / -out と対応）
+const PAGE_TRANSITIONS = ['flip', 'slide-up', 'typewriter'];
+
+// フリップ・スライドアップのアニメーションの長さ（styles.css と同じ）
+const TRANSITION_DURATION = 500;
+
+// タイプライター効果で1秒間に表示する文字数
+const TYPEWRITER_SPEED = 20;
+const TYPEWRITER_TICK = 50;
+
+/**
+ * 見出しを表示しておく時間
+ * How long a headline stays on screen: a base time plus a time per character
+ * @param {string} text - Headline
+ * @param {Object} options - { dwellTime: ms, dwellPerChar: ms }
+ * @returns {number} Milliseconds
+ */
+function dwellTime(text, { dwellTime: base, dwellPerChar }) {
+    return base + Array.from(text).length * dwellPerChar;
+}
+
+/**
+ * タイプライター効果で表示済みの文字列
+ * Part of the headline typed after the elapsed time (counts characters, not UTF-16 units)
+ * @param {string} text - Headline
+ * @param {number} elapsed - Milliseconds since typing started
+ * @returns {string} Typed text
+ */
+function typewriterText(text, elapsed) {
+    const count = Math.floor(elapsed / 1000 * TYPEWRITER_SPEED);
+    return Array.from(text).slice(0, Math.max(0, count)).join('');
+}
+
+/**
+ * 次に表示する記事の位置
+ * Index of the item to show after the current one. If the current item is gone, the item
+ * that took its place is next.
+ * @param {Array<string>} keys - Item keys in display order
+ * @param {string|null} currentKey - Key of the item on screen
+ * @param {number} currentIndex - Index the item on screen had
+ * @returns {number} Index, or -1 when there is nothing to show
+ */
+function nextPageIndex(keys, currentKey, currentIndex) {
+    if (keys.length === 0) {
+        return -1;
+    }
+    const index = keys.indexOf(currentKey);
+    if (index !== -1) {
+        return (index + 1) % keys.length;
+    }
+    return currentIndex >= 0 && currentIndex < keys.length ? currentIndex : 0;
+}
+
+/**
+ * 見出しを1件ずつ切り替えて表示する
+ * Shows headlines one at a time with a flip, slide-up or typewriter transition.
+ * Elements are created by `createElement(item)`; the headline text is read from its `.title`
+ * and items with the `slow` class stay on screen longer.
+ */
+class PageTicker {
+    /**
+     * @param {HTMLElement} container - Element the pages are shown in
+     * @param {Object} options - { createElement, onChange, transition, dwellTime, dwellPerChar, slowRate }
+     */
+    constructor(container, options) {
+        this.container = container;
+        this.createElement = options.createElement;
+        this.onChange = options.onChange || (() => {});
+        this.options = { transition: 'flip', dwellTime: 3000, dwellPerChar: 80, slowRate: 0.5 };
+        this.setOptions(options);
+        this.items = [];
+        this.key = null;
+        this.index = -1;
+        this.running = false;
+        this.paused = false;
+        this.timer = null;
+        this.typingTimer = null;
+        // タイプライター効果で打っている見出し（{ page, title, text, elapsed }）
+        this.typing = null;
+        this.deadline = 0;
+        this.remaining = 0;
+    }
+
+    setOptions(options) {
+        ['transition', 'dwellTime', 'dwellPerChar', 'slowRate']
+            .filter(key => options[key] !== undefined)
+            .forEach(key => {
+                this.options[key] = options[key];
+            });
+    }
+
+    // 表示中の見出しはそのままにして、次から新しい記事の並びで表示する
+    setItems(items) {
+        this.items = items;
+        if (this.running && this.key === null) {
+            this.showNext();
+        }
+    }
+
+    currentKey() {
+        return this.key;
+    }
+
+    start() {
+        if (this.running) {
+            return;
+        }
+        this.running = true;
+        this.showNext();
+    }
+
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        clearInterval(this.typingTimer);
+        this.typing = null;
+        this.container.innerHTML = '';
+        this.key = null;
+    }
+
+    setPaused(paused) {
+        this.paused = paused;
+        if (!this.running) {
+            return;
+        }
+        // 打っている間は表示時間を数えないので、残り時間は打ち終わった後の時間のまま
+        if (paused) {
+            clearTimeout(this.timer);
+            clearInterval(this.typingTimer);
+            if (!this.typing) {
+                this.remaining = Math.max(0, this.deadline - Date.now());
+            }
+        } else if (this.typing) {
+            this.resumeTyping();
+        } else {
+            this.schedule(this.remaining);
+        }
+    }
+
+    schedule(duration) {
+        clearTimeout(this.timer);
+        this.remaining = duration;
+        this.deadline = Date.now() + duration;
+        if (!this.paused) {
+            this.timer = setTimeout(() => this.showNext(), duration);
+        }
+    }
+
+    showNext() {
+        clearTimeout(this.timer);
+        clearInterval(this.typingTimer);
+        this.typing = null;
+        const index = nextPageIndex(this.items.map(item => item.key), this.key, this.index);
+        if (index === -1) {
+            this.key = null;
+            return;
+        }
+        const item = this.items[index];
+        this.index = index;
+        this.key = item.key;
+
+        const page = document.createElement('div');
+        page.className = 'page-item';
+        const element = this.createElement(item);
+        page.appendChild(element);
+        this.removePages();
+        this.container.appendChild(page);
+
+        const title = element.querySelector('.title') || element;
+        const text = title.textContent.trim();
+        let duration = dwellTime(text, this.options);
+        if (element.classList.contains('slow')) {
+            duration /= this.options.slowRate;
+        }
+        if (this.options.transition === 'typewriter') {
+            // 表示時間は打ち終わってから数える
+            this.remaining = duration;
+            this.typeIn(page, title, text);
+        } else {
+            page.classList.add(`${this.options.transition}-in`);
+            this.schedule(duration);
+        }
+        this.onChange(item);
+    }
+
+    // 前の見出しは切り替え効果の後で取り除く（タイプライターはすぐに消す）
+    removePages() {
+        Array.from(this.container.children).forEach(page => {
+            if (this.options.transition === 'typewriter') {
+                page.remove();
+                return;
+            }
+            page.classList.add(`${this.options.transition}-out`);
+            setTimeout(() => page.remove(), TRANSITION_DURATION);
+        });
+    }
+
+    typeIn(page, title, text) {
+        page.classList.add('typing');
+        title.textContent = '';
+        this.typing = { page, title, text, elapsed: 0 };
+        this.resumeTyping();
+    }
+
+    // 一時停止中の時間を含めないよう、経過時間は打った間隔の分だけ進める
+    resumeTyping() {
+        clearInterval(this.typingTimer);
+        if (this.paused) {
+            return;
+        }
+        this.typingTimer = setInterval(() => {
+            const typing = this.typing;
+            typing.elapsed += TYPEWRITER_TICK;
+            const typed = typewriterText(typing.text, typing.elapsed);
+            typing.title.textContent = typed;
+            if (typed === typing.text) {
+                clearInterval(this.typingTimer);
+                typing.page.classList.remove('typing');
+                this.typing = null;
+                this.schedule(this.remaining);
+            }
+        }, TYPEWRITER_TICK);
+    }
+}
+
+module.exports = PageTicker;
+module.exports.PAGE_TRANSITIONS = PAGE_TRANSITIONS;
+module.exports.dwellTime = dwellTime;
+module.exports.typewriterText = typewriterText;
+module.exports.TYPEWRITER_SPEED = TYPEWRITER_SPEED;
+module.exports.nextPageIndex = nextPageIndex;
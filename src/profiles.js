@@ -0,0 +1,136 @@
+// プロファイルに保存する設定項目（テーマ・表示方式・表示速度・文字）
+const PROFILE_SETTING_KEYS = [
+    'theme',
+    'scrollSpeed',
+    'fontSize',
+    'fontFamily',
+    'textColor',
+    'backgroundColor',
+    'sourceColor',
+    'glowColor',
+    'glowSize',
+    'shadowColor',
+    'shadowOffset',
+    'gradientColor',
+    'gradientAngle',
+    'renderMode',
+    'ledDotSize',
+    'ledDotGap',
+    'ledOffDotOpacity',
+    'ledGlow',
+    'tickerMode',
+    'pageTransition',
+    'pageDwellTime',
+    'pageDwellPerChar',
+    'laneCount',
+    'lane1Source',
+    'lane1Speed',
+    'lane1Direction',
+    'lane2Source',
+    'lane2Speed',
+    'lane2Direction',
+    'lane3Source',
+    'lane3Speed',
+    'lane3Direction',
+    'activeGroup'
+];
+
+/**
+ * 現在の状態からプロファイルを作成
+ * Build a profile from the current feeds, settings and window bounds
+ * @param {string} name - Profile name
+ * @param {Object} state - { feeds, settings, bounds: { x, y, width, height }, schedule }
+ * @returns {Object} { name, feeds, settings, bounds, schedule }
+ */
+function createProfile(name, state) {
+    const settings = {};
+    PROFILE_SETTING_KEYS
+        .filter(key => state.settings && state.settings[key] !== undefined)
+        .forEach(key => {
+            settings[key] = state.settings[key];
+        });
+
+    return {
+        name: String(name).trim(),
+        feeds: (state.feeds || []).map(feed => ({ ...feed })),
+        settings,
+        bounds: state.bounds ? { ...state.bounds } : null,
+        schedule: state.schedule || null
+    };
+}
+
+/**
+ * "HH:MM" を0時からの分に変換
+ * Parse a "HH:MM" time of day
+ * @param {string} time - Time of day
+ * @returns {number|null} Minutes since midnight, or null if invalid
+ */
+function parseTime(time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(time || '').trim());
+    if (!match) {
+        return null;
+    }
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    if (hours > 23 || minutes > 59) {
+        return null;
+    }
+    return hours * 60 + minutes;
+}
+
+/**
+ * 自動切り替えの時間帯を検証
+ * Validate a time-of-day schedule
+ * @param {Object} schedule - { start: 'HH:MM', end: 'HH:MM' }
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateSchedule(schedule) {
+    const start = parseTime(schedule && schedule.start);
+    const end = parseTime(schedule && schedule.end);
+    if (start === null || end === null) {
+        return '時刻は HH:MM 形式で入力してください';
+    }
+    if (start === end) {
+        return '開始時刻と終了時刻が同じです';
+    }
+    return null;
+}
+
+/**
+ * 日時が時間帯に含まれるかどうか（日付をまたぐ時間帯にも対応）
+ * Check whether a date falls in a schedule; a start after the end spans midnight
+ * @param {Object} schedule - { start: 'HH:MM', end: 'HH:MM' }
+ * @param {Date} date - Date to check
+ * @returns {boolean} True if the date is within [start, end)
+ */
+function isInSchedule(schedule, date) {
+    if (validateSchedule(schedule) !== null) {
+        return false;
+    }
+    const start = parseTime(schedule.start);
+    const end = parseTime(schedule.end);
+    const now = date.getHours() * 60 + date.getMinutes();
+    return start < end
+        ? now >= start && now < end
+        : now >= start || now < end;
+}
+
+/**
+ * 日時に対応する自動切り替え先のプロファイルを取得（先に登録したものを優先）
+ * Find the first profile whose schedule contains the date
+ * @param {Array<Object>} profiles - Profiles
+ * @param {Date} date - Date to check
+ * @returns {Object|null} Scheduled profile
+ */
+function findScheduledProfile(profiles, date) {
+    return profiles.find(profile => profile.schedule && isInSchedule(profile.schedule, date)) || null;
+}
+
+module.exports = {
+    PROFILE_SETTING_KEYS,
+    createProfile,
+    parseTime,
+    validateSchedule,
+    isInSchedule,
+    findScheduledProfile
+};
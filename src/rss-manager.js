@@ -1,12 +1,163 @@
 const Parser = require('rss-parser');
 const Logger = require('./logger');
+const FeedFetcher = require('./feed-fetcher');
+const FeedHealthTracker = require('./feed-health');
+const { ERROR_TYPE_LABELS } = FeedHealthTracker;
+const { PARSER_OPTIONS, normalizeFeed } = require('./feed-normalizer');
+const { deduplicateArticleGroups } = require('./article-deduplicator');
+const { applyFilters } = require('./article-filter');
+const { isValidFeedUrl, isHtmlDocument, discoverFeedLinks } = require('./feed-discovery');
+const { parseLaneSource, resolveLaneSource } = require('./lane-source');
+
+// 記事選択のデフォルトオプション
+const DEFAULT_OPTIONS = {
+    maxArticles: 20,       // ティッカーに表示する記事の総数
+    maxItemsPerFeed: 10,   // フィードごとの記事数上限（フィード個別の maxItems が優先）
+    articleOrder: 'date',  // 'date': 新しい順 / 'interleave': フィードごとに交互 / 'priority': フィードの並び順
+    concurrency: 4,        // 同時に取得するフィード数の上限
+    feedTimeout: 15000,    // フィードごとのタイムアウト（ミリ秒）
+    deduplicate: true,     // 複数フィードに掲載された同じ記事をまとめる
+    retryBaseDelay: 60000,       // 失敗したフィードを再試行するまでの最初の待ち時間（失敗ごとに倍増）
+    retryMaxDelay: 3600000,      // 再試行の待ち時間の上限（1時間）
+    suspendAfterFailures: 10,    // この回数連続で失敗したフィードは自動更新を停止する（0で無効）
+    activeGroup: ''              // ティッカーに表示するグループ（フィードの category、空欄で全フィード）
+};
+
+/**
+ * 処理にタイムアウトを設定（時間切れで取得中のリクエストを中断）
+ * Run a task with a FEED_TIMEOUT error after `ms`. The task receives an AbortSignal that is
+ * aborted on timeout so that the request in flight is cancelled instead of left running.
+ * @param {Function} task - Called with (signal); returns a Promise
+ * @param {number} ms - Timeout in milliseconds
+ * @returns {Promise} Result of the task
+ */
+function withTimeout(task, ms) {
+    if (!(ms > 0)) {
+        return task(undefined);
+    }
+
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error(`タイムアウトしました (${ms}ms)`);
+            error.code = 'FEED_TIMEOUT';
+            controller.abort(error);
+            reject(error);
+        }, ms);
+    });
+
+    return Promise.race([task(controller.signal), timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * 同時実行数を制限して非同期処理を実行（結果は入力順）
+ * Map items with an async worker, running at most `limit` at once
+ * @param {Array} items - Input items
+ * @param {number} limit - Maximum concurrent workers
+ * @param {Function} worker - Async function called with (item, index)
+ * @returns {Promise<Array>} Results in input order
+ */
+async function mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const run = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await worker(items[index], index);
+        }
+    };
+
+    const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+    await Promise.all(Array.from({ length: workerCount }, run));
+    return results;
+}
+
+/**
+ * 取得エラーを種類ごとに分類
+ * Classify a fetch error as timeout, http, network or parse failure
+ * @param {Error} error - Error thrown while fetching
+ * @returns {string} Error type
+ */
+function classifyFetchError(error) {
+    if (error.code === 'FEED_TIMEOUT' || error.code === 'ETIMEDOUT' || error.name === 'TimeoutError') {
+        return 'timeout';
+    }
+    if (/^Status code \d+/.test(error.message)) {
+        return 'http';
+    }
+    // fetch() の接続エラーは TypeError の cause に errno コードを持つ
+    if (error.code || (error.cause && error.cause.code)) {
+        return 'network';
+    }
+    return 'parse';
+}
+
+/**
+ * フィードの個別設定を反映（キーが無い設定は変更しない、0や空値は削除）
+ * Copy per-feed options onto a feed entry. Keys that are absent are left alone;
+ * empty values remove the option.
+ * @param {Object} feed - Feed entry to modify
+ * @param {Object} options - { maxItems, updateInterval, category, suspended, disabled }
+ */
+function applyFeedOptions(feed, options) {
+    ['maxItems', 'updateInterval'].forEach(key => {
+        if (!(key in options)) return;
+        if (options[key] > 0) {
+            feed[key] = options[key];
+        } else {
+            delete feed[key];
+        }
+    });
+    if ('category' in options) {
+        if (options.category) {
+            feed.category = options.category;
+        } else {
+            delete feed.category;
+        }
+    }
+    ['suspended', 'disabled'].forEach(key => {
+        if (!(key in options)) return;
+        if (options[key]) {
+            feed[key] = true;
+        } else {
+            delete feed[key];
+        }
+    });
+}
+
+// フィード検証エラーの種類ごとのメッセージ
+const VALIDATION_MESSAGES = {
+    'invalid-url': 'URLが不正です（http:// または https:// で始まるURLを入力してください）',
+    duplicate: 'このフィードは既に登録されています',
+    'not-found': 'ページ内にフィードが見つかりませんでした',
+    timeout: 'フィードの取得がタイムアウトしました',
+    http: 'サーバーがエラーを返しました',
+    network: 'サーバーに接続できませんでした',
+    parse: 'フィードとして解析できませんでした'
+};
+
+function validationError(type, detail) {
+    const message = VALIDATION_MESSAGES[type];
+    return {
+        success: false,
+        error: { type, message: detail ? `${message} (${detail})` : message }
+    };
+}
 
 class RSSManager {
     constructor(logger = null) {
-        this.parser = new Parser();
+        this.parser = new Parser(PARSER_OPTIONS);
+        this.fetcher = new FeedFetcher(this.parser);
+        this.health = new FeedHealthTracker();
+        this.feedArticles = new Map(); // フィードURL → 直近に取得した記事
         this.logger = logger;
         this.feeds = [];
         this.articles = [];
+        this.candidateArticles = [];
+        this.filterRules = [];
+        this.options = { ...DEFAULT_OPTIONS };
         this.defaultFeeds = [
             { url: 'https://b.hatena.ne.jp/hotentry.rss', name: 'はてなブックマーク' },
             { url: 'https://news.livedoor.com/topics/rss/top.xml', name: 'ライブドアニュース' },
@@ -16,87 +167,549 @@ class RSSManager {
         ];
     }
 
-    async fetchRSSFeed(feedUrl, feedName = 'Unknown') {
+    /**
+     * 記事取得・選択のオプションを更新
+     * Update article fetching/selection options
+     * @param {Object} options - maxArticles, maxItemsPerFeed, articleOrder, concurrency, feedTimeout, deduplicate,
+     *   retryBaseDelay, retryMaxDelay, suspendAfterFailures, activeGroup
+     * @returns {Object} Current options
+     */
+    setOptions(options = {}) {
+        Object.keys(options).forEach(key => {
+            if (key in DEFAULT_OPTIONS && options[key] !== undefined && options[key] !== null) {
+                this.options[key] = options[key];
+            }
+        });
+        return this.options;
+    }
+
+    getOptions() {
+        return this.options;
+    }
+
+    async fetchRSSFeed(feedUrl, feedName = 'Unknown', maxItems = this.options.maxItemsPerFeed, force = false) {
+        const startedAt = Date.now();
         try {
             if (this.logger) {
                 this.logger.debug(`Fetching RSS feed from: ${feedUrl}`);
             }
-            const feed = await this.parser.parseURL(feedUrl);
+            const timeout = this.options.feedTimeout;
+            const { feed, fromCache } = await withTimeout(signal => this.fetcher.fetch(feedUrl, { signal, force }), timeout);
             
-            const normalizedArticles = feed.items.slice(0, 10).map(item => ({
-                title: item.title || 'タイトルなし',
-                link: item.link || '',
-                pubDate: item.pubDate || new Date().toISOString(),
-                source: feedName,
-                guid: item.guid || item.link || Math.random().toString()
-            }));
+            const normalizedArticles = normalizeFeed(feed, feedUrl, feedName).slice(0, maxItems);
+            this.health.recordSuccess(feedUrl, {
+                itemCount: (feed.items || []).length,
+                responseTime: fromCache ? null : Date.now() - startedAt
+            });
 
             return {
                 success: true,
                 articles: normalizedArticles,
-                feedTitle: feed.title || feedName
+                feedTitle: feed.title || feedName,
+                fromCache
             };
         } catch (error) {
             console.error(`Error fetching RSS feed from ${feedUrl}:`, error);
+            const errorType = classifyFetchError(error);
+            this.health.recordFailure(feedUrl, error.message, errorType, {
+                baseDelay: this.options.retryBaseDelay,
+                maxDelay: this.options.retryMaxDelay
+            });
             return {
                 success: false,
                 error: error.message,
+                errorType,
                 articles: []
             };
         }
     }
 
-    async fetchAllFeeds() {
-        const feedsToFetch = this.feeds.length > 0 ? this.feeds : this.defaultFeeds;
-        const allArticles = [];
+    /**
+     * フィードを登録前に検証（HTMLページの場合は <link rel="alternate"> から自動検出）
+     * Validate a feed URL by fetching and parsing it. When the URL is an HTML page,
+     * the feeds it advertises are tried in order.
+     * @param {string} url - Feed or site URL
+     * @returns {Promise<Object>} { success: true, url, title, itemCount, discovered }
+     *   or { success: false, error: { type, message } }
+     */
+    async validateFeed(url) {
+        if (!isValidFeedUrl(url)) {
+            return validationError('invalid-url');
+        }
+        if (this.getFeed(url)) {
+            return validationError('duplicate');
+        }
+
+        const timeout = this.options.feedTimeout;
+        let document;
+        try {
+            document = await withTimeout(signal => this.fetcher.fetchDocument(url, { signal }), timeout);
+        } catch (error) {
+            return this.toValidationError(url, error);
+        }
+
+        if (!isHtmlDocument(document.body, document.contentType)) {
+            return this.parseValidatedFeed(url, document, false);
+        }
+
+        const candidates = discoverFeedLinks(document.body, document.url);
+        if (candidates.length === 0) {
+            return validationError('not-found');
+        }
+
+        let result = null;
+        for (const candidate of candidates) {
+            try {
+                const feedDocument = await withTimeout(signal => this.fetcher.fetchDocument(candidate.url, { signal }), timeout);
+                result = await this.parseValidatedFeed(candidate.url, feedDocument, true);
+            } catch (error) {
+                result = this.toValidationError(candidate.url, error);
+            }
+            if (result.success) {
+                result.title = result.title || candidate.title;
+                break;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 複数のフィードをまとめて検証（OPMLの取り込み用、同時取得数の上限を守る）
+     * Validate several feed URLs with at most `concurrency` requests at once
+     * @param {Array<string>} urls - Feed or site URLs
+     * @returns {Promise<Array<Object>>} validateFeed results in input order
+     */
+    validateFeeds(urls) {
+        return mapWithConcurrency(urls, this.options.concurrency, url => this.validateFeed(url));
+    }
+
+    async parseValidatedFeed(url, document, discovered) {
+        // 自動検出したフィードが登録済みの場合も重複として扱う
+        if (discovered && this.getFeed(url)) {
+            return validationError('duplicate');
+        }
+        try {
+            const feed = await this.fetcher.parse(document.body, document.contentType);
+            return {
+                success: true,
+                url,
+                title: (feed.title || '').trim(),
+                itemCount: (feed.items || []).length,
+                discovered
+            };
+        } catch (error) {
+            return this.toValidationError(url, error);
+        }
+    }
+
+    toValidationError(url, error) {
+        if (this.logger) {
+            this.logger.debug(`Feed validation failed for ${url}:`, error.message);
+        }
+        const type = classifyFetchError(error);
+        return validationError(type, type === 'http' ? error.message : null);
+    }
+
+    /**
+     * 全フィードを取得して表示する記事を更新
+     * Fetch all feeds and rebuild the selected article list
+     * Suspended feeds are skipped, and so are failing feeds until their backoff delay has passed.
+     * With `feedUrls`, only those feeds are fetched and the other feeds keep their last articles.
+     * A failing feed keeps its last articles until it is suspended.
+     * @param {Object} options - { force: true } skips fresh-cache reuse and backoff waits
+     *   (conditional requests still apply, suspended feeds stay skipped);
+     *   { feedUrls } limits fetching to the given feeds
+     * @returns {Promise<Object>} { articles, errors, hiddenCount, suspended }
+     */
+    async fetchAllFeeds(options = {}) {
+        const activeFeeds = this.getActiveFeeds();
+        const feedsToFetch = activeFeeds.filter(feed =>
+            (!options.feedUrls || options.feedUrls.includes(feed.url)) &&
+            !feed.disabled && !feed.suspended && (options.force || !this.health.isBackingOff(feed.url))
+        );
         const errors = [];
+        const suspended = [];
+
+        const results = await mapWithConcurrency(feedsToFetch, this.options.concurrency, feed =>
+            this.fetchRSSFeed(feed.url, feed.name, feed.maxItems || this.options.maxItemsPerFeed, options.force)
+        );
 
-        for (const feed of feedsToFetch) {
-            const result = await this.fetchRSSFeed(feed.url, feed.name);
+        results.forEach((result, index) => {
+            const feed = feedsToFetch[index];
             if (result.success) {
-                allArticles.push(...result.articles);
+                this.feedArticles.set(feed.url, result.articles);
             } else {
+                // 失敗している間は直近に取得できた記事を表示し続ける
                 errors.push({
                     feed: feed.name,
+                    url: feed.url,
+                    type: result.errorType,
                     error: result.error
                 });
+                if (this.shouldSuspend(feed)) {
+                    feed.suspended = true;
+                    this.feedArticles.delete(feed.url);
+                    suspended.push({ feed: feed.name, url: feed.url, failures: this.health.get(feed.url).consecutiveFailures });
+                    if (this.logger) {
+                        this.logger.warn(`Feed suspended after repeated failures: ${feed.url}`);
+                    }
+                }
             }
-        }
+        });
 
-        this.articles = allArticles.sort((a, b) => 
-            new Date(b.pubDate) - new Date(a.pubDate)
-        );
+        const { hiddenCount } = this.rebuildArticles(activeFeeds);
 
         return {
             articles: this.articles,
-            errors: errors
+            errors: errors,
+            hiddenCount,
+            suspended
         };
     }
 
-    addFeed(url, name) {
+    /**
+     * フィードごとの直近の記事から表示する記事を組み立て直す
+     * Rebuild the ticker articles from the latest articles of each feed, in feed order
+     * @param {Array<Object>} feeds - Feeds to include
+     * @returns {Object} { articles, hiddenCount }
+     */
+    rebuildArticles(feeds = this.getActiveFeeds()) {
+        const { articles, candidates, hiddenCount } = this.collectArticles(this.filterByActiveGroup(feeds));
+        this.candidateArticles = candidates;
+        this.articles = articles;
+
+        return { articles: this.articles, hiddenCount };
+    }
+
+    /**
+     * フィードの直近の記事を統合・フィルター・選択する
+     * Deduplicate, filter and select the latest articles of the given feeds
+     * @param {Array<Object>} feeds - Feeds in priority order
+     * @returns {Object} { articles, candidates: articles before filtering, hiddenCount }
+     */
+    collectArticles(feeds) {
+        // 重複の統合は記事の sources を書き換えるため、前回の統合結果が残らないよう複製してから行う
+        const articleGroups = feeds
+            .filter(feed => !feed.disabled && this.feedArticles.has(feed.url))
+            .map(feed => this.feedArticles.get(feed.url).map(article => ({
+                ...article,
+                sources: [...article.sources],
+                feedUrls: [...article.feedUrls]
+            })));
+
+        const groups = this.options.deduplicate ? deduplicateArticleGroups(articleGroups) : articleGroups;
+
+        // フィルターで非表示にした記事が表示枠を消費しないよう、選択の前に適用する
+        let hiddenCount = 0;
+        const visibleGroups = groups.map(group => {
+            const { visible, hidden } = applyFilters(group, this.filterRules);
+            hiddenCount += hidden.length;
+            return visible;
+        });
+
+        return {
+            articles: this.selectArticles(visibleGroups),
+            candidates: [].concat(...groups),
+            hiddenCount
+        };
+    }
+
+    /**
+     * レーンに表示するフィードを取得
+     * Feeds a ticker lane is bound to: a feed group, a single feed, or the active channel
+     * (also used when the group or feed no longer exists)
+     * @param {string} source - Lane source ('' | 'group:<name>' | 'feed:<url>')
+     * @returns {Array<Object>} Feeds
+     */
+    getLaneFeeds(source) {
+        const feeds = this.getActiveFeeds();
+        const lane = parseLaneSource(resolveLaneSource(source, feeds));
+        if (lane.type === 'group') {
+            return feeds.filter(feed => feed.category === lane.name);
+        }
+        if (lane.type === 'feed') {
+            return feeds.filter(feed => feed.url === lane.url);
+        }
+        return this.filterByActiveGroup(feeds);
+    }
+
+    /**
+     * レーンに表示する記事を取得（取得はせず、直近に取得した記事から選ぶ）
+     * Select the articles of a ticker lane from the latest fetched articles
+     * @param {string} source - Lane source
+     * @returns {Array<Object>} Articles
+     */
+    getLaneArticles(source) {
+        return this.collectArticles(this.getLaneFeeds(source)).articles;
+    }
+
+    shouldSuspend(feed) {
+        const limit = this.options.suspendAfterFailures;
+        return limit > 0 && this.health.get(feed.url).consecutiveFailures >= limit;
+    }
+
+    /**
+     * 自動停止したフィードの更新を再開
+     * Resume a suspended feed; its failure history is cleared so it is fetched on the next update
+     * @param {string} url - Feed URL
+     * @returns {boolean} True if the feed was suspended
+     */
+    resumeFeed(url) {
+        const feed = this.getActiveFeeds().find(f => f.url === url);
+        if (!feed || !feed.suspended) {
+            return false;
+        }
+        delete feed.suspended;
+        this.health.remove(url);
+        return true;
+    }
+
+    /**
+     * フィードごとの記事リストから表示する記事を選択
+     * Select ticker articles from per-feed article lists
+     * @param {Array<Array<Object>>} articleGroups - Articles grouped by feed, in feed order
+     * @returns {Array<Object>} Selected articles capped at maxArticles
+     */
+    selectArticles(articleGroups) {
+        const byDate = (a, b) => new Date(b.pubDate) - new Date(a.pubDate);
+        const { maxArticles, articleOrder } = this.options;
+        const limit = maxArticles > 0 ? maxArticles : Infinity;
+
+        if (articleOrder === 'priority') {
+            // 並び順が上のフィードの記事から表示枠を埋める
+            return [].concat(...articleGroups.map(group => [...group].sort(byDate))).slice(0, limit);
+        }
+        if (articleOrder !== 'interleave') {
+            return [].concat(...articleGroups).sort(byDate).slice(0, limit);
+        }
+
+        // ラウンドロビン: 各フィードの最新記事から順に1件ずつ取り出す
+        const queues = articleGroups.map(group => [...group].sort(byDate));
+        const selected = [];
+        let remaining = queues.reduce((sum, queue) => sum + queue.length, 0);
+
+        while (remaining > 0 && selected.length < limit) {
+            for (const queue of queues) {
+                if (queue.length === 0) continue;
+                selected.push(queue.shift());
+                remaining--;
+                if (selected.length >= limit) break;
+            }
+        }
+
+        return selected;
+    }
+
+    /**
+     * キーワードフィルターのルールを設定
+     * Set include/exclude filter rules applied after fetching
+     * @param {Array<Object>} rules - Filter rules
+     */
+    setFilterRules(rules = []) {
+        this.filterRules = rules;
+    }
+
+    getFilterRules() {
+        return this.filterRules;
+    }
+
+    /**
+     * 直近に取得した記事に対してフィルタールールを試行
+     * Preview which of the most recently fetched articles the given rules would hide
+     * @param {Array<Object>} rules - Draft filter rules
+     * @returns {Object} { total, hidden: [{ article, rule, reason }] }
+     */
+    previewFilters(rules = this.filterRules) {
+        const { hidden } = applyFilters(this.candidateArticles, rules);
+        return {
+            total: this.candidateArticles.length,
+            hidden
+        };
+    }
+
+    addFeed(url, name, options = {}) {
         if (!this.feeds.find(feed => feed.url === url)) {
-            this.feeds.push({ url, name });
+            const feed = { url, name };
+            applyFeedOptions(feed, options);
+            this.feeds.push(feed);
             return true;
         }
         return false;
     }
 
+    /**
+     * フィードの名前・URL・個別設定・有効/無効を変更
+     * Edit a feed in place. Changing the URL drops the cached response, health and
+     * articles of the old URL.
+     * @param {string} url - Current feed URL
+     * @param {Object} changes - { url, name, maxItems, updateInterval, category, disabled }
+     * @returns {Object|null} Updated feed, or null if the feed is unknown or the new URL is taken
+     */
+    updateFeed(url, changes = {}) {
+        const feed = this.getFeed(url);
+        if (!feed) {
+            return null;
+        }
+
+        if (changes.url && changes.url !== url) {
+            if (this.getFeed(changes.url)) {
+                return null;
+            }
+            this.fetcher.clear(url);
+            this.health.remove(url);
+            this.feedArticles.delete(url);
+            feed.url = changes.url;
+        }
+        if (typeof changes.name === 'string' && changes.name.trim()) {
+            feed.name = changes.name.trim();
+        }
+        applyFeedOptions(feed, changes);
+        if (feed.disabled) {
+            this.feedArticles.delete(feed.url);
+        }
+        return feed;
+    }
+
+    /**
+     * フィードを並べ替え（並び順は記事の優先度になる）
+     * Reorder feeds; feed order decides which duplicate is kept and the order of
+     * the 'priority' and 'interleave' article orders. Feeds missing from `urls` keep
+     * their relative order at the end.
+     * @param {Array<string>} urls - Feed URLs in the new order
+     * @returns {boolean} True if every URL is a registered feed
+     */
+    reorderFeeds(urls) {
+        if (!urls.every(url => this.getFeed(url))) {
+            return false;
+        }
+        const rank = url => {
+            const index = urls.indexOf(url);
+            return index === -1 ? urls.length : index;
+        };
+        this.feeds.sort((a, b) => rank(a.url) - rank(b.url));
+        return true;
+    }
+
     removeFeed(url) {
         const index = this.feeds.findIndex(feed => feed.url === url);
         if (index !== -1) {
             this.feeds.splice(index, 1);
+            this.fetcher.clear(url);
+            this.health.remove(url);
+            this.feedArticles.delete(url);
             return true;
         }
         return false;
     }
 
+    /**
+     * フィード一覧をまとめて置き換え（プロファイルの切り替え用）
+     * Replace the feed list; feeds kept across the switch keep their articles and health
+     * @param {Array<Object>} feeds - Feeds ({ url, name, ...options })
+     * @returns {Array<string>} URLs of the feeds to fetch: feeds without articles yet and feeds
+     *   whose maxItems changed
+     */
+    setFeeds(feeds) {
+        const urls = new Set(feeds.map(feed => feed.url));
+        this.feeds
+            .filter(feed => !urls.has(feed.url))
+            .forEach(feed => this.removeFeed(feed.url));
+        const previousMaxItems = new Map(this.feeds.map(feed => [feed.url, feed.maxItems]));
+        this.feeds = [];
+        feeds.forEach(feed => this.addFeed(feed.url, feed.name, feed));
+        return this.feeds
+            .filter(feed => !this.feedArticles.has(feed.url) || previousMaxItems.get(feed.url) !== feed.maxItems)
+            .map(feed => feed.url);
+    }
+
     getFeeds() {
         return this.feeds;
     }
 
+    getFeed(url) {
+        return this.feeds.find(feed => feed.url === url) || null;
+    }
+
+    // 登録フィードが無い場合はデフォルトのフィードを取得する
+    getActiveFeeds() {
+        return this.feeds.length > 0 ? this.feeds : this.defaultFeeds;
+    }
+
+    /**
+     * フィードのグループ（category）一覧を取得
+     * List the feed groups (categories) of enabled feeds in feed order
+     * @returns {Array<string>} Group names
+     */
+    getGroups() {
+        const groups = this.getActiveFeeds()
+            .filter(feed => !feed.disabled && feed.category)
+            .map(feed => feed.category);
+        return [...new Set(groups)];
+    }
+
+    /**
+     * 表示中のグループに属するフィードに絞り込む
+     * Keep only the feeds of the active group; every feed is kept when no group is active
+     * or the active group no longer has any enabled feed
+     * @param {Array<Object>} feeds - Feeds
+     * @returns {Array<Object>} Feeds of the active group
+     */
+    filterByActiveGroup(feeds) {
+        const group = this.options.activeGroup;
+        if (!group || !this.getGroups().includes(group)) {
+            return feeds;
+        }
+        return feeds.filter(feed => feed.category === group);
+    }
+
+    /**
+     * 取得対象フィードの取得状況を取得
+     * Get the fetch health of every active feed
+     * @returns {Object} { [feedUrl]: { status, lastSuccess, lastError, lastErrorType, lastErrorAt,
+     *   failingSince, consecutiveFailures, itemCount, responseTime } }
+     */
+    getFeedHealth() {
+        return this.health.getAll(this.getActiveFeeds().map(feed => feed.url));
+    }
+
+    /**
+     * 一定時間以上失敗し続けているフィードをティッカー表示用の項目に変換
+     * Build ticker items for feeds of the active group that have been failing for at least `minDuration`
+     * @param {number} minDuration - Minimum failing duration in milliseconds
+     * @returns {Array<Object>} Article-shaped items with `feedError: true`
+     */
+    getFeedErrorArticles(minDuration) {
+        const feeds = this.filterByActiveGroup(this.getActiveFeeds()).filter(feed => !feed.disabled);
+        return this.health.getFailing(feeds.map(feed => feed.url), minDuration).map(feedUrl => {
+            const feed = feeds.find(f => f.url === feedUrl);
+            const health = this.health.get(feedUrl);
+            const label = ERROR_TYPE_LABELS[health.lastErrorType] || 'エラー';
+            const title = feed.suspended
+                ? `${feed.name} は${health.consecutiveFailures}回連続で失敗したため更新を停止しました（${label}）`
+                : `${feed.name} の取得に${health.consecutiveFailures}回連続で失敗しています（${label}）`;
+            return {
+                id: `feed-error:${feedUrl}`,
+                guid: `feed-error:${feedUrl}`,
+                title,
+                link: '',
+                summary: health.lastError || '',
+                author: '',
+                categories: [],
+                enclosure: null,
+                thumbnail: null,
+                pubDate: health.lastErrorAt,
+                updated: null,
+                source: 'フィードエラー',
+                sources: ['フィードエラー'],
+                feedUrls: [feedUrl],
+                feedError: true
+            };
+        });
+    }
+
     getArticles() {
         return this.articles;
     }
 }
 
-module.exports = RSSManager;
\ No newline at end of file
+module.exports = RSSManager;
@@ -0,0 +1,108 @@
+// 1フレームとして進める最大の時間（秒）。スリープ復帰やウィンドウが隠れていた後に大きく飛ばないようにする
+const MAX_FRAME_TIME = 0.25;
+
+/**
+ * 表示内容が変わっても画面上の記事が動かないスクロール位置
+ * Scroll position that keeps the leftmost visible item at the same place on screen after the
+ * content is rebuilt. Items are laid out left to right; the content enters from the right
+ * edge, so the content x at the left edge of the screen is `position - viewportWidth`.
+ * @param {Array<Object>} before - Layout before the update ({ key, start, width } in px)
+ * @param {Array<Object>} after - Layout after the update
+ * @param {number} position - Current scroll position (px)
+ * @param {number} viewportWidth - Width of the screen (px)
+ * @returns {number} Scroll position for the new layout (unchanged if the item is gone)
+ */
+function anchoredPosition(before, after, position, viewportWidth) {
+    const left = position - viewportWidth;
+    const anchor = before.find(item => item.start + item.width > left);
+    const match = anchor && after.find(item => item.key === anchor.key);
+    return match ? position + (match.start - anchor.start) : position;
+}
+
+/**
+ * requestAnimationFrame で動かすスクロール位置の管理
+ * Frame-driven scroll engine. The position (px) advances by the elapsed time of each frame
+ * times the speed, so the speed in px/s holds at any refresh rate, and it wraps around the
+ * loop length instead of restarting when the content changes.
+ */
+class ScrollEngine {
+    /**
+     * @param {Object} options - { speed: px/s, onFrame: (position, time) => void }
+     */
+    constructor(options = {}) {
+        this.speed = options.speed || 50;
+        this.onFrame = options.onFrame || (() => {});
+        this.rate = 1;
+        this.length = 0;
+        this.position = 0;
+        this.paused = false;
+        this.frameId = null;
+        this.lastTime = null;
+    }
+
+    setSpeed(pixelsPerSecond) {
+        this.speed = pixelsPerSecond;
+    }
+
+    // 「ゆっくり表示」などで一時的に変える速度の倍率
+    setRate(rate) {
+        this.rate = rate;
+    }
+
+    /**
+     * 1周の長さを設定（内容の幅 + 画面の幅）
+     * Set the loop length; the position is kept, wrapping if it is past the new end
+     * @param {number} length - Loop length (px)
+     */
+    setLength(length) {
+        this.length = Math.max(0, length);
+        this.setPosition(this.position);
+    }
+
+    setPosition(position) {
+        this.position = this.length > 0 ? ((position % this.length) + this.length) % this.length : 0;
+    }
+
+    setPaused(paused) {
+        this.paused = paused;
+    }
+
+    /**
+     * 経過時間だけ位置を進める
+     * Advance the position by the elapsed time
+     * @param {number} elapsed - Seconds since the previous frame
+     * @returns {number} New position
+     */
+    advance(elapsed) {
+        if (!this.paused) {
+            this.setPosition(this.position + Math.min(elapsed, MAX_FRAME_TIME) * this.speed * this.rate);
+        }
+        return this.position;
+    }
+
+    start() {
+        if (this.frameId !== null) {
+            return;
+        }
+        this.lastTime = null;
+        this.frameId = requestAnimationFrame(time => this.tick(time));
+    }
+
+    stop() {
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+    }
+
+    tick(time) {
+        const elapsed = this.lastTime === null ? 0 : (time - this.lastTime) / 1000;
+        this.lastTime = time;
+        this.onFrame(this.advance(elapsed), time);
+        this.frameId = requestAnimationFrame(next => this.tick(next));
+    }
+}
+
+module.exports = ScrollEngine;
+module.exports.MAX_FRAME_TIME = MAX_FRAME_TIME;
+module.exports.anchoredPosition = anchoredPosition;
@@ -0,0 +1,61 @@
+const { validateSettings } = require('./settings-schema');
+
+/**
+ * SettingsPreview - 設定画面で編集中の表示設定をティッカーにプレビューし、保存せずに閉じたら取り消す
+ * Tracks whether the ticker shows draft settings from the settings window. Drafts are sent as
+ * 'preview-settings'; closing the window without saving sends 'settings-updated' so that the
+ * ticker reloads the stored settings.
+ */
+class SettingsPreview {
+    /**
+     * @param {Object} options
+     * @param {Function} options.send - (channel, ...args) => void, sends to the main window
+     */
+    constructor(options) {
+        this.send = options.send;
+        this.active = false;
+    }
+
+    /**
+     * 編集中の設定をプレビュー表示（保存はしない）
+     * Validate a draft and show it in the ticker; invalid values are dropped
+     * @param {Object} draft - Settings being edited
+     * @returns {Object} Settings sent to the ticker
+     */
+    preview(draft) {
+        const { settings } = validateSettings(draft);
+        this.active = true;
+        this.send('preview-settings', settings);
+        return settings;
+    }
+
+    // 設定を保存した（プレビュー中の値は保存された設定になった）
+    commit() {
+        this.active = false;
+    }
+
+    /**
+     * プレビューを取り消して保存済みの設定に戻す（設定画面を閉じたときに呼ぶ）
+     * Revert the ticker to the stored settings if a preview is shown
+     * @returns {boolean} True if a preview was reverted
+     */
+    revert() {
+        if (!this.active) {
+            return false;
+        }
+        this.reload();
+        return true;
+    }
+
+    /**
+     * 保存済みの設定が変わったことをティッカーに通知（プレビュー中の値も取り消される）
+     * Make the ticker reload the stored settings. The preview is dropped with it, so closing the
+     * settings window later does not revert to settings the ticker no longer shows.
+     */
+    reload() {
+        this.active = false;
+        this.send('settings-updated');
+    }
+}
+
+module.exports = SettingsPreview;
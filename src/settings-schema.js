@@ -0,0 +1,163 @@
+/**
+ * 設定項目の定義（型・範囲・デフォルト値）。設定のデフォルト値と検証はすべてここから導く
+ * Single source of truth for settings: type, allowed range or values, and default.
+ *   number:  { min, max, integer } - out-of-range values are clamped, non-integers rounded
+ *   string:  { values, maxLength, allowEmpty } - `values` limits the choices
+ *   boolean: {}
+ *   color:   { allowEmpty } - "#rgb" or "#rrggbb"
+ */
+const SETTINGS_SCHEMA = {
+    updateInterval: { type: 'number', integer: true, min: 60000, max: 3600000, default: 300000 }, // 5分
+    scrollSpeed: { type: 'number', integer: true, min: 10, max: 200, default: 50 }, // 50ピクセル/秒でゆっくり読める
+    fontSize: { type: 'number', integer: true, min: 24, max: 72, default: 48 },
+    maxArticles: { type: 'number', integer: true, min: 5, max: 50, default: 20 },
+    // 'date': 新しい順 / 'interleave': フィードごとに交互 / 'priority': フィードの並び順
+    articleOrder: { type: 'string', values: ['date', 'interleave', 'priority'], default: 'date' },
+    fetchConcurrency: { type: 'number', integer: true, min: 1, max: 10, default: 4 }, // 同時に取得するフィード数
+    feedTimeout: { type: 'number', integer: true, min: 5000, max: 60000, default: 15000 }, // フィードごとのタイムアウト（15秒）
+    deduplicateArticles: { type: 'boolean', default: true }, // 複数フィードの同じ記事をまとめる
+    showFeedErrors: { type: 'boolean', default: false }, // 失敗し続けているフィードをティッカーに表示する
+    markNewArticles: { type: 'boolean', default: true }, // 新しく届いた記事に NEW を表示する
+    // この回数連続で失敗したフィードは自動更新を停止する（0で無効）
+    suspendFeedAfterFailures: { type: 'number', integer: true, min: 0, max: 100, default: 10 },
+    // ティッカーに表示するフィードのグループ（空欄で全フィード）
+    activeGroup: { type: 'string', allowEmpty: true, maxLength: 100, default: '' },
+    // グループを自動で切り替える間隔（0で切り替えない）
+    channelCycleInterval: { type: 'number', integer: true, min: 0, max: 3600000, default: 0 },
+    theme: { type: 'string', maxLength: 100, default: 'dark' },
+    alwaysOnTop: { type: 'boolean', default: false },
+    textColor: { type: 'color', default: '#0ff' },
+    backgroundColor: { type: 'color', default: '#000' },
+    sourceColor: { type: 'color', default: '#ff0' },
+    fontFamily: { type: 'string', maxLength: 100, default: 'Courier New' },
+    // 文字の光彩・影と背景のグラデーション（色が空欄なら使わない）
+    glowColor: { type: 'color', allowEmpty: true, default: '' },
+    glowSize: { type: 'number', integer: true, min: 0, max: 30, default: 8 },
+    shadowColor: { type: 'color', allowEmpty: true, default: '' },
+    shadowOffset: { type: 'number', integer: true, min: 0, max: 10, default: 2 },
+    gradientColor: { type: 'color', allowEmpty: true, default: '' },
+    gradientAngle: { type: 'number', integer: true, min: 0, max: 360, default: 90 },
+    // 'text': 文字をスクロール / 'led': LEDドットマトリクスで描画
+    renderMode: { type: 'string', values: ['text', 'led'], default: 'text' },
+    ledDotSize: { type: 'number', integer: true, min: 2, max: 12, default: 4 },
+    ledDotGap: { type: 'number', integer: true, min: 0, max: 6, default: 1 },
+    ledOffDotOpacity: { type: 'number', integer: true, min: 0, max: 50, default: 12 }, // 消灯しているドットの明るさ(%)
+    ledGlow: { type: 'number', integer: true, min: 0, max: 20, default: 6 },
+    // 'scroll': 横にスクロール / 'page': 見出しを1件ずつ切り替えて表示
+    tickerMode: { type: 'string', values: ['scroll', 'page'], default: 'scroll' },
+    pageTransition: { type: 'string', values: ['flip', 'slide-up', 'typewriter'], default: 'flip' },
+    // 1件を表示しておく時間 = pageDwellTime + 見出しの文字数 × pageDwellPerChar（ミリ秒）
+    pageDwellTime: { type: 'number', integer: true, min: 1000, max: 30000, default: 3000 },
+    pageDwellPerChar: { type: 'number', integer: true, min: 0, max: 500, default: 80 },
+    // 2〜3にすると記事を複数のレーンに分けて流す（1は従来どおり1行）
+    laneCount: { type: 'number', integer: true, min: 1, max: 3, default: 1 },
+    // レーンに表示する記事: '' = 表示中のチャンネル / 'group:<グループ名>' / 'feed:<フィードURL>'
+    lane1Source: { type: 'string', allowEmpty: true, maxLength: 2100, default: '' },
+    lane1Speed: { type: 'number', integer: true, min: 10, max: 200, default: 50 },
+    lane1Direction: { type: 'string', values: ['left', 'right'], default: 'left' },
+    lane2Source: { type: 'string', allowEmpty: true, maxLength: 2100, default: '' },
+    lane2Speed: { type: 'number', integer: true, min: 10, max: 200, default: 50 },
+    lane2Direction: { type: 'string', values: ['left', 'right'], default: 'left' },
+    lane3Source: { type: 'string', allowEmpty: true, maxLength: 2100, default: '' },
+    lane3Speed: { type: 'number', integer: true, min: 10, max: 200, default: 50 },
+    lane3Direction: { type: 'string', values: ['left', 'right'], default: 'left' },
+    windowWidth: { type: 'number', integer: true, min: 600, max: 2400, default: 1200 },
+    windowHeight: { type: 'number', integer: true, min: 100, max: 400, default: 150 }
+};
+
+const DEFAULT_SETTINGS = Object.fromEntries(
+    Object.entries(SETTINGS_SCHEMA).map(([key, schema]) => [key, schema.default])
+);
+
+const COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+function settingError(key, code, message, value) {
+    return { key, code, message, value };
+}
+
+/**
+ * 1つの設定値を検証
+ * Validate one setting value against its schema
+ * @param {string} key - Setting key
+ * @param {*} value - Value to check
+ * @returns {Object} { value } when accepted (possibly clamped), plus `error` when rejected or clamped
+ */
+function validateSetting(key, value) {
+    const schema = SETTINGS_SCHEMA[key];
+    if (!schema) {
+        return { error: settingError(key, 'unknown-key', '不明な設定項目です', value) };
+    }
+
+    switch (schema.type) {
+        case 'number': {
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                return { error: settingError(key, 'invalid-type', '数値を指定してください', value) };
+            }
+            const number = schema.integer ? Math.round(value) : value;
+            const clamped = Math.min(Math.max(number, schema.min), schema.max);
+            if (clamped !== number) {
+                return {
+                    value: clamped,
+                    error: {
+                        ...settingError(key, 'out-of-range', `${schema.min}〜${schema.max}の範囲で指定してください`, value),
+                        clamped
+                    }
+                };
+            }
+            return { value: number };
+        }
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                return { error: settingError(key, 'invalid-type', '真偽値を指定してください', value) };
+            }
+            return { value };
+        case 'color':
+            if (value === '' && schema.allowEmpty) {
+                return { value };
+            }
+            if (typeof value !== 'string' || !COLOR_PATTERN.test(value)) {
+                return { error: settingError(key, 'invalid-value', '色は #rgb または #rrggbb 形式で指定してください', value) };
+            }
+            return { value };
+        default:
+            if (typeof value !== 'string') {
+                return { error: settingError(key, 'invalid-type', '文字列を指定してください', value) };
+            }
+            if (schema.values && !schema.values.includes(value)) {
+                return { error: settingError(key, 'invalid-value', `${schema.values.join(' / ')} のいずれかを指定してください`, value) };
+            }
+            if ((!value && !schema.allowEmpty) || (schema.maxLength && value.length > schema.maxLength)) {
+                return { error: settingError(key, 'invalid-value', `1〜${schema.maxLength}文字で指定してください`, value) };
+            }
+            return { value };
+    }
+}
+
+/**
+ * 設定値をまとめて検証
+ * Validate a partial settings object. Out-of-range numbers are clamped and kept;
+ * unknown keys and values of the wrong type or outside the allowed choices are dropped.
+ * @param {Object} settings - Settings to check
+ * @returns {Object} { settings: accepted values, errors: [{ key, code, message, value, clamped? }] }
+ */
+function validateSettings(settings) {
+    const accepted = {};
+    const errors = [];
+    Object.keys(settings || {}).forEach(key => {
+        const result = validateSetting(key, settings[key]);
+        if (result.error) {
+            errors.push(result.error);
+        }
+        if ('value' in result) {
+            accepted[key] = result.value;
+        }
+    });
+    return { settings: accepted, errors };
+}
+
+module.exports = {
+    SETTINGS_SCHEMA,
+    DEFAULT_SETTINGS,
+    validateSetting,
+    validateSettings
+};
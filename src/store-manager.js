@@ -1,4 +1,9 @@
 const Store = require('electron-store').default || require('electron-store');
+const { DEFAULT_SETTINGS, validateSetting, validateSettings } = require('./settings-schema');
+const { CONFIG_VERSION, migrateConfig } = require('./config-migrations');
+
+// 移行処理の対象になる設定ファイルのキー
+const CONFIG_KEYS = ['settings', 'feeds', 'filterRules', 'highlightRules', 'profiles', 'activeProfile', 'customThemes'];
 
 class StoreManager {
     constructor() {
@@ -6,22 +11,50 @@ class StoreManager {
             name: 'electric-scoreboard-config',
             defaults: {
                 feeds: [],
-                settings: {
-                    updateInterval: 300000, // 5分
-                    scrollSpeed: 50, // 50ピクセル/秒でゆっくり読める
-                    fontSize: 48,
-                    maxArticles: 20,
-                    theme: 'dark',
-                    alwaysOnTop: false,
-                    textColor: '#0ff',
-                    backgroundColor: '#000',
-                    sourceColor: '#ff0',
-                    fontFamily: 'Courier New',
-                    windowWidth: 1200,
-                    windowHeight: 150
-                }
+                filterRules: [],
+                highlightRules: [],
+                profiles: [],
+                activeProfile: null,
+                customThemes: [],
+                settings: { ...DEFAULT_SETTINGS }
+            }
+        });
+        // 記事キャッシュは設定ファイルと分けて保存する
+        this.articleCache = new Store({
+            name: 'electric-scoreboard-cache',
+            defaults: {
+                articles: [],
+                savedAt: null
+            }
+        });
+        this.migrate();
+    }
+
+    /**
+     * 古い形式の設定ファイルを最新の形式に移行
+     * Upgrade a config written by an older version; configs from a newer version are left untouched
+     * @returns {Array<number>} Versions of the migrations that were applied
+     */
+    migrate() {
+        const version = this.store.get('configVersion', 0);
+        if (version >= CONFIG_VERSION) {
+            return [];
+        }
+
+        const stored = {};
+        CONFIG_KEYS.forEach(key => {
+            stored[key] = this.store.get(key);
+        });
+        const { config, applied } = migrateConfig(stored, version);
+        // 移行処理は当時の形式に合わせるだけなので、最後に現在のスキーマで検証する
+        config.settings = validateSettings(config.settings || {}).settings;
+        CONFIG_KEYS.forEach(key => {
+            if (config[key] !== undefined) {
+                this.store.set(key, config[key]);
             }
         });
+        this.store.set('configVersion', CONFIG_VERSION);
+        return applied;
     }
 
     getFeeds() {
@@ -42,6 +75,37 @@ class StoreManager {
         return false;
     }
 
+    /**
+     * 登録済みフィードを置き換え（URLの変更にも対応）
+     * Replace a stored feed entry, keeping its position in the list
+     * @param {string} url - Current feed URL
+     * @param {Object} feed - New feed entry
+     * @returns {boolean} True if the feed was found
+     */
+    updateFeed(url, feed) {
+        const feeds = this.getFeeds();
+        const index = feeds.findIndex(f => f.url === url);
+        if (index === -1) {
+            return false;
+        }
+        feeds[index] = feed;
+        this.setFeeds(feeds);
+        return true;
+    }
+
+    /**
+     * フィードを並べ替え（指定されなかったフィードは末尾に残す）
+     * Reorder stored feeds; feeds missing from `urls` keep their relative order at the end
+     * @param {Array<string>} urls - Feed URLs in the new order
+     */
+    reorderFeeds(urls) {
+        const rank = url => {
+            const index = urls.indexOf(url);
+            return index === -1 ? urls.length : index;
+        };
+        this.setFeeds(this.getFeeds().sort((a, b) => rank(a.url) - rank(b.url)));
+    }
+
     removeFeed(url) {
         const feeds = this.getFeeds();
         const newFeeds = feeds.filter(f => f.url !== url);
@@ -52,28 +116,237 @@ class StoreManager {
         return false;
     }
 
+    getFilterRules() {
+        return this.store.get('filterRules', []);
+    }
+
+    setFilterRules(rules) {
+        this.store.set('filterRules', rules);
+    }
+
+    getHighlightRules() {
+        return this.store.get('highlightRules', []);
+    }
+
+    setHighlightRules(rules) {
+        this.store.set('highlightRules', rules);
+    }
+
+    getProfiles() {
+        return this.store.get('profiles', []);
+    }
+
+    getProfile(name) {
+        return this.getProfiles().find(profile => profile.name === name) || null;
+    }
+
+    /**
+     * プロファイルを保存（同じ名前があれば上書き）
+     * Save a profile, replacing an existing profile with the same name
+     * @param {Object} profile - Profile from createProfile
+     */
+    saveProfile(profile) {
+        const profiles = this.getProfiles();
+        const index = profiles.findIndex(p => p.name === profile.name);
+        if (index === -1) {
+            profiles.push(profile);
+        } else {
+            profiles[index] = profile;
+        }
+        this.store.set('profiles', profiles);
+    }
+
+    /**
+     * プロファイルの名前を変更
+     * Rename a profile; the active profile follows the rename
+     * @param {string} name - Current name
+     * @param {string} newName - New name
+     * @returns {boolean} False if the profile is missing or the new name is taken
+     */
+    renameProfile(name, newName) {
+        const profiles = this.getProfiles();
+        if (!profiles.some(p => p.name === name) || !newName || profiles.some(p => p.name === newName)) {
+            return false;
+        }
+        this.store.set('profiles', profiles.map(p => (p.name === name ? { ...p, name: newName } : p)));
+        if (this.getActiveProfile() === name) {
+            this.setActiveProfile(newName);
+        }
+        return true;
+    }
+
+    /**
+     * プロファイルを複製（自動切り替えの時間帯は引き継がない）
+     * Copy a profile under a new name; the copy has no schedule
+     * @param {string} name - Source profile name
+     * @param {string} newName - Name of the copy
+     * @returns {boolean} False if the profile is missing or the new name is taken
+     */
+    duplicateProfile(name, newName) {
+        const profile = this.getProfile(name);
+        if (!profile || !newName || this.getProfile(newName)) {
+            return false;
+        }
+        this.saveProfile({ ...JSON.parse(JSON.stringify(profile)), name: newName, schedule: null });
+        return true;
+    }
+
+    deleteProfile(name) {
+        const profiles = this.getProfiles();
+        const newProfiles = profiles.filter(p => p.name !== name);
+        if (profiles.length === newProfiles.length) {
+            return false;
+        }
+        this.store.set('profiles', newProfiles);
+        if (this.getActiveProfile() === name) {
+            this.setActiveProfile(null);
+        }
+        return true;
+    }
+
+    getCustomThemes() {
+        return this.store.get('customThemes', []);
+    }
+
+    /**
+     * ユーザー定義テーマを保存（同じ名前があれば上書き）
+     * Save a user-defined theme, replacing a theme with the same name
+     * @param {Object} theme - Theme from validateTheme
+     */
+    saveCustomTheme(theme) {
+        const themes = this.getCustomThemes();
+        const index = themes.findIndex(t => t.name === theme.name);
+        if (index === -1) {
+            themes.push(theme);
+        } else {
+            themes[index] = theme;
+        }
+        this.store.set('customThemes', themes);
+    }
+
+    deleteCustomTheme(name) {
+        const themes = this.getCustomThemes();
+        const newThemes = themes.filter(t => t.name !== name);
+        if (themes.length === newThemes.length) {
+            return false;
+        }
+        this.store.set('customThemes', newThemes);
+        return true;
+    }
+
+    getActiveProfile() {
+        return this.store.get('activeProfile', null);
+    }
+
+    setActiveProfile(name) {
+        this.store.set('activeProfile', name);
+    }
+
+    /**
+     * バックアップ対象の設定一式を取得
+     * Get the whole config for backups
+     * @returns {Object} { settings, feeds, filterRules, highlightRules, profiles, customThemes }
+     */
+    getConfig() {
+        return {
+            settings: this.getSettings(),
+            feeds: this.getFeeds(),
+            filterRules: this.getFilterRules(),
+            highlightRules: this.getHighlightRules(),
+            profiles: this.getProfiles(),
+            customThemes: this.getCustomThemes()
+        };
+    }
+
+    /**
+     * 設定一式を置き換え（使用中のプロファイルが無くなった場合は解除する）
+     * Replace the whole config, e.g. when restoring a backup
+     * @param {Object} config - { settings, feeds, filterRules, highlightRules, profiles, customThemes }
+     */
+    replaceConfig(config) {
+        this.store.set('settings', { ...DEFAULT_SETTINGS, ...validateSettings(config.settings).settings });
+        this.setFeeds(config.feeds);
+        this.setFilterRules(config.filterRules);
+        this.setHighlightRules(config.highlightRules);
+        this.store.set('profiles', config.profiles);
+        this.store.set('customThemes', config.customThemes || []);
+        if (!config.profiles.some(profile => profile.name === this.getActiveProfile())) {
+            this.setActiveProfile(null);
+        }
+    }
+
     getSettings() {
-        return this.store.get('settings');
+        // 後から追加された設定項目は既存の設定ファイルに存在しないためデフォルト値で補う
+        return { ...DEFAULT_SETTINGS, ...this.store.get('settings') };
     }
 
-    updateSettings(newSettings) {
-        const currentSettings = this.getSettings();
-        const updatedSettings = { ...currentSettings, ...newSettings };
+    /**
+     * 設定を検証して保存（範囲外の数値は丸めて保存し、不正な値は保存しない）
+     * Validate and save settings. Out-of-range numbers are clamped; invalid values are rejected.
+     * @param {Object} newSettings - Settings to change
+     * @returns {Object} { settings: all settings after the update, errors: [{ key, code, message, value, clamped? }] }
+     */
+    applySettings(newSettings) {
+        const { settings, errors } = validateSettings(newSettings);
+        const updatedSettings = { ...this.getSettings(), ...settings };
         this.store.set('settings', updatedSettings);
-        return updatedSettings;
+        return { settings: updatedSettings, errors };
+    }
+
+    updateSettings(newSettings) {
+        return this.applySettings(newSettings).settings;
     }
 
     getSetting(key) {
-        return this.store.get(`settings.${key}`);
+        const value = this.store.get(`settings.${key}`);
+        return value !== undefined ? value : DEFAULT_SETTINGS[key];
     }
 
+    /**
+     * 1つの設定を検証して保存
+     * Validate and save one setting
+     * @param {string} key - Setting key
+     * @param {*} value - New value
+     * @returns {Object|null} Validation error (the value is still saved when it was only clamped)
+     */
     setSetting(key, value) {
-        this.store.set(`settings.${key}`, value);
+        const result = validateSetting(key, value);
+        if ('value' in result) {
+            this.store.set(`settings.${key}`, result.value);
+        }
+        return result.error || null;
+    }
+
+    /**
+     * 最後に取得に成功した記事を保存
+     * Persist the last successfully fetched article set
+     * @param {Array<Object>} articles - Articles to cache
+     */
+    saveCachedArticles(articles) {
+        this.articleCache.set('articles', articles);
+        this.articleCache.set('savedAt', new Date().toISOString());
+    }
+
+    /**
+     * キャッシュ済みの記事を取得（古い記事として印を付ける）
+     * Get cached articles marked as stale with the time they were cached
+     * @returns {Object} { articles, savedAt }
+     */
+    getCachedArticles() {
+        const savedAt = this.articleCache.get('savedAt', null);
+        const articles = this.articleCache.get('articles', []).map(article => ({
+            ...article,
+            stale: true,
+            cachedAt: savedAt
+        }));
+        return { articles, savedAt };
     }
 
     clear() {
         this.store.clear();
+        this.articleCache.clear();
     }
 }
 
-module.exports = StoreManager;
\ No newline at end of file
+module.exports = StoreManager;
+module.exports.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
\ No newline at end of file
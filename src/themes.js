@@ -0,0 +1,177 @@
+const { validateSetting } = require('./settings-schema');
+
+// 組み込みテーマ（設定画面の選択肢とティッカーの配色の両方に使う）
+const BUILTIN_THEMES = {
+    dark: { label: 'ダーク', textColor: '#0ff', backgroundColor: '#000', sourceColor: '#ff0' },
+    light: { label: 'ライト', textColor: '#333', backgroundColor: '#f0f0f0', sourceColor: '#666' },
+    matrix: { label: 'マトリックス', textColor: '#00ff00', backgroundColor: '#000', sourceColor: '#00cc00' },
+    retro: { label: 'レトロ', textColor: '#ffaa00', backgroundColor: '#222', sourceColor: '#ff6600' },
+    ocean: { label: 'オーシャン', textColor: '#66ccff', backgroundColor: '#001a33', sourceColor: '#0099ff' },
+    sunset: { label: 'サンセット', textColor: '#ff6b9d', backgroundColor: '#1a0033', sourceColor: '#ffd93d' },
+    cyberpunk: { label: 'サイバーパンク', textColor: '#ff00ff', backgroundColor: '#0a0a0a', sourceColor: '#00ffff' },
+    monochrome: { label: 'モノクローム', textColor: '#fff', backgroundColor: '#000', sourceColor: '#ccc' }
+};
+
+// テーマに含める項目（設定の同名の項目と同じ型・範囲で検証する）
+const THEME_FIELDS = [
+    'textColor',
+    'backgroundColor',
+    'sourceColor',
+    'fontFamily',
+    'glowColor',
+    'glowSize',
+    'shadowColor',
+    'shadowOffset',
+    'gradientColor',
+    'gradientAngle'
+];
+
+// テーマを選んだときは、テーマに含まれない光彩・影・グラデーションを使わない
+const NO_EFFECTS = { glowColor: '', shadowColor: '', gradientColor: '' };
+
+// ユーザー定義テーマは設定の theme に "user:テーマ名" として保存する
+const USER_THEME_PREFIX = 'user:';
+
+// テーマファイルの識別子
+const THEME_FORMAT = 'rss-news-ticker-theme';
+
+function userThemeId(name) {
+    return `${USER_THEME_PREFIX}${name}`;
+}
+
+/**
+ * テーマを検証
+ * Validate a user-defined theme. Empty optional fields (font, glow, shadow, gradient) are
+ * left out; out-of-range numbers are clamped.
+ * @param {Object} theme - { name, textColor, backgroundColor, sourceColor, fontFamily, glowColor, ... }
+ * @returns {Object} { theme, error } - error is a message, or null when valid
+ */
+function validateTheme(theme) {
+    const name = theme && typeof theme.name === 'string' ? theme.name.trim() : '';
+    if (!name || name.length > 50) {
+        return { theme: null, error: 'テーマ名は1〜50文字で入力してください' };
+    }
+
+    const validated = { name };
+    for (const field of THEME_FIELDS) {
+        const value = theme[field];
+        if (value === undefined || value === null || value === '') {
+            continue;
+        }
+        const result = validateSetting(field, value);
+        if (!('value' in result)) {
+            return { theme: null, error: `${field}: ${result.error.message}` };
+        }
+        validated[field] = result.value;
+    }
+    if (!validated.textColor || !validated.backgroundColor || !validated.sourceColor) {
+        return { theme: null, error: '文字色・背景色・ソース色を指定してください' };
+    }
+    return { theme: validated, error: null };
+}
+
+/**
+ * 設定の theme に対応する配色を取得
+ * Resolve the theme a settings object refers to. Built-in and user themes replace the colors
+ * and effects in the settings (a theme without a font keeps the font from the settings);
+ * "custom" (or an unknown theme) uses the settings themselves.
+ * @param {Object} settings - Settings
+ * @param {Array<Object>} customThemes - User-defined themes
+ * @returns {Object} Theme fields ({ textColor, backgroundColor, ..., fontFamily })
+ */
+function resolveTheme(settings, customThemes = []) {
+    const base = {};
+    THEME_FIELDS.forEach(field => {
+        base[field] = settings[field];
+    });
+
+    const builtin = BUILTIN_THEMES[settings.theme];
+    if (builtin) {
+        return {
+            ...base,
+            ...NO_EFFECTS,
+            textColor: builtin.textColor,
+            backgroundColor: builtin.backgroundColor,
+            sourceColor: builtin.sourceColor
+        };
+    }
+    const userTheme = String(settings.theme || '').startsWith(USER_THEME_PREFIX)
+        ? customThemes.find(theme => userThemeId(theme.name) === settings.theme)
+        : null;
+    if (!userTheme) {
+        return base;
+    }
+    const { name, ...fields } = userTheme;
+    return { ...base, ...NO_EFFECTS, ...fields };
+}
+
+/**
+ * テーマをCSSカスタムプロパティに変換
+ * Convert resolved theme fields into CSS custom properties for the ticker
+ * @param {Object} theme - Result of resolveTheme
+ * @returns {Object} { '--text-color', '--bg-color', '--source-color', '--bg-image', '--text-shadow' }
+ */
+function themeToCssVariables(theme) {
+    const shadows = [];
+    if (theme.glowColor && theme.glowSize > 0) {
+        shadows.push(`0 0 ${theme.glowSize}px ${theme.glowColor}`);
+    }
+    if (theme.shadowColor && theme.shadowOffset > 0) {
+        shadows.push(`${theme.shadowOffset}px ${theme.shadowOffset}px 0 ${theme.shadowColor}`);
+    }
+
+    return {
+        '--text-color': theme.textColor,
+        '--bg-color': theme.backgroundColor,
+        '--source-color': theme.sourceColor,
+        '--bg-image': theme.gradientColor
+            ? `linear-gradient(${theme.gradientAngle || 0}deg, ${theme.backgroundColor}, ${theme.gradientColor})`
+            : 'none',
+        '--text-shadow': shadows.length > 0 ? shadows.join(', ') : 'none'
+    };
+}
+
+/**
+ * テーマをJSONファイル用の文字列に変換
+ * Serialize a theme for sharing
+ * @param {Object} theme - User-defined theme
+ * @returns {string} JSON document
+ */
+function buildThemeFile(theme) {
+    return JSON.stringify({ format: THEME_FORMAT, theme }, null, 2);
+}
+
+/**
+ * テーマファイルを解析・検証
+ * Parse and validate a theme file
+ * @param {string} json - JSON document
+ * @returns {Object} Validated theme
+ */
+function parseThemeFile(json) {
+    let document;
+    try {
+        document = JSON.parse(json);
+    } catch (error) {
+        throw new Error(`テーマファイルを解析できませんでした: ${error.message}`);
+    }
+    if (!document || document.format !== THEME_FORMAT) {
+        throw new Error('テーマファイルではありません');
+    }
+    const { theme, error } = validateTheme(document.theme);
+    if (error) {
+        throw new Error(error);
+    }
+    return theme;
+}
+
+module.exports = {
+    BUILTIN_THEMES,
+    THEME_FIELDS,
+    USER_THEME_PREFIX,
+    userThemeId,
+    validateTheme,
+    resolveTheme,
+    themeToCssVariables,
+    buildThemeFile,
+    parseThemeFile
+};
@@ -0,0 +1,178 @@
+const ScrollEngine = require('./scroll-engine');
+const { anchoredPosition } = require('./scroll-engine');
+const { visibleKeys, mergeTickerItems, needsSettle } = require('./ticker-queue');
+
+const MAX_LANES = 3;
+
+/**
+ * 設定からレーンの一覧を取得
+ * Lanes configured in the settings (laneCount entries of lane<n>Source / Speed / Direction)
+ * @param {Object} settings - Settings
+ * @returns {Array<Object>} [{ source, speed, direction }]
+ */
+function laneSettings(settings) {
+    const count = Math.min(Math.max(settings.laneCount || 1, 1), MAX_LANES);
+    return Array.from({ length: count }, (_, index) => ({
+        source: settings[`lane${index + 1}Source`] || '',
+        speed: settings[`lane${index + 1}Speed`],
+        direction: settings[`lane${index + 1}Direction`] === 'right' ? 'right' : 'left'
+    }));
+}
+
+/**
+ * 右向きのレーンの配置を左向きと同じ座標に変換
+ * Mirror the layout of a right-moving lane so that it can be handled like a left-moving one
+ * (content x range on screen [position - viewportWidth, position))
+ * @param {Array<Object>} layout - Item layout ({ key, start, width } in px)
+ * @param {number} contentWidth - Width of the lane content (px)
+ * @returns {Array<Object>} Mirrored layout
+ */
+function mirrorLayout(layout, contentWidth) {
+    return layout.map(item => ({ ...item, start: contentWidth - item.start - item.width }));
+}
+
+/**
+ * スクロール位置に対するレーンの内容の位置
+ * X offset of the lane content for a scroll position. Left-moving content enters from the right
+ * edge; right-moving content enters from the left edge.
+ * @param {number} position - Scroll position (px)
+ * @param {number} viewportWidth - Width of the lane (px)
+ * @param {number} contentWidth - Width of the lane content (px)
+ * @param {string} direction - 'left' | 'right'
+ * @returns {number} X offset (px)
+ */
+function laneOffset(position, viewportWidth, contentWidth, direction) {
+    return direction === 'right' ? position - contentWidth : viewportWidth - position;
+}
+
+/**
+ * 複数レーン表示の1つのレーン
+ * One lane of the multi-lane ticker: scrolls its own articles at its own speed and direction and
+ * merges updates like the main ticker. Elements are created by `createElement(item)`; items with
+ * the `slow` class on screen slow the lane down.
+ */
+class TickerLane {
+    /**
+     * @param {HTMLElement} element - Lane element; the content element is created inside it
+     * @param {Object} options - { createElement, slowRate }
+     */
+    constructor(element, options) {
+        this.element = element;
+        this.content = document.createElement('div');
+        this.content.className = 'lane-content';
+        this.element.appendChild(this.content);
+        this.createElement = options.createElement;
+        this.slowRate = options.slowRate || 0.5;
+        this.source = '';
+        this.direction = 'left';
+        this.displayedItems = [];
+        this.articles = [];
+        this.contentWidth = 0;
+        this.engine = new ScrollEngine({ onFrame: position => this.renderFrame(position) });
+    }
+
+    /**
+     * 速度・向き・記事の指定を更新
+     * Update the lane settings; changing the direction restarts the lane from its edge
+     * @param {Object} lane - { source, speed, direction }
+     */
+    setOptions({ source, speed, direction }) {
+        this.source = source;
+        this.engine.setSpeed(speed);
+        if (direction !== this.direction) {
+            this.direction = direction;
+            this.render();
+            this.engine.setLength(this.measure());
+            this.engine.setPosition(0);
+        }
+    }
+
+    /**
+     * 受け取った記事をレーンに反映（画面上の記事はそのまま流す）
+     * Merge articles into the lane without restarting the scroll
+     * @param {Array<Object>} articles - Articles in display order
+     * @param {Object} options - { markNew }
+     */
+    setArticles(articles, { markNew = false } = {}) {
+        this.articles = articles.length > 0 ? articles : [{ title: 'ニュースを取得中...', source: 'システム' }];
+        this.relayout(() => {
+            this.displayedItems = mergeTickerItems(this.displayedItems, this.articles, this.visibleKeys(),
+                { now: Date.now(), markNew });
+            this.render();
+        });
+    }
+
+    // 削除された記事が画面外に出たら並び直し、ゆっくり表示の記事が画面内にあれば速度を落とす
+    settle() {
+        const visible = this.visibleKeys();
+        if (needsSettle(this.displayedItems, this.articles, visible)) {
+            this.setArticles(this.articles);
+            return;
+        }
+        const slow = Array.from(this.content.children)
+            .some(element => element.classList.contains('slow') && visible.has(element.dataset.key));
+        this.engine.setRate(slow ? this.slowRate : 1);
+    }
+
+    render() {
+        this.content.innerHTML = '';
+        // 右向きは先頭の記事が最初に左端から入るよう逆順に並べる
+        const items = this.direction === 'right' ? [...this.displayedItems].reverse() : this.displayedItems;
+        items.forEach(item => this.content.appendChild(this.createElement(item)));
+    }
+
+    viewportWidth() {
+        return this.element.clientWidth;
+    }
+
+    measure() {
+        this.contentWidth = this.content.scrollWidth;
+        return this.viewportWidth() + this.contentWidth;
+    }
+
+    layout() {
+        const layout = Array.from(this.content.children).map(element => ({
+            key: element.dataset.key,
+            start: element.offsetLeft - this.content.offsetLeft,
+            width: element.offsetWidth
+        }));
+        return this.direction === 'right' ? mirrorLayout(layout, this.contentWidth) : layout;
+    }
+
+    visibleKeys() {
+        return visibleKeys(this.layout(), this.engine.position, this.viewportWidth());
+    }
+
+    // 1周の長さを測り直し、画面上の記事がずれないように位置を合わせる
+    relayout(change = () => {}) {
+        const before = this.layout();
+        change();
+        this.engine.setLength(this.measure());
+        this.engine.setPosition(anchoredPosition(before, this.layout(), this.engine.position, this.viewportWidth()));
+    }
+
+    renderFrame(position) {
+        const offset = laneOffset(position, this.viewportWidth(), this.contentWidth, this.direction);
+        this.content.style.transform = `translate3d(${offset}px, 0, 0)`;
+    }
+
+    setPaused(paused) {
+        this.engine.setPaused(paused);
+    }
+
+    start() {
+        this.engine.start();
+    }
+
+    // レーンを取り除く
+    destroy() {
+        this.engine.stop();
+        this.element.remove();
+    }
+}
+
+module.exports = TickerLane;
+module.exports.MAX_LANES = MAX_LANES;
+module.exports.laneSettings = laneSettings;
+module.exports.mirrorLayout = mirrorLayout;
+module.exports.laneOffset = laneOffset;
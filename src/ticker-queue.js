@@ -0,0 +1,104 @@
+// 新着記事に NEW を表示する時間（次の更新で表示し直すまでは残る）
+const NEW_ARTICLE_DURATION = 10 * 60 * 1000; // 10分
+
+/**
+ * 記事の識別子（表示内容を入れ替えたときに同じ記事を探すのに使う）
+ * Key that identifies an item across content updates
+ * @param {Object} article - Article
+ * @returns {string} Key
+ */
+function itemKey(article) {
+    return article.guid || article.link || article.title;
+}
+
+/**
+ * 画面に表示されている記事の識別子
+ * Keys of the items on screen. The content enters from the right edge, so the content x
+ * range on screen is [position - viewportWidth, position).
+ * @param {Array<Object>} layout - Item layout ({ key, start, width } in px)
+ * @param {number} position - Scroll position (px)
+ * @param {number} viewportWidth - Width of the screen (px)
+ * @returns {Set<string>} Keys
+ */
+function visibleKeys(layout, position, viewportWidth) {
+    const left = position - viewportWidth;
+    return new Set(layout
+        .filter(item => item.start < position && item.start + item.width > left)
+        .map(item => item.key));
+}
+
+/**
+ * 表示中の記事と新しく受け取った記事を統合
+ * Merge incoming articles into the items on the ticker without disturbing what is on screen:
+ *   - items are matched by key and keep their place; their article data is updated
+ *   - new articles are queued right after the last item on screen
+ *   - removed articles are dropped, except items on screen, which are kept (marked `removed`)
+ *     until they have scrolled off
+ * When nothing is on screen the incoming order is used as is.
+ * @param {Array<Object>} displayed - Items on the ticker ({ key, article, firstSeenAt, removed })
+ * @param {Array<Object>} articles - Incoming articles in display order
+ * @param {Set<string>} visible - Keys of the items on screen
+ * @param {Object} options - { now: timestamp, markNew: record arrival time of new articles }
+ * @returns {Array<Object>} Items to display
+ */
+function mergeTickerItems(displayed, articles, visible, { now, markNew }) {
+    const previous = new Map(displayed.map(item => [item.key, item]));
+    const incoming = articles.map(article => {
+        const key = itemKey(article);
+        const existing = previous.get(key);
+        return {
+            key,
+            article,
+            firstSeenAt: existing ? existing.firstSeenAt : (markNew ? now : null),
+            removed: false
+        };
+    });
+    if (visible.size === 0) {
+        return incoming;
+    }
+
+    const incomingByKey = new Map(incoming.map(item => [item.key, item]));
+    const merged = [];
+    displayed.forEach(item => {
+        if (incomingByKey.has(item.key)) {
+            merged.push(incomingByKey.get(item.key));
+        } else if (visible.has(item.key)) {
+            merged.push({ ...item, removed: true });
+        }
+    });
+
+    const added = incoming.filter(item => !previous.has(item.key));
+    const lastVisible = merged.map(item => visible.has(item.key)).lastIndexOf(true);
+    merged.splice(lastVisible + 1, 0, ...added);
+    return merged;
+}
+
+/**
+ * 表示し直す必要があるかどうか
+ * Whether the ticker should be merged again: a removed item has scrolled off, or nothing is on
+ * screen and the order differs from the latest articles
+ * @param {Array<Object>} displayed - Items on the ticker
+ * @param {Array<Object>} articles - Latest articles
+ * @param {Set<string>} visible - Keys of the items on screen
+ * @returns {boolean} True if mergeTickerItems should run again
+ */
+function needsSettle(displayed, articles, visible) {
+    if (displayed.some(item => item.removed && !visible.has(item.key))) {
+        return true;
+    }
+    return visible.size === 0 &&
+        displayed.map(item => item.key).join('\n') !== articles.map(itemKey).join('\n');
+}
+
+function isNewItem(item, now) {
+    return item.firstSeenAt !== null && now - item.firstSeenAt < NEW_ARTICLE_DURATION;
+}
+
+module.exports = {
+    NEW_ARTICLE_DURATION,
+    itemKey,
+    visibleKeys,
+    mergeTickerItems,
+    needsSettle,
+    isNewItem
+};
@@ -98,11 +98,11 @@ test.describe('設定機能テスト', () => {
     // 設定ウィンドウが閉じるのを待つ
     await settingsWindow.waitForEvent('close');
     
-    // メインウィンドウでスクロール速度が動的に計算されていることを確認
-    const scrollDuration = await window.evaluate(() => {
-      return getComputedStyle(document.documentElement).getPropertyValue('--scroll-duration');
+    // メインウィンドウでフレームごとにスクロール位置が設定されていることを確認
+    const transform = await window.evaluate(() => {
+      return document.getElementById('ticker-content').style.transform;
     });
-    expect(scrollDuration).toContain('s'); // 秒単位の値が設定されていることを確認
+    expect(transform).toContain('translate3d');
   });
 
   test('正常系: テーマを切り替えられる', async () => {
@@ -0,0 +1,86 @@
+const {
+  canonicalizeUrl,
+  titleSimilarity,
+  deduplicateArticleGroups
+} = require('../../src/article-deduplicator');
+
+const article = (title, link, source) => ({
+  title,
+  link,
+  source,
+  sources: [source],
+  feedUrls: [`https://${source}.example.com/feed`]
+});
+
+describe('article-deduplicator', () => {
+  describe('canonicalizeUrl', () => {
+    it('正常系: utm_*パラメータ・フラグメント・www・末尾スラッシュを除去する', () => {
+      expect(canonicalizeUrl('https://www.example.com/news/1/?utm_source=rss&utm_medium=feed#top'))
+        .toBe('example.com/news/1');
+    });
+
+    it('正常系: 記事を識別するパラメータは順序を揃えて残す', () => {
+      expect(canonicalizeUrl('https://example.com/article?id=2&page=1&utm_campaign=x'))
+        .toBe(canonicalizeUrl('https://example.com/article?page=1&id=2'));
+    });
+
+    it('異常系: 不正なURLは空文字を返す', () => {
+      expect(canonicalizeUrl('not a url')).toBe('');
+      expect(canonicalizeUrl('')).toBe('');
+    });
+  });
+
+  describe('titleSimilarity', () => {
+    it('正常系: 全角半角や記号の違いだけのタイトルは同一とみなす', () => {
+      expect(titleSimilarity('ＡＩ規制法案、国会で可決', 'AI規制法案 国会で可決')).toBe(1);
+    });
+
+    it('正常系: 末尾に媒体名が付いた見出しは高い類似度になる', () => {
+      expect(titleSimilarity(
+        '政府、新たな経済対策を閣議決定 総額は過去最大規模に',
+        '政府、新たな経済対策を閣議決定 総額は過去最大規模に - ITmedia'
+      )).toBeGreaterThanOrEqual(0.85);
+    });
+
+    it('正常系: 数字が異なる見出しは別の記事とみなす', () => {
+      expect(titleSimilarity('東京で最高気温35度を観測', '東京で最高気温36度を観測')).toBe(0);
+    });
+
+    it('正常系: 無関係なタイトルは低い類似度になる', () => {
+      expect(titleSimilarity('新型ロケットの打ち上げに成功', '株価が大幅に下落')).toBeLessThan(0.3);
+    });
+  });
+
+  describe('deduplicateArticleGroups', () => {
+    it('正常系: 同じURLの記事を最初のフィードの記事にまとめる', () => {
+      const groups = deduplicateArticleGroups([
+        [article('記事A', 'https://example.com/a?utm_source=x', 'Feed 1')],
+        [article('記事A（更新）', 'https://example.com/a', 'Feed 2')]
+      ]);
+
+      expect(groups[0]).toHaveLength(1);
+      expect(groups[1]).toHaveLength(0);
+      expect(groups[0][0].source).toBe('Feed 1 / Feed 2');
+    });
+
+    it('正常系: 同じフィード内の似たタイトルはまとめない', () => {
+      const groups = deduplicateArticleGroups([[
+        article('連載：はじめてのプログラミング', 'https://example.com/1', 'Feed 1'),
+        article('連載：はじめてのプログラミング', 'https://example.com/2', 'Feed 1')
+      ]]);
+
+      expect(groups[0]).toHaveLength(2);
+    });
+
+    it('正常系: 3つのフィードに掲載された記事はソースを全て併記する', () => {
+      const groups = deduplicateArticleGroups([
+        [article('大型台風が接近 交通機関に影響', 'https://a.example.com/1', 'A')],
+        [article('大型台風が接近　交通機関に影響', 'https://b.example.com/1', 'B')],
+        [article('大型台風が接近、交通機関に影響', 'https://c.example.com/1', 'C')]
+      ]);
+
+      expect(groups.flat()).toHaveLength(1);
+      expect(groups[0][0].sources).toEqual(['A', 'B', 'C']);
+    });
+  });
+});
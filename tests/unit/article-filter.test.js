@@ -0,0 +1,124 @@
+const {
+  normalizeForMatch,
+  validateRule,
+  validateHighlightRule,
+  applyFilters,
+  findHighlightRule
+} = require('../../src/article-filter');
+
+const article = (title, feedUrl = 'https://feed1.com', extra = {}) => ({
+  title,
+  summary: '',
+  categories: [],
+  source: 'Feed',
+  feedUrls: [feedUrl],
+  ...extra
+});
+
+describe('article-filter', () => {
+  describe('normalizeForMatch', () => {
+    it('正常系: 全角英数字・半角カナ・大文字を正規化する', () => {
+      expect(normalizeForMatch('ＡＩとｶﾀｶﾅ')).toBe('aiとカタカナ');
+    });
+  });
+
+  describe('validateRule', () => {
+    it('正常系: 正しいルールはnullを返す', () => {
+      expect(validateRule({ type: 'exclude', pattern: '広告' })).toBeNull();
+      expect(validateRule({ type: 'include', pattern: '^\\[PR\\]', isRegex: true })).toBeNull();
+    });
+
+    it('異常系: 種類・キーワード・正規表現の誤りを検出する', () => {
+      expect(validateRule({ type: 'mute', pattern: 'x' })).toBe('ルールの種類が不正です');
+      expect(validateRule({ type: 'exclude', pattern: '  ' })).toBe('キーワードを入力してください');
+      expect(validateRule({ type: 'exclude', pattern: '(unclosed', isRegex: true })).toMatch(/^正規表現が不正です/);
+    });
+  });
+
+  describe('applyFilters', () => {
+    it('正常系: 除外キーワードに一致する記事を非表示にする（全角半角・大文字小文字を区別しない）', () => {
+      const articles = [article('【ＰＲ】お得なセール情報'), article('新製品を発表')];
+
+      const { visible, hidden } = applyFilters(articles, [{ type: 'exclude', pattern: 'pr' }]);
+
+      expect(visible.map(a => a.title)).toEqual(['新製品を発表']);
+      expect(hidden[0]).toMatchObject({ reason: 'exclude', rule: { pattern: 'pr' } });
+    });
+
+    it('正常系: 空白区切りのキーワードは全て含む場合に一致する', () => {
+      const articles = [article('東京 天気 晴れ'), article('大阪 天気 雨')];
+
+      const { visible } = applyFilters(articles, [{ type: 'exclude', pattern: '東京 天気' }]);
+
+      expect(visible.map(a => a.title)).toEqual(['大阪 天気 雨']);
+    });
+
+    it('正常系: 正規表現ルールを適用する', () => {
+      const articles = [article('株価 3日続落'), article('株価 反発')];
+
+      const { visible } = applyFilters(articles, [{ type: 'exclude', pattern: '\\d+日続落', isRegex: true }]);
+
+      expect(visible.map(a => a.title)).toEqual(['株価 反発']);
+    });
+
+    it('正常系: 含むルールがある場合は一致しない記事を非表示にする', () => {
+      const articles = [article('AIの最新動向'), article('スポーツ結果'), article('要約に一致', 'https://feed1.com', { summary: '生成AIについて' })];
+
+      const { visible, hidden } = applyFilters(articles, [{ type: 'include', pattern: 'ai' }]);
+
+      expect(visible.map(a => a.title)).toEqual(['AIの最新動向', '要約に一致']);
+      expect(hidden[0]).toMatchObject({ reason: 'include', rule: null });
+    });
+
+    it('正常系: フィード指定のルールはそのフィードの記事にだけ適用する', () => {
+      const articles = [article('速報 A', 'https://feed1.com'), article('速報 B', 'https://feed2.com')];
+
+      const { visible } = applyFilters(articles, [{ type: 'exclude', pattern: '速報', feedUrl: 'https://feed2.com' }]);
+
+      expect(visible.map(a => a.title)).toEqual(['速報 A']);
+    });
+
+    it('正常系: 無効化されたルールと不正なルールは無視する', () => {
+      const articles = [article('記事')];
+
+      const { visible } = applyFilters(articles, [
+        { type: 'exclude', pattern: '記事', enabled: false },
+        { type: 'exclude', pattern: '[', isRegex: true }
+      ]);
+
+      expect(visible).toHaveLength(1);
+    });
+  });
+
+  describe('validateHighlightRule', () => {
+    it('正常系: キーワードかフィードのどちらかがあれば有効', () => {
+      expect(validateHighlightRule({ pattern: '速報', color: '#ff0000' })).toBeNull();
+      expect(validateHighlightRule({ pattern: '', feedUrl: 'https://feed1.com' })).toBeNull();
+    });
+
+    it('異常系: キーワードもフィードも無い・色が不正な場合はエラー', () => {
+      expect(validateHighlightRule({ pattern: '' })).toBe('キーワードまたはフィードを指定してください');
+      expect(validateHighlightRule({ pattern: '速報', color: 'red' })).toBe('色の指定が不正です');
+    });
+  });
+
+  describe('findHighlightRule', () => {
+    const rules = [
+      { pattern: '速報', color: '#ff0000', badge: '速報', blink: true },
+      { pattern: '', feedUrl: 'https://feed2.com', color: '#00ff00' }
+    ];
+
+    it('正常系: キーワードに一致する最初のルールを返す', () => {
+      expect(findHighlightRule(article('【速報】地震発生', 'https://feed2.com'), rules)).toBe(rules[0]);
+    });
+
+    it('正常系: キーワードの無いルールはフィードの全記事に一致する', () => {
+      expect(findHighlightRule(article('通常の記事', 'https://feed2.com'), rules)).toBe(rules[1]);
+    });
+
+    it('正常系: 一致しない・無効化されたルールはnullを返す', () => {
+      expect(findHighlightRule(article('通常の記事'), rules)).toBeNull();
+      expect(findHighlightRule(article('速報'), [{ ...rules[0], enabled: false }])).toBeNull();
+    });
+  });
+});
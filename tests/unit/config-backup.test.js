@@ -0,0 +1,209 @@
+const { BACKUP_FORMAT, buildBackup, parseBackup, planImport } = require('../../src/config-backup');
+const { CONFIG_VERSION } = require('../../src/config-migrations');
+const { DEFAULT_SETTINGS } = require('../../src/settings-schema');
+
+describe('config-backup', () => {
+  const current = {
+    settings: { ...DEFAULT_SETTINGS, theme: 'matrix' },
+    feeds: [
+      { url: 'https://feed1.com', name: 'Feed 1' },
+      { url: 'https://feed2.com', name: 'Feed 2' }
+    ],
+    filterRules: [{ type: 'exclude', pattern: '広告', isRegex: false, feedUrl: null, enabled: true }],
+    highlightRules: [],
+    profiles: [{ name: '仕事', feeds: [], settings: {}, bounds: null, schedule: null }],
+    customThemes: [{ name: 'ネオン', textColor: '#f0f', backgroundColor: '#000', sourceColor: '#0ff', glowColor: '#f0f', glowSize: 10 }]
+  };
+
+  describe('buildBackup / parseBackup', () => {
+    it('正常系: 書き出したバックアップをそのまま読み込める', () => {
+      const json = buildBackup(current);
+      const backup = JSON.parse(json);
+
+      expect(backup.format).toBe(BACKUP_FORMAT);
+      expect(backup.configVersion).toBe(CONFIG_VERSION);
+      expect(parseBackup(json)).toEqual({ config: current, warnings: [] });
+    });
+
+    it('異常系: JSONでないファイル・別形式のファイルは拒否する', () => {
+      expect(() => parseBackup('{')).toThrow('バックアップファイルを解析できませんでした');
+      expect(() => parseBackup('{"feeds": []}')).toThrow('バックアップファイルではありません');
+    });
+
+    it('異常系: 新しいバージョンのバックアップは拒否する', () => {
+      const json = JSON.stringify({ format: BACKUP_FORMAT, configVersion: CONFIG_VERSION + 1 });
+
+      expect(() => parseBackup(json)).toThrow('新しいアプリで作成されたバックアップです');
+    });
+
+    it('正常系: 不正な項目を除外し、警告として返す', () => {
+      const json = JSON.stringify({
+        format: BACKUP_FORMAT,
+        configVersion: CONFIG_VERSION,
+        settings: { scrollSpeed: 999, theme: 1 },
+        feeds: [
+          { url: 'https://feed1.com', name: 'Feed 1' },
+          { url: 'javascript:alert(1)', name: '不正' },
+          { url: 'https://feed1.com', name: '重複' }
+        ],
+        filterRules: [{ type: 'exclude', pattern: '[', isRegex: true }],
+        highlightRules: [{ pattern: '' }],
+        profiles: [{ name: '' }],
+        customThemes: [{ name: '色なし' }]
+      });
+
+      const { config, warnings } = parseBackup(json);
+
+      expect(config).toEqual({
+        settings: { scrollSpeed: 200 },
+        feeds: [{ url: 'https://feed1.com', name: 'Feed 1' }],
+        filterRules: [],
+        highlightRules: [],
+        profiles: [],
+        customThemes: []
+      });
+      expect(warnings).toHaveLength(8);
+      expect(warnings[0]).toContain('200 に調整します');
+    });
+
+    it('正常系: フィードは既知の項目だけを読み込み、名前の無いフィードは除外する', () => {
+      const json = JSON.stringify({
+        format: BACKUP_FORMAT,
+        configVersion: CONFIG_VERSION,
+        feeds: [
+          { url: 'https://feed1.com', name: ' Feed 1 ', category: 'IT', maxItems: 5, disabled: true, suspended: 'yes', extra: '<img>' },
+          { url: 'https://feed2.com', name: '' },
+          { url: 'https://feed3.com', name: 3 }
+        ]
+      });
+
+      const { config, warnings } = parseBackup(json);
+
+      expect(config.feeds).toEqual([{ url: 'https://feed1.com', name: 'Feed 1', category: 'IT', maxItems: 5, disabled: true }]);
+      expect(warnings).toEqual([
+        'フィード https://feed2.com: 名前がありません（読み込みません）',
+        'フィード 3: 名前がありません（読み込みません）'
+      ]);
+    });
+
+    it('異常系: プロファイルのフィードも検証する', () => {
+      const json = JSON.stringify({
+        format: BACKUP_FORMAT,
+        configVersion: CONFIG_VERSION,
+        profiles: [{
+          name: '仕事',
+          feeds: [
+            { url: 'https://feed1.com', name: 'Feed 1', updateInterval: 600000 },
+            { url: 'file:///etc/passwd', name: '不正' }
+          ],
+          settings: {},
+          bounds: null,
+          schedule: null
+        }]
+      });
+
+      const { config, warnings } = parseBackup(json);
+
+      expect(config.profiles[0].feeds).toEqual([{ url: 'https://feed1.com', name: 'Feed 1', updateInterval: 600000 }]);
+      expect(warnings).toEqual(['プロファイル 仕事 のフィード 不正: URLが不正です（読み込みません）']);
+    });
+
+    it('異常系: プロファイルのウィンドウ位置・設定・自動切り替えを検証する', () => {
+      const json = JSON.stringify({
+        format: BACKUP_FORMAT,
+        configVersion: CONFIG_VERSION,
+        profiles: [
+          {
+            name: '仕事',
+            feeds: [],
+            settings: { theme: 'ocean', fontSize: 'large', unknownKey: 1 },
+            bounds: { x: 0, y: 0, width: '800', height: 600 },
+            schedule: { start: '9:00', end: '25:00' },
+            extra: true
+          },
+          {
+            name: '自宅',
+            feeds: [],
+            settings: 5,
+            bounds: 5,
+            schedule: { start: '18:00', end: '23:00' }
+          }
+        ]
+      });
+
+      const { config, warnings } = parseBackup(json);
+
+      expect(config.profiles).toEqual([
+        { name: '仕事', feeds: [], settings: { theme: 'ocean' }, bounds: null, schedule: null },
+        { name: '自宅', feeds: [], settings: {}, bounds: null, schedule: { start: '18:00', end: '23:00' } }
+      ]);
+      expect(warnings).toEqual([
+        'プロファイル 仕事: ウィンドウの位置と大きさが不正です（読み込みません）',
+        'プロファイル 仕事 の自動切り替え: 時刻は HH:MM 形式で入力してください（読み込みません）',
+        expect.stringMatching(/^プロファイル 仕事 の設定 fontSize: .*（読み込みません）$/),
+        expect.stringMatching(/^プロファイル 仕事 の設定 unknownKey: .*（読み込みません）$/),
+        'プロファイル 自宅: ウィンドウの位置と大きさが不正です（読み込みません）'
+      ]);
+    });
+
+    it('正常系: 整数のウィンドウ位置はそのまま読み込む', () => {
+      const bounds = { x: -100, y: 20, width: 800, height: 120 };
+      const json = JSON.stringify({
+        format: BACKUP_FORMAT,
+        configVersion: CONFIG_VERSION,
+        profiles: [{ name: '仕事', feeds: [], settings: {}, bounds: { ...bounds, extra: 1 }, schedule: null }]
+      });
+
+      expect(parseBackup(json).config.profiles[0].bounds).toEqual(bounds);
+    });
+  });
+
+  describe('planImport', () => {
+    const imported = {
+      settings: { theme: 'ocean', scrollSpeed: 80 },
+      feeds: [
+        { url: 'https://feed2.com', name: 'Feed 2 改' },
+        { url: 'https://feed3.com', name: 'Feed 3' }
+      ],
+      filterRules: [],
+      highlightRules: [{ pattern: '速報', color: '#ff0000' }],
+      profiles: [{ name: '自宅', feeds: [], settings: {}, bounds: null, schedule: null }],
+      customThemes: []
+    };
+
+    it('正常系: 統合では既存の項目を残し、同じURL・名前は取り込む側で上書きする', () => {
+      const { config, diff } = planImport(current, imported, 'merge');
+
+      expect(config.settings).toEqual({ ...DEFAULT_SETTINGS, theme: 'ocean', scrollSpeed: 80 });
+      expect(config.feeds.map(feed => feed.name)).toEqual(['Feed 1', 'Feed 2 改', 'Feed 3']);
+      expect(config.filterRules).toEqual(current.filterRules);
+      expect(config.profiles.map(profile => profile.name)).toEqual(['仕事', '自宅']);
+      expect(diff.settings).toEqual([
+        { key: 'scrollSpeed', from: 50, to: 80 },
+        { key: 'theme', from: 'matrix', to: 'ocean' }
+      ]);
+      expect(diff.feeds.added.map(feed => feed.url)).toEqual(['https://feed3.com']);
+      expect(diff.feeds.changed.map(feed => feed.url)).toEqual(['https://feed2.com']);
+      expect(diff.feeds.removed).toEqual([]);
+    });
+
+    it('正常系: 置き換えでは取り込む側に無い項目を削除し、設定はデフォルト値で補う', () => {
+      const { config, diff } = planImport(current, imported, 'replace');
+
+      expect(config.settings).toEqual({ ...DEFAULT_SETTINGS, theme: 'ocean', scrollSpeed: 80 });
+      expect(config.feeds).toEqual(imported.feeds);
+      expect(diff.feeds.removed.map(feed => feed.url)).toEqual(['https://feed1.com']);
+      expect(diff.filterRules.removed).toEqual(current.filterRules);
+      expect(diff.highlightRules.added).toEqual(imported.highlightRules);
+      expect(diff.profiles.removed.map(profile => profile.name)).toEqual(['仕事']);
+      expect(diff.customThemes.removed.map(theme => theme.name)).toEqual(['ネオン']);
+    });
+
+    it('正常系: 同じ内容を取り込む場合は差分が無い', () => {
+      const { diff } = planImport(current, current, 'replace');
+
+      expect(diff.settings).toEqual([]);
+      expect(diff.feeds).toEqual({ added: [], removed: [], changed: [] });
+    });
+  });
+});
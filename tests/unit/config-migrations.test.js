@@ -0,0 +1,48 @@
+const { MIGRATIONS, CONFIG_VERSION, migrateConfig } = require('../../src/config-migrations');
+
+describe('config-migrations', () => {
+  it('正常系: 移行処理はバージョンの昇順に並び、最新バージョンは最後の移行処理', () => {
+    const versions = MIGRATIONS.map(migration => migration.version);
+
+    expect(versions).toEqual([...versions].sort((a, b) => a - b));
+    expect(CONFIG_VERSION).toBe(versions[versions.length - 1]);
+  });
+
+  it('正常系: バージョン管理前の設定から不正な値と壊れたフィードを取り除く', () => {
+    const { config, applied } = migrateConfig({
+      settings: { fontSize: null, scrollSpeed: 500, theme: 'ocean', legacy: 1 },
+      feeds: [{ url: 'https://feed1.com' }, { name: 'URLなし' }, null],
+      filterRules: []
+    }, 0);
+
+    expect(applied).toEqual([1]);
+    expect(config.settings).toEqual({ scrollSpeed: 200, theme: 'ocean' });
+    expect(config.feeds).toEqual([{ url: 'https://feed1.com', name: 'https://feed1.com' }]);
+    expect(config.filterRules).toEqual([]);
+  });
+
+  it('正常系: バージョン1の移行は現在の設定スキーマに左右されない', () => {
+    jest.isolateModules(() => {
+      jest.doMock('../../src/settings-schema', () => ({
+        validateSettings: () => ({ settings: {}, errors: [] })
+      }));
+      const { migrateConfig: isolatedMigrateConfig } = require('../../src/config-migrations');
+
+      const { config } = isolatedMigrateConfig({
+        settings: { scrollSpeed: 55.4, windowHeight: 1000, articleOrder: 'random', activeGroup: '' }
+      }, 0);
+
+      expect(config.settings).toEqual({ scrollSpeed: 55, windowHeight: 400, activeGroup: '' });
+    });
+    jest.dontMock('../../src/settings-schema');
+  });
+
+  it('正常系: 最新バージョンの設定には何もしない', () => {
+    const stored = { settings: { fontSize: 10 } };
+
+    const { config, applied } = migrateConfig(stored, CONFIG_VERSION);
+
+    expect(applied).toEqual([]);
+    expect(config).toBe(stored);
+  });
+});
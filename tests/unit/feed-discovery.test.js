@@ -0,0 +1,54 @@
+const { isValidFeedUrl, isHtmlDocument, discoverFeedLinks } = require('../../src/feed-discovery');
+
+describe('feed-discovery', () => {
+  describe('isValidFeedUrl', () => {
+    it('正常系: http(s)のURLのみ有効とする', () => {
+      expect(isValidFeedUrl('https://example.com/feed')).toBe(true);
+      expect(isValidFeedUrl('http://example.com/feed')).toBe(true);
+      expect(isValidFeedUrl('file:///etc/passwd')).toBe(false);
+      expect(isValidFeedUrl('example.com/feed')).toBe(false);
+      expect(isValidFeedUrl('')).toBe(false);
+    });
+  });
+
+  describe('isHtmlDocument', () => {
+    it('正常系: Content-TypeまたはDOCTYPEでHTMLと判定する', () => {
+      expect(isHtmlDocument('<rss></rss>', 'text/html; charset=UTF-8')).toBe(true);
+      expect(isHtmlDocument('<!-- top -->\n<!DOCTYPE html><html></html>', null)).toBe(true);
+      expect(isHtmlDocument('<html lang="ja"><head></head></html>', 'text/plain')).toBe(true);
+    });
+
+    it('正常系: フィードはHTMLと判定しない', () => {
+      expect(isHtmlDocument('<?xml version="1.0"?><rss version="2.0"></rss>', 'application/rss+xml')).toBe(false);
+      expect(isHtmlDocument('{"version":"https://jsonfeed.org/version/1.1"}', 'application/feed+json')).toBe(false);
+    });
+  });
+
+  describe('discoverFeedLinks', () => {
+    const html = `<!DOCTYPE html>
+<html>
+<head>
+  <link rel="stylesheet" href="/style.css">
+  <link rel="alternate" type="application/rss+xml" title="ニュース RSS" href="/rss.xml">
+  <link type='application/atom+xml' href='https://example.com/atom?lang=ja&amp;full=1' rel='alternate'>
+  <link rel="alternate" type="application/rss+xml" href="/rss.xml">
+  <link rel="alternate" hreflang="en" href="/en/">
+  <link rel="alternate" type="application/feed+json" href="feed.json" title="JSON">
+  <link rel="alternate" type="application/rss+xml" href="javascript:alert(1)">
+</head>
+<body></body>
+</html>`;
+
+    it('正常系: フィードのlink要素を文書順に絶対URLで返す', () => {
+      expect(discoverFeedLinks(html, 'https://example.com/blog/')).toEqual([
+        { url: 'https://example.com/rss.xml', title: 'ニュース RSS', type: 'application/rss+xml' },
+        { url: 'https://example.com/atom?lang=ja&full=1', title: '', type: 'application/atom+xml' },
+        { url: 'https://example.com/blog/feed.json', title: 'JSON', type: 'application/feed+json' }
+      ]);
+    });
+
+    it('正常系: フィードが無いページは空配列を返す', () => {
+      expect(discoverFeedLinks('<html><head><title>x</title></head></html>', 'https://example.com/')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const FeedFetcher = require('../../src/feed-fetcher');
+const { decodeBody, getFreshnessLifetime } = FeedFetcher;
+
+describe('FeedFetcher', () => {
+  describe('decodeBody', () => {
+    it('正常系: Content-Typeのcharsetに従ってデコードする', () => {
+      const buffer = Buffer.from([0x83, 0x65, 0x83, 0x58, 0x83, 0x67]); // "テスト" (Shift_JIS)
+
+      expect(decodeBody(buffer, 'application/rss+xml; charset=Shift_JIS')).toBe('テスト');
+    });
+
+    it('正常系: XML宣言のencodingに従ってデコードする', () => {
+      const xml = Buffer.concat([
+        Buffer.from('<?xml version="1.0" encoding="EUC-JP"?><title>'),
+        Buffer.from([0xa5, 0xc6, 0xa5, 0xb9, 0xa5, 0xc8]), // "テスト" (EUC-JP)
+        Buffer.from('</title>')
+      ]);
+
+      expect(decodeBody(xml, 'text/xml')).toContain('<title>テスト</title>');
+    });
+
+    it('異常系: 未知の文字コードはUTF-8として扱う', () => {
+      const buffer = Buffer.from('ニュース');
+
+      expect(decodeBody(buffer, 'text/xml; charset=unknown-charset')).toBe('ニュース');
+    });
+  });
+
+  describe('getFreshnessLifetime', () => {
+    it('正常系: max-ageと<ttl>の長い方を採用する', () => {
+      const headers = new Headers({ 'Cache-Control': 'max-age=120' });
+
+      expect(getFreshnessLifetime(headers, {})).toBe(120000);
+      expect(getFreshnessLifetime(headers, { ttl: '10' })).toBe(600000);
+    });
+
+    it('正常系: no-cacheの場合は鮮度0とする', () => {
+      const headers = new Headers({ 'Cache-Control': 'no-cache, max-age=600' });
+
+      expect(getFreshnessLifetime(headers, { ttl: '60' })).toBe(0);
+    });
+
+    it('正常系: 鮮度は最大1時間に制限する', () => {
+      const headers = new Headers({ 'Cache-Control': 'max-age=86400' });
+
+      expect(getFreshnessLifetime(headers, {})).toBe(3600000);
+    });
+  });
+
+  describe('fetchDocument', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    it('正常系: 本文とContent-Typeを返し、キャッシュには保存しない', async () => {
+      global.fetch = jest.fn(async () => new Response('<html></html>', {
+        status: 200,
+        headers: { 'Content-Type': 'text/html; charset=UTF-8' }
+      }));
+      const fetcher = new FeedFetcher({ parseString: jest.fn() });
+
+      const document = await fetcher.fetchDocument('https://example.com/');
+
+      expect(document).toEqual({
+        url: 'https://example.com/',
+        body: '<html></html>',
+        contentType: 'text/html; charset=UTF-8'
+      });
+      expect(fetcher.cache.size).toBe(0);
+    });
+
+    it('異常系: エラーステータスの場合は例外を投げる', async () => {
+      global.fetch = jest.fn(async () => new Response('', { status: 404 }));
+      const fetcher = new FeedFetcher({ parseString: jest.fn() });
+
+      await expect(fetcher.fetchDocument('https://example.com/missing')).rejects.toThrow('Status code 404');
+    });
+  });
+});
@@ -0,0 +1,114 @@
+const FeedHealthTracker = require('../../src/feed-health');
+const { getRetryDelay } = FeedHealthTracker;
+
+describe('FeedHealthTracker', () => {
+  let tracker;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2024-01-01T00:00:00Z'));
+    tracker = new FeedHealthTracker();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('正常系: 未取得のフィードはunknownを返す', () => {
+    expect(tracker.get('https://feed1.com')).toEqual(expect.objectContaining({
+      status: 'unknown',
+      lastSuccess: null,
+      consecutiveFailures: 0
+    }));
+  });
+
+  it('正常系: 成功時に記事数・応答時間・成功日時を記録する', () => {
+    tracker.recordSuccess('https://feed1.com', { itemCount: 12, responseTime: 320 });
+
+    expect(tracker.get('https://feed1.com')).toEqual(expect.objectContaining({
+      status: 'ok',
+      lastSuccess: '2024-01-01T00:00:00.000Z',
+      itemCount: 12,
+      responseTime: 320
+    }));
+  });
+
+  it('正常系: キャッシュ利用時は直前の応答時間を維持する', () => {
+    tracker.recordSuccess('https://feed1.com', { itemCount: 12, responseTime: 320 });
+    tracker.recordSuccess('https://feed1.com', { itemCount: 12, responseTime: null });
+
+    expect(tracker.get('https://feed1.com').responseTime).toBe(320);
+  });
+
+  it('異常系: 連続失敗回数を数え、成功でリセットする', () => {
+    tracker.recordFailure('https://feed1.com', 'Status code 500', 'http');
+    jest.setSystemTime(new Date('2024-01-01T00:05:00Z'));
+    tracker.recordFailure('https://feed1.com', 'fetch failed', 'network');
+
+    expect(tracker.get('https://feed1.com')).toEqual(expect.objectContaining({
+      status: 'error',
+      lastError: 'fetch failed',
+      lastErrorType: 'network',
+      lastErrorAt: '2024-01-01T00:05:00.000Z',
+      failingSince: '2024-01-01T00:00:00.000Z',
+      consecutiveFailures: 2
+    }));
+
+    tracker.recordSuccess('https://feed1.com', { itemCount: 3, responseTime: 100 });
+    const health = tracker.get('https://feed1.com');
+    expect(health.consecutiveFailures).toBe(0);
+    expect(health.failingSince).toBeNull();
+    expect(health.lastError).toBe('fetch failed'); // 最後のエラーは履歴として残す
+  });
+
+  it('異常系: 一定時間以上失敗し続けているフィードのみ返す', () => {
+    tracker.recordFailure('https://old.com', 'error', 'parse');
+    jest.setSystemTime(new Date('2024-01-01T00:20:00Z'));
+    tracker.recordFailure('https://new.com', 'error', 'parse');
+    tracker.recordSuccess('https://ok.com', {});
+    jest.setSystemTime(new Date('2024-01-01T00:30:00Z'));
+
+    const failing = tracker.getFailing(['https://old.com', 'https://new.com', 'https://ok.com'], 30 * 60 * 1000);
+
+    expect(failing).toEqual(['https://old.com']);
+  });
+
+  it('正常系: 取得した状況のコピーを返し、削除できる', () => {
+    tracker.recordSuccess('https://feed1.com', { itemCount: 1 });
+    tracker.get('https://feed1.com').status = 'error';
+
+    expect(tracker.getAll(['https://feed1.com'])['https://feed1.com'].status).toBe('ok');
+
+    tracker.remove('https://feed1.com');
+    expect(tracker.get('https://feed1.com').status).toBe('unknown');
+  });
+
+  describe('バックオフ', () => {
+    const backoff = { baseDelay: 60000, maxDelay: 3600000 };
+
+    it('正常系: 待ち時間は失敗ごとに倍増し、上限で頭打ちになる', () => {
+      expect([1, 2, 3, 4].map(n => getRetryDelay(n, backoff))).toEqual([60000, 120000, 240000, 480000]);
+      expect(getRetryDelay(20, backoff)).toBe(3600000);
+      expect(getRetryDelay(3, {})).toBe(0);
+    });
+
+    it('異常系: 次回再試行日時まではバックオフ中とする', () => {
+      tracker.recordFailure('https://feed1.com', 'error', 'network', backoff);
+      tracker.recordFailure('https://feed1.com', 'error', 'network', backoff);
+
+      expect(tracker.get('https://feed1.com').nextRetryAt).toBe('2024-01-01T00:02:00.000Z');
+      expect(tracker.isBackingOff('https://feed1.com')).toBe(true);
+
+      jest.setSystemTime(new Date('2024-01-01T00:02:00Z'));
+      expect(tracker.isBackingOff('https://feed1.com')).toBe(false);
+    });
+
+    it('正常系: 成功すると再試行の待ちを解除する', () => {
+      tracker.recordFailure('https://feed1.com', 'error', 'network', backoff);
+      tracker.recordSuccess('https://feed1.com', {});
+
+      expect(tracker.isBackingOff('https://feed1.com')).toBe(false);
+      expect(tracker.get('https://feed1.com').nextRetryAt).toBeNull();
+    });
+  });
+});
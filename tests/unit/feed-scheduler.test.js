@@ -0,0 +1,87 @@
+const FeedScheduler = require('../../src/feed-scheduler');
+
+describe('FeedScheduler', () => {
+  let feeds;
+  let onDue;
+  let scheduler;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2024-01-01T00:00:00Z'));
+    feeds = [
+      { url: 'https://breaking.com', updateInterval: 60000 },
+      { url: 'https://blog.com', updateInterval: 3600000 },
+      { url: 'https://default.com' }
+    ];
+    onDue = jest.fn().mockResolvedValue();
+    scheduler = new FeedScheduler({
+      getFeeds: () => feeds,
+      getDefaultInterval: () => 300000,
+      onDue
+    });
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+    jest.useRealTimers();
+  });
+
+  it('正常系: フィードごとの更新間隔、未設定なら全体の間隔を使う', () => {
+    expect(scheduler.getInterval(feeds[0])).toBe(60000);
+    expect(scheduler.getInterval(feeds[2])).toBe(300000);
+  });
+
+  it('正常系: 期限を迎えたフィードだけを取得する', async () => {
+    scheduler.start();
+
+    await jest.advanceTimersByTimeAsync(60000);
+    expect(onDue).toHaveBeenCalledTimes(1);
+    expect(onDue).toHaveBeenLastCalledWith(['https://breaking.com']);
+
+    await jest.advanceTimersByTimeAsync(240000);
+    expect(onDue).toHaveBeenCalledTimes(5);
+    expect(onDue).toHaveBeenLastCalledWith(['https://breaking.com', 'https://default.com']);
+  });
+
+  it('正常系: フィードの削除と更新間隔の短縮を反映する', async () => {
+    scheduler.start();
+
+    feeds = [{ url: 'https://blog.com', updateInterval: 120000 }];
+    scheduler.refresh();
+
+    expect(scheduler.getSchedule()).toEqual({ 'https://blog.com': Date.now() + 120000 });
+    await jest.advanceTimersByTimeAsync(120000);
+    expect(onDue).toHaveBeenCalledTimes(1);
+    expect(onDue).toHaveBeenCalledWith(['https://blog.com']);
+  });
+
+  it('正常系: 手動で全件取得したら次回の予定を数え直す', async () => {
+    scheduler.start();
+
+    await jest.advanceTimersByTimeAsync(50000);
+    scheduler.markRefreshed(['https://breaking.com']);
+    await jest.advanceTimersByTimeAsync(50000);
+
+    expect(onDue).not.toHaveBeenCalled();
+  });
+
+  it('異常系: 取得に失敗しても次回の予定を続ける', async () => {
+    onDue.mockRejectedValueOnce(new Error('failed'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    scheduler.start();
+
+    await jest.advanceTimersByTimeAsync(120000);
+
+    expect(onDue).toHaveBeenCalledTimes(2);
+    console.error.mockRestore();
+  });
+
+  it('正常系: 停止後は取得しない', async () => {
+    scheduler.start();
+    scheduler.stop();
+
+    await jest.advanceTimersByTimeAsync(3600000);
+
+    expect(onDue).not.toHaveBeenCalled();
+  });
+});
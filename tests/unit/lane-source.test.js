@@ -0,0 +1,34 @@
+const { parseLaneSource, resolveLaneSource } = require('../../src/lane-source');
+
+describe('lane-source', () => {
+  describe('parseLaneSource', () => {
+    it('正常系: グループ・フィード・表示中のチャンネルを判別する', () => {
+      expect(parseLaneSource('group:国内')).toEqual({ type: 'group', name: '国内' });
+      expect(parseLaneSource('feed:https://example.com/rss')).toEqual({ type: 'feed', url: 'https://example.com/rss' });
+      expect(parseLaneSource('')).toEqual({ type: 'channel' });
+    });
+
+    it('異常系: 不明な形式は表示中のチャンネルとして扱う', () => {
+      expect(parseLaneSource('unknown')).toEqual({ type: 'channel' });
+      expect(parseLaneSource(undefined)).toEqual({ type: 'channel' });
+    });
+  });
+
+  describe('resolveLaneSource', () => {
+    const feeds = [
+      { url: 'https://it.example.com/rss', name: 'IT', category: 'IT' },
+      { url: 'https://other.example.com/rss', name: 'その他' }
+    ];
+
+    it('正常系: 登録されているグループ・フィードの指定はそのまま返す', () => {
+      expect(resolveLaneSource('group:IT', feeds)).toBe('group:IT');
+      expect(resolveLaneSource('feed:https://other.example.com/rss', feeds)).toBe('feed:https://other.example.com/rss');
+      expect(resolveLaneSource('', feeds)).toBe('');
+    });
+
+    it('異常系: 無くなったグループ・削除したフィードは表示中のチャンネルに戻す', () => {
+      expect(resolveLaneSource('group:国内', feeds)).toBe('');
+      expect(resolveLaneSource('feed:https://deleted.example.com/rss', feeds)).toBe('');
+    });
+  });
+});
@@ -0,0 +1,68 @@
+const {
+  ITEM_SPACING,
+  gridSize,
+  pixelsToDots,
+  layoutSegments,
+  segmentAt
+} = require('../../src/led-matrix');
+
+describe('led-matrix', () => {
+  describe('gridSize', () => {
+    it('正常系: ドットの大きさと間隔から行数・列数を計算する', () => {
+      expect(gridSize(1200, 150, 4, 1)).toEqual({ pitch: 5, columns: 240, rows: 30 });
+      // 最後の行の後ろには間隔が要らない
+      expect(gridSize(100, 14, 4, 1)).toEqual({ pitch: 5, columns: 20, rows: 3 });
+    });
+
+    it('正常系: キャンバスが小さくても1ドットは表示する', () => {
+      expect(gridSize(0, 0, 4, 1)).toEqual({ pitch: 5, columns: 1, rows: 1 });
+    });
+  });
+
+  describe('pixelsToDots', () => {
+    // 幅 width × 高さ height の RGBA ピクセル（lit の座標だけ不透明）
+    const pixels = (width, height, lit, alpha = 255) => {
+      const data = new Uint8ClampedArray(width * height * 4);
+      lit.forEach(([x, y]) => {
+        data[(y * width + x) * 4 + 3] = alpha;
+      });
+      return data;
+    };
+
+    it('正常系: 不透明なピクセルを列ごとのドットに変換する', () => {
+      const dots = pixelsToDots(pixels(3, 2, [[0, 0], [2, 1]]), 3, 2);
+
+      expect(Array.from(dots)).toEqual([1, 0, 0, 0, 0, 1]);
+    });
+
+    it('正常系: 文字の区間ごとに色の番号を付ける', () => {
+      const dots = pixelsToDots(pixels(4, 1, [[0, 0], [1, 0], [3, 0]]), 4, 1, [0, 2, 3]);
+
+      expect(Array.from(dots)).toEqual([1, 1, 0, 3]);
+    });
+
+    it('正常系: 半透明のピクセルは点灯しない', () => {
+      const dots = pixelsToDots(pixels(1, 1, [[0, 0]], 100), 1, 1);
+
+      expect(Array.from(dots)).toEqual([0]);
+    });
+  });
+
+  describe('記事の配置', () => {
+    it('正常系: 記事の間に間隔を空けて並べる', () => {
+      expect(layoutSegments([10, 20])).toEqual({
+        starts: [0, 10 + ITEM_SPACING],
+        length: 30 + ITEM_SPACING * 2
+      });
+    });
+
+    it('正常系: 列に表示されている記事を取得する', () => {
+      const segments = [{ start: 0, width: 10, item: 'a' }, { start: 34, width: 20, item: 'b' }];
+
+      expect(segmentAt(segments, 9).item).toBe('a');
+      expect(segmentAt(segments, 34).item).toBe('b');
+      expect(segmentAt(segments, 20)).toBeNull();
+      expect(segmentAt(segments, -5)).toBeNull();
+    });
+  });
+});
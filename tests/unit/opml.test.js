@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const { parseOPML, buildOPML, partitionImportedFeeds } = require('../../src/opml');
+
+const fixture = fs.readFileSync(path.join(__dirname, '../fixtures/opml/feeds.opml'), 'utf8');
+
+describe('opml', () => {
+  describe('parseOPML', () => {
+    it('正常系: フォルダ構造をカテゴリとして取り込む', async () => {
+      const result = await parseOPML(fixture);
+
+      expect(result.title).toBe('購読フィード');
+      expect(result.feeds).toEqual([
+        { url: 'https://rss.itmedia.co.jp/rss/2.0/news_bursts.xml', name: 'ITmediaニュース', category: 'テクノロジー' },
+        { url: 'https://news.ycombinator.com/rss', name: 'Hacker News', category: 'テクノロジー/海外' },
+        { url: 'https://b.hatena.ne.jp/hotentry.rss', name: 'はてなブックマーク', category: 'ソーシャル/ブックマーク' }
+      ]);
+    });
+
+    it('異常系: 検証に失敗したフィードを理由付きで報告する', async () => {
+      const result = await parseOPML(fixture);
+
+      expect(result.invalid).toEqual([
+        { name: '壊れたフィード', url: 'not a url', reason: 'URLが不正です' },
+        { name: 'FTPフィード', url: 'ftp://example.com/feed.xml', reason: 'URLが不正です' },
+        { name: 'URLなし', url: '', reason: 'URLが不正です' }
+      ]);
+    });
+
+    it('正常系: カテゴリの無いフィードにはcategoryを付けない', async () => {
+      const xml = '<opml version="2.0"><body><outline text="A" xmlUrl="https://a.example.com/rss"/></body></opml>';
+      const result = await parseOPML(xml);
+
+      expect(result.feeds).toEqual([{ url: 'https://a.example.com/rss', name: 'A' }]);
+    });
+
+    it('異常系: XMLとして解析できない場合はエラーを投げる', async () => {
+      await expect(parseOPML('<opml><body>')).rejects.toThrow('OPMLファイルを解析できませんでした');
+    });
+
+    it('異常系: OPML以外のXMLはエラーを投げる', async () => {
+      await expect(parseOPML('<rss version="2.0"><channel></channel></rss>')).rejects.toThrow('OPMLファイルではありません');
+    });
+  });
+
+  describe('buildOPML', () => {
+    const feeds = [
+      { url: 'https://a.example.com/rss', name: 'A & B' },
+      { url: 'https://c.example.com/rss?x=1&y=2', name: 'C', category: 'テクノロジー' },
+      { url: 'https://d.example.com/rss', name: '"D"', category: 'テクノロジー' }
+    ];
+
+    it('正常系: カテゴリごとにフォルダを出力し、属性をエスケープする', () => {
+      const xml = buildOPML(feeds, { title: 'テスト' });
+
+      expect(xml).toContain('<opml version="2.0">');
+      expect(xml).toContain('<title>テスト</title>');
+      expect(xml).toContain('<outline text="テクノロジー" title="テクノロジー">');
+      expect(xml).toContain('text="A &amp; B"');
+      expect(xml).toContain('xmlUrl="https://c.example.com/rss?x=1&amp;y=2"');
+      expect(xml).toContain('text="&quot;D&quot;"');
+    });
+
+    it('正常系: 書き出したOPMLを読み込むと同じフィード一覧になる', async () => {
+      const result = await parseOPML(buildOPML(feeds));
+
+      expect(result.feeds).toEqual(expect.arrayContaining(feeds));
+      expect(result.feeds).toHaveLength(feeds.length);
+      expect(result.invalid).toEqual([]);
+    });
+  });
+
+  describe('partitionImportedFeeds', () => {
+    it('正常系: 登録済みのフィードとファイル内の重複を除外する', () => {
+      const imported = [
+        { url: 'https://a.example.com/rss', name: 'A' },
+        { url: 'https://b.example.com/rss', name: 'B' },
+        { url: 'https://b.example.com/rss', name: 'B (2)' }
+      ];
+      const existing = [{ url: 'https://a.example.com/rss', name: '既存A' }];
+
+      const { newFeeds, duplicates } = partitionImportedFeeds(imported, existing);
+
+      expect(newFeeds).toEqual([{ url: 'https://b.example.com/rss', name: 'B' }]);
+      expect(duplicates.map(feed => feed.name)).toEqual(['A', 'B (2)']);
+    });
+  });
+});
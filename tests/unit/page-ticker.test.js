@@ -0,0 +1,133 @@
+/**
+ * @jest-environment jsdom
+ */
+const PageTicker = require('../../src/page-ticker');
+const { dwellTime, typewriterText, TYPEWRITER_SPEED, nextPageIndex } = require('../../src/page-ticker');
+
+describe('page-ticker', () => {
+  describe('dwellTime', () => {
+    it('正常系: 基本の時間に見出しの文字数分を加える', () => {
+      expect(dwellTime('速報ニュース', { dwellTime: 3000, dwellPerChar: 80 })).toBe(3000 + 6 * 80);
+    });
+
+    it('正常系: 文字数はサロゲートペアを1文字として数える', () => {
+      expect(dwellTime('𠮷野家', { dwellTime: 1000, dwellPerChar: 100 })).toBe(1300);
+    });
+
+    it('正常系: 1文字あたりの時間が0なら文字数に関係なく一定', () => {
+      expect(dwellTime('とても長い見出しの記事', { dwellTime: 2000, dwellPerChar: 0 })).toBe(2000);
+    });
+  });
+
+  describe('typewriterText', () => {
+    it('正常系: 経過時間に応じた文字数だけ表示する', () => {
+      expect(typewriterText('ABCDEFGHIJ', 0)).toBe('');
+      expect(typewriterText('ABCDEFGHIJ', 100)).toBe('AB');
+      expect(typewriterText('ABCDEFGHIJ', 10000)).toBe('ABCDEFGHIJ');
+    });
+
+    it('正常系: サロゲートペアを途中で切らない', () => {
+      expect(typewriterText('𠮷野家', 50)).toBe('𠮷');
+    });
+
+    it('正常系: 文字数 ÷ 1秒あたりの文字数の時間で全文が表示される', () => {
+      const text = '新しいニュースが届きました';
+      const duration = text.length / TYPEWRITER_SPEED * 1000;
+
+      expect(typewriterText(text, duration)).toBe(text);
+      expect(typewriterText(text, duration - 50)).not.toBe(text);
+    });
+  });
+
+  describe('nextPageIndex', () => {
+    it('正常系: 表示中の記事の次を返し、最後の次は先頭に戻る', () => {
+      expect(nextPageIndex(['a', 'b', 'c'], 'a', 0)).toBe(1);
+      expect(nextPageIndex(['a', 'b', 'c'], 'c', 2)).toBe(0);
+    });
+
+    it('正常系: 記事が追加・並び替えされても表示中の記事の次を返す', () => {
+      expect(nextPageIndex(['new', 'a', 'b'], 'a', 0)).toBe(2);
+    });
+
+    it('正常系: 表示中の記事が無くなったらその位置に来た記事を返す', () => {
+      expect(nextPageIndex(['a', 'c'], 'b', 1)).toBe(1);
+      expect(nextPageIndex(['a', 'b'], 'c', 2)).toBe(0);
+    });
+
+    it('正常系: まだ何も表示していなければ先頭を返す', () => {
+      expect(nextPageIndex(['a', 'b'], null, -1)).toBe(0);
+    });
+
+    it('異常系: 記事が無ければ -1 を返す', () => {
+      expect(nextPageIndex([], 'a', 0)).toBe(-1);
+    });
+  });
+
+  describe('PageTicker の一時停止', () => {
+    let container;
+    let ticker;
+
+    const createElement = item => {
+      const element = document.createElement('span');
+      element.innerHTML = `<span class="title">${item.key}</span><span class="source">[テスト]</span>`;
+      return element;
+    };
+    const titleText = () => container.lastChild.querySelector('.title').textContent;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      container = document.createElement('div');
+      ticker = new PageTicker(container, { createElement, dwellTime: 1000, dwellPerChar: 0 });
+      ticker.setItems([{ key: 'ABCDEFGHIJ' }, { key: 'next' }]);
+    });
+
+    afterEach(() => {
+      ticker.stop();
+      jest.useRealTimers();
+    });
+
+    it('正常系: 一時停止中はタイプライター効果も止まり、再開すると続きから打つ', () => {
+      ticker.setOptions({ transition: 'typewriter' });
+      ticker.start();
+      jest.advanceTimersByTime(200);
+      const typed = titleText();
+
+      ticker.setPaused(true);
+      jest.advanceTimersByTime(5000);
+      expect(titleText()).toBe(typed);
+      expect(ticker.currentKey()).toBe('ABCDEFGHIJ');
+
+      ticker.setPaused(false);
+      jest.advanceTimersByTime(300);
+      expect(titleText()).toBe('ABCDEFGHIJ');
+    });
+
+    it('正常系: 表示時間は打ち終わってから数え、一時停止の時間を含めない', () => {
+      ticker.setOptions({ transition: 'typewriter' });
+      ticker.start();
+      // 10文字を打つのに500ms
+      jest.advanceTimersByTime(500);
+      ticker.setPaused(true);
+      jest.advanceTimersByTime(5000);
+      ticker.setPaused(false);
+
+      jest.advanceTimersByTime(999);
+      expect(ticker.currentKey()).toBe('ABCDEFGHIJ');
+      jest.advanceTimersByTime(1);
+      expect(ticker.currentKey()).toBe('next');
+    });
+
+    it('正常系: フリップでは一時停止した時点の残り時間から再開する', () => {
+      ticker.start();
+      jest.advanceTimersByTime(600);
+      ticker.setPaused(true);
+      jest.advanceTimersByTime(5000);
+      ticker.setPaused(false);
+
+      jest.advanceTimersByTime(399);
+      expect(ticker.currentKey()).toBe('ABCDEFGHIJ');
+      jest.advanceTimersByTime(1);
+      expect(ticker.currentKey()).toBe('next');
+    });
+  });
+});
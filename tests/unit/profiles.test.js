@@ -0,0 +1,77 @@
+const {
+  createProfile,
+  parseTime,
+  validateSchedule,
+  isInSchedule,
+  findScheduledProfile
+} = require('../../src/profiles');
+
+describe('profiles', () => {
+  describe('createProfile', () => {
+    it('正常系: フィード・表示設定・ウィンドウ位置をまとめて複製する', () => {
+      const feeds = [{ url: 'https://feed1.com', name: 'Feed 1', category: 'IT' }];
+      const profile = createProfile(' 仕事 ', {
+        feeds,
+        settings: { theme: 'matrix', scrollSpeed: 80, updateInterval: 60000, windowWidth: 800 },
+        bounds: { x: 10, y: 20, width: 800, height: 120 }
+      });
+
+      expect(profile).toEqual({
+        name: '仕事',
+        feeds: [{ url: 'https://feed1.com', name: 'Feed 1', category: 'IT' }],
+        settings: { theme: 'matrix', scrollSpeed: 80 },
+        bounds: { x: 10, y: 20, width: 800, height: 120 },
+        schedule: null
+      });
+      expect(profile.feeds[0]).not.toBe(feeds[0]);
+    });
+  });
+
+  describe('時間帯', () => {
+    it('正常系: HH:MM を分に変換する', () => {
+      expect(parseTime('9:30')).toBe(570);
+      expect(parseTime('23:59')).toBe(1439);
+    });
+
+    it('異常系: 不正な時刻はnullを返す', () => {
+      expect(parseTime('24:00')).toBeNull();
+      expect(parseTime('9時')).toBeNull();
+      expect(parseTime(undefined)).toBeNull();
+    });
+
+    it('異常系: 不正な時間帯はエラーメッセージを返す', () => {
+      expect(validateSchedule({ start: '09:00', end: '18:00' })).toBeNull();
+      expect(validateSchedule({ start: '09:00', end: '' })).toBe('時刻は HH:MM 形式で入力してください');
+      expect(validateSchedule({ start: '09:00', end: '9:00' })).toBe('開始時刻と終了時刻が同じです');
+    });
+
+    it('正常系: 開始時刻を含み終了時刻を含まない', () => {
+      const schedule = { start: '09:00', end: '18:00' };
+
+      expect(isInSchedule(schedule, new Date(2024, 0, 1, 9, 0))).toBe(true);
+      expect(isInSchedule(schedule, new Date(2024, 0, 1, 17, 59))).toBe(true);
+      expect(isInSchedule(schedule, new Date(2024, 0, 1, 18, 0))).toBe(false);
+    });
+
+    it('正常系: 日付をまたぐ時間帯に対応する', () => {
+      const schedule = { start: '22:00', end: '06:00' };
+
+      expect(isInSchedule(schedule, new Date(2024, 0, 1, 23, 0))).toBe(true);
+      expect(isInSchedule(schedule, new Date(2024, 0, 2, 5, 59))).toBe(true);
+      expect(isInSchedule(schedule, new Date(2024, 0, 2, 12, 0))).toBe(false);
+    });
+
+    it('正常系: 時間帯に含まれる最初のプロファイルを返す', () => {
+      const profiles = [
+        { name: '手動', schedule: null },
+        { name: '仕事', schedule: { start: '09:00', end: '18:00' } },
+        { name: '昼休み', schedule: { start: '12:00', end: '13:00' } },
+        { name: '自宅', schedule: { start: '18:00', end: '09:00' } }
+      ];
+
+      expect(findScheduledProfile(profiles, new Date(2024, 0, 1, 12, 30)).name).toBe('仕事');
+      expect(findScheduledProfile(profiles, new Date(2024, 0, 1, 20, 0)).name).toBe('自宅');
+      expect(findScheduledProfile(profiles.slice(0, 1), new Date(2024, 0, 1, 20, 0))).toBeNull();
+    });
+  });
+});
@@ -1,3 +1,5 @@
+const fs = require('fs');
+const path = require('path');
 const RSSManager = require('../../src/rss-manager');
 const Parser = require('rss-parser');
 
@@ -6,16 +8,20 @@ jest.mock('rss-parser');
 describe('RSSManager', () => {
   let rssManager;
   let mockParseURL;
+  const originalFetch = global.fetch;
 
   beforeEach(() => {
     mockParseURL = jest.fn();
+    // fetchのレスポンス本文にURLを入れ、parseStringはURLごとの解析結果(mockParseURL)を返す
+    global.fetch = jest.fn(async (url) => new Response(url, { status: 200 }));
     Parser.mockImplementation(() => ({
-      parseURL: mockParseURL
+      parseString: (body) => mockParseURL(body)
     }));
     rssManager = new RSSManager();
   });
 
   afterEach(() => {
+    global.fetch = originalFetch;
     jest.clearAllMocks();
   });
 
@@ -46,10 +52,19 @@ describe('RSSManager', () => {
       expect(result.success).toBe(true);
       expect(result.articles).toHaveLength(2);
       expect(result.articles[0]).toEqual({
+        id: expect.stringMatching(/^[0-9a-f]{16}$/),
         title: 'Test Article 1',
         link: 'https://example.com/article1',
-        pubDate: '2023-12-01T00:00:00Z',
+        summary: '',
+        author: '',
+        categories: [],
+        enclosure: null,
+        thumbnail: null,
+        pubDate: '2023-12-01T00:00:00.000Z',
+        updated: null,
         source: 'Test Feed',
+        sources: ['Test Feed'],
+        feedUrls: ['https://example.com/feed.xml'],
         guid: 'guid1'
       });
     });
@@ -100,6 +115,17 @@ describe('RSSManager', () => {
       expect(result.articles[0].pubDate).toBeTruthy();
       expect(result.articles[0].guid).toBeTruthy();
     });
+
+    it('正常系: guidやリンクが無くても更新ごとに同じIDになる', async () => {
+      const mockFeed = { items: [{ title: 'No Guid', content: '本文' }] };
+      mockParseURL.mockResolvedValue(mockFeed);
+
+      const first = await rssManager.fetchRSSFeed('https://example.com/feed.xml', 'Test Feed');
+      const second = await rssManager.fetchRSSFeed('https://example.com/feed.xml', 'Test Feed', 10, true);
+
+      expect(first.articles[0].id).toBe(second.articles[0].id);
+      expect(first.articles[0].guid).toBe(second.articles[0].guid);
+    });
   });
 
   describe('fetchAllFeeds', () => {
@@ -146,9 +172,713 @@ describe('RSSManager', () => {
       expect(result.errors).toHaveLength(1);
       expect(result.errors[0]).toEqual({
         feed: 'Feed 2',
+        url: 'https://feed2.com',
+        type: 'parse',
         error: 'Feed error'
       });
     });
+
+    it('正常系: 同時取得数の上限を守って並列に取得する', async () => {
+      rssManager.setOptions({ concurrency: 2 });
+      ['1', '2', '3', '4', '5'].forEach(n => rssManager.addFeed(`https://feed${n}.com`, `Feed ${n}`));
+
+      let active = 0;
+      let maxActive = 0;
+      mockParseURL.mockImplementation(async (url) => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+        return { items: [{ title: url, link: url, pubDate: '2023-12-01', guid: url }] };
+      });
+
+      const result = await rssManager.fetchAllFeeds();
+
+      expect(mockParseURL).toHaveBeenCalledTimes(5);
+      expect(maxActive).toBe(2);
+      expect(result.articles).toHaveLength(5);
+    });
+
+    it('異常系: タイムアウトしたフィードと解析に失敗したフィードを区別する', async () => {
+      rssManager.setOptions({ feedTimeout: 20 });
+      rssManager.addFeed('https://slow.com', 'Slow Feed');
+      rssManager.addFeed('https://broken.com', 'Broken Feed');
+      rssManager.addFeed('https://ok.com', 'OK Feed');
+
+      mockParseURL.mockImplementation((url) => {
+        if (url === 'https://slow.com') {
+          return new Promise(resolve => setTimeout(() => resolve({ items: [] }), 200));
+        }
+        if (url === 'https://broken.com') {
+          return Promise.reject(new Error('Unable to parse XML.'));
+        }
+        return Promise.resolve({ items: [{ title: 'OK', link: 'ok', pubDate: '2023-12-01', guid: 'ok' }] });
+      });
+
+      const result = await rssManager.fetchAllFeeds();
+
+      expect(result.articles).toHaveLength(1);
+      expect(result.errors).toEqual([
+        expect.objectContaining({ feed: 'Slow Feed', type: 'timeout' }),
+        expect.objectContaining({ feed: 'Broken Feed', type: 'parse' })
+      ]);
+    });
+
+    it('異常系: タイムアウトしたフィードのリクエストを中断する', async () => {
+      rssManager.setOptions({ feedTimeout: 20 });
+      rssManager.addFeed('https://slow.com', 'Slow Feed');
+      let signal;
+      global.fetch = jest.fn((url, options) => {
+        signal = options.signal;
+        return new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => reject(signal.reason));
+        });
+      });
+
+      const result = await rssManager.fetchRSSFeed('https://slow.com', 'Slow Feed');
+
+      expect(signal.aborted).toBe(true);
+      expect(result).toEqual(expect.objectContaining({ success: false, errorType: 'timeout' }));
+    });
+
+    it('異常系: HTTPエラーとネットワークエラーを分類する', async () => {
+      rssManager.addFeed('https://missing.com', 'Missing Feed');
+      rssManager.addFeed('https://offline.com', 'Offline Feed');
+
+      const networkError = new Error('getaddrinfo ENOTFOUND offline.com');
+      networkError.code = 'ENOTFOUND';
+      mockParseURL
+        .mockRejectedValueOnce(new Error('Status code 404'))
+        .mockRejectedValueOnce(networkError);
+
+      const result = await rssManager.fetchAllFeeds();
+
+      expect(result.errors.map(e => e.type)).toEqual(['http', 'network']);
+    });
+  });
+
+  describe('フィード形式の正規化', () => {
+    const fixtureDir = path.join(__dirname, '../fixtures/feeds');
+
+    // フィクスチャファイルを返すfetchと実際のrss-parserで解析する
+    const fetchFixture = async (fileName, contentType) => {
+      const ActualParser = jest.requireActual('rss-parser');
+      Parser.mockImplementation((options) => new ActualParser(options));
+      global.fetch.mockResolvedValueOnce(new Response(fs.readFileSync(path.join(fixtureDir, fileName)), {
+        status: 200,
+        headers: { 'Content-Type': contentType }
+      }));
+      rssManager = new RSSManager();
+      return rssManager.fetchRSSFeed(`https://example.com/${fileName}`, 'Fixture');
+    };
+
+    it('正常系: RSS 2.0 の要約・著者・カテゴリ・サムネイル・エンクロージャを取り出す', async () => {
+      const result = await fetchFixture('rss2.xml', 'application/rss+xml; charset=UTF-8');
+
+      expect(result.success).toBe(true);
+      expect(result.feedTitle).toBe('テストRSS 2.0');
+      expect(result.articles[0]).toMatchObject({
+        title: '新型ロケットの打ち上げに成功',
+        link: 'https://example.com/news/rocket',
+        guid: 'rocket-20231201',
+        summary: '宇宙開発機構は新型ロケットの打ち上げに成功したと発表した。',
+        author: '科学部',
+        categories: ['科学', '宇宙'],
+        thumbnail: 'https://example.com/img/rocket.jpg',
+        pubDate: '2023-12-01T00:00:00.000Z'
+      });
+      expect(result.articles[1].enclosure).toEqual({
+        url: 'https://example.com/podcast/10.mp3',
+        type: 'audio/mpeg',
+        length: 123456
+      });
+      expect(result.articles[1].guid).toBe('https://example.com/podcast/10');
+    });
+
+    it('正常系: Atom の id・更新日時・著者・カテゴリを取り出す', async () => {
+      const result = await fetchFixture('atom.xml', 'application/atom+xml');
+
+      expect(result.feedTitle).toBe('テストAtom');
+      expect(result.articles[0]).toMatchObject({
+        guid: 'tag:atom.example.com,2023:entry-1',
+        title: 'Atom形式の記事',
+        link: 'https://atom.example.com/entries/1',
+        summary: 'Atomフィードの要約です。',
+        author: '山田太郎',
+        categories: ['テクノロジー', 'AI'],
+        thumbnail: 'https://atom.example.com/entries/1.png',
+        pubDate: '2023-12-02T10:00:00.000Z',
+        updated: '2023-12-02T11:30:00.000Z'
+      });
+      expect(result.articles[1]).toMatchObject({
+        summary: '本文のみの記事',
+        pubDate: '2023-12-01T08:00:00.000Z',
+        updated: '2023-12-01T08:00:00.000Z'
+      });
+    });
+
+    it('正常系: RDF (RSS 1.0) の dc:date と dc:subject を取り出す', async () => {
+      const result = await fetchFixture('rdf.xml', 'application/rdf+xml');
+
+      expect(result.feedTitle).toBe('テストRDF');
+      expect(result.articles[0]).toMatchObject({
+        guid: 'https://rdf.example.com/archives/100.html',
+        title: 'RDF形式の記事',
+        summary: 'RSS 1.0 の記事説明',
+        author: '管理人',
+        categories: ['セキュリティ'],
+        pubDate: '2023-11-29T12:15:00.000Z'
+      });
+    });
+
+    it('正常系: JSON Feed 1.1 を解析して正規化する', async () => {
+      const result = await fetchFixture('jsonfeed.json', 'application/feed+json');
+
+      expect(result.feedTitle).toBe('テストJSON Feed');
+      expect(result.articles[0]).toMatchObject({
+        guid: '2023-12-03-json',
+        title: 'JSON Feed形式の記事',
+        link: 'https://json.example.com/2023/12/03/json',
+        summary: 'JSON Feedの要約',
+        author: '佐藤花子, 鈴木一郎',
+        categories: ['ウェブ', 'JSON'],
+        thumbnail: 'https://json.example.com/img/cover.png',
+        enclosure: {
+          url: 'https://json.example.com/audio/ep1.m4a',
+          type: 'audio/x-m4a',
+          length: 89970236
+        },
+        pubDate: '2023-12-02T22:00:00.000Z',
+        updated: '2023-12-02T23:00:00.000Z'
+      });
+      expect(result.articles[1]).toMatchObject({
+        guid: '42',
+        title: 'タイトルなし',
+        link: 'https://other.example.com/article',
+        summary: 'タイトルの無い短い投稿'
+      });
+    });
+
+    it('異常系: JSON Feed ではないJSONはエラーになる', async () => {
+      global.fetch.mockResolvedValueOnce(new Response('{"foo": 1}', {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      }));
+
+      const result = await rssManager.fetchRSSFeed('https://example.com/data.json', 'JSON');
+
+      expect(result.success).toBe(false);
+      expect(result.errorType).toBe('parse');
+    });
+  });
+
+  describe('条件付きリクエストとキャッシュ', () => {
+    const feedUrl = 'https://example.com/feed.xml';
+    const feed = { title: 'Cached Feed', items: [{ title: 'Cached', link: 'cached', pubDate: '2023-12-01', guid: 'c1' }] };
+
+    it('正常系: ETag/Last-Modifiedを保存して次回のリクエストで送信する', async () => {
+      global.fetch.mockResolvedValueOnce(new Response(feedUrl, {
+        status: 200,
+        headers: { 'ETag': '"v1"', 'Last-Modified': 'Fri, 01 Dec 2023 00:00:00 GMT' }
+      }));
+      mockParseURL.mockResolvedValue(feed);
+
+      await rssManager.fetchRSSFeed(feedUrl, 'Test Feed');
+      await rssManager.fetchRSSFeed(feedUrl, 'Test Feed');
+
+      const headers = global.fetch.mock.calls[1][1].headers;
+      expect(headers['If-None-Match']).toBe('"v1"');
+      expect(headers['If-Modified-Since']).toBe('Fri, 01 Dec 2023 00:00:00 GMT');
+    });
+
+    it('正常系: 304の場合はキャッシュした記事を再利用する', async () => {
+      global.fetch
+        .mockResolvedValueOnce(new Response(feedUrl, { status: 200, headers: { 'ETag': '"v1"' } }))
+        .mockResolvedValueOnce(new Response(null, { status: 304 }));
+      mockParseURL.mockResolvedValue(feed);
+
+      await rssManager.fetchRSSFeed(feedUrl, 'Test Feed');
+      const result = await rssManager.fetchRSSFeed(feedUrl, 'Test Feed');
+
+      expect(result.success).toBe(true);
+      expect(result.fromCache).toBe(true);
+      expect(result.articles[0].title).toBe('Cached');
+      expect(mockParseURL).toHaveBeenCalledTimes(1);
+    });
+
+    it('正常系: Cache-Control max-age の期間内は再取得しない', async () => {
+      global.fetch.mockResolvedValueOnce(new Response(feedUrl, {
+        status: 200,
+        headers: { 'Cache-Control': 'public, max-age=600' }
+      }));
+      mockParseURL.mockResolvedValue(feed);
+
+      await rssManager.fetchRSSFeed(feedUrl, 'Test Feed');
+      const result = await rssManager.fetchRSSFeed(feedUrl, 'Test Feed');
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(result.fromCache).toBe(true);
+    });
+
+    it('正常系: RSSの<ttl>の期間内は再取得しないが force 指定時は再検証する', async () => {
+      mockParseURL.mockResolvedValue({ ...feed, ttl: '30' });
+      rssManager.addFeed(feedUrl, 'Test Feed');
+
+      await rssManager.fetchAllFeeds();
+      await rssManager.fetchAllFeeds();
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+
+      await rssManager.fetchAllFeeds({ force: true });
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('異常系: HTTPエラーのステータスはエラーとして扱う', async () => {
+      global.fetch.mockResolvedValueOnce(new Response('Not Found', { status: 404 }));
+
+      const result = await rssManager.fetchRSSFeed(feedUrl, 'Test Feed');
+
+      expect(result.success).toBe(false);
+      expect(result.errorType).toBe('http');
+    });
+
+    it('正常系: フィード削除時にキャッシュも破棄する', async () => {
+      global.fetch.mockResolvedValueOnce(new Response(feedUrl, { status: 200, headers: { 'ETag': '"v1"' } }));
+      mockParseURL.mockResolvedValue(feed);
+      rssManager.addFeed(feedUrl, 'Test Feed');
+
+      await rssManager.fetchAllFeeds();
+      rssManager.removeFeed(feedUrl);
+
+      expect(rssManager.fetcher.cache.has(feedUrl)).toBe(false);
+    });
+  });
+
+  describe('フィード単位の更新', () => {
+    it('正常系: 指定したフィードだけを取得し、他のフィードの記事と統合する', async () => {
+      rssManager.addFeed('https://feed1.com', 'Feed 1');
+      rssManager.addFeed('https://feed2.com', 'Feed 2', { updateInterval: 60000 });
+      mockParseURL.mockImplementation(async (url) => ({
+        items: [{ title: `${url} 初回`, guid: `${url}-1`, pubDate: '2024-01-01T00:00:00Z' }]
+      }));
+      await rssManager.fetchAllFeeds();
+
+      global.fetch.mockClear();
+      mockParseURL.mockImplementation(async (url) => ({
+        items: [{ title: `${url} 2回目`, guid: `${url}-2`, pubDate: '2024-01-02T00:00:00Z' }]
+      }));
+      const result = await rssManager.fetchAllFeeds({ feedUrls: ['https://feed2.com'] });
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(result.articles.map(a => a.title)).toEqual(['https://feed2.com 2回目', 'https://feed1.com 初回']);
+      expect(rssManager.getFeed('https://feed2.com').updateInterval).toBe(60000);
+    });
+
+    it('正常系: 統合を繰り返しても重複記事の掲載元が積み重ならない', async () => {
+      rssManager.addFeed('https://feed1.com', 'Feed 1');
+      rssManager.addFeed('https://feed2.com', 'Feed 2');
+      mockParseURL.mockResolvedValue({ items: [{ title: '同じ記事', link: 'https://example.com/a', guid: 'a' }] });
+      await rssManager.fetchAllFeeds();
+
+      // 取得に失敗したフィードも直近の記事で統合し直す
+      mockParseURL.mockRejectedValue(new Error('Unable to parse XML.'));
+      await rssManager.fetchAllFeeds({ feedUrls: ['https://feed2.com'] });
+      const result = await rssManager.fetchAllFeeds({ feedUrls: ['https://feed2.com'], force: true });
+
+      expect(result.articles).toHaveLength(1);
+      expect(result.articles[0].sources).toEqual(['Feed 1', 'Feed 2']);
+      expect(result.articles[0].source).toBe('Feed 1 / Feed 2');
+    });
+  });
+
+  describe('記事選択', () => {
+    const makeItems = (prefix, count, baseDate) => Array(count).fill(null).map((_, i) => ({
+      title: `${prefix} ${i + 1}`,
+      link: `https://example.com/${prefix}/${i + 1}`,
+      pubDate: new Date(baseDate - i * 60000).toISOString(),
+      guid: `${prefix}-${i + 1}`
+    }));
+
+    it('正常系: フィード個別の記事数上限を適用する', async () => {
+      rssManager.addFeed('https://feed1.com', 'Feed 1', { maxItems: 3 });
+      mockParseURL.mockResolvedValue({ items: makeItems('a', 8, Date.now()) });
+
+      const result = await rssManager.fetchAllFeeds();
+
+      expect(result.articles).toHaveLength(3);
+      expect(rssManager.getFeeds()[0].maxItems).toBe(3);
+    });
+
+    it('正常系: maxArticlesで記事の総数を制限する', async () => {
+      rssManager.setOptions({ maxArticles: 5 });
+      rssManager.addFeed('https://feed1.com', 'Feed 1');
+      rssManager.addFeed('https://feed2.com', 'Feed 2');
+      mockParseURL
+        .mockResolvedValueOnce({ items: makeItems('a', 10, Date.now()) })
+        .mockResolvedValueOnce({ items: makeItems('b', 10, Date.now() - 30000) });
+
+      const result = await rssManager.fetchAllFeeds();
+
+      expect(result.articles).toHaveLength(5);
+      expect(result.articles[0].title).toBe('a 1');
+    });
+
+    it('正常系: interleaveモードでは各フィードから交互に選択する', async () => {
+      rssManager.setOptions({ maxArticles: 4, articleOrder: 'interleave' });
+      rssManager.addFeed('https://feed1.com', 'Feed 1');
+      rssManager.addFeed('https://feed2.com', 'Feed 2');
+      mockParseURL
+        .mockResolvedValueOnce({ items: makeItems('a', 10, Date.now()) })
+        .mockResolvedValueOnce({ items: makeItems('b', 2, Date.now() - 3600000) });
+
+      const result = await rssManager.fetchAllFeeds();
+
+      expect(result.articles.map(a => a.title)).toEqual(['a 1', 'b 1', 'a 2', 'b 2']);
+    });
+
+    it('正常系: interleaveモードで記事が尽きたフィードはスキップする', () => {
+      rssManager.setOptions({ maxArticles: 10, articleOrder: 'interleave' });
+      const now = Date.now();
+
+      const selected = rssManager.selectArticles([
+        makeItems('a', 3, now),
+        makeItems('b', 1, now)
+      ]);
+
+      expect(selected.map(a => a.title)).toEqual(['a 1', 'b 1', 'a 2', 'a 3']);
+    });
+
+    it('正常系: 未知のオプションや空の値は無視する', () => {
+      const options = rssManager.setOptions({ maxArticles: null, unknown: 1 });
+
+      expect(options.maxArticles).toBe(20);
+      expect(options).not.toHaveProperty('unknown');
+    });
+  });
+
+  describe('重複記事の統合', () => {
+    it('正常系: 複数フィードの同じ記事を1件にまとめてソースを併記する', async () => {
+      rssManager.addFeed('https://rss.itmedia.co.jp/all.xml', 'ITmedia全記事');
+      rssManager.addFeed('https://rss.itmedia.co.jp/news.xml', 'ITmediaニュース');
+
+      mockParseURL
+        .mockResolvedValueOnce({
+          items: [{ title: '新型iPhoneを発表', link: 'https://www.itmedia.co.jp/news/1.html?utm_source=all', pubDate: '2023-12-02', guid: 'all-1' }]
+        })
+        .mockResolvedValueOnce({
+          items: [
+            { title: '新型iPhoneを発表', link: 'https://www.itmedia.co.jp/news/1.html?utm_source=news', pubDate: '2023-12-02', guid: 'news-1' },
+            { title: '別のニュース', link: 'https://www.itmedia.co.jp/news/2.html', pubDate: '2023-12-01', guid: 'news-2' }
+          ]
+        });
+
+      const result = await rssManager.fetchAllFeeds();
+
+      expect(result.articles).toHaveLength(2);
+      expect(result.articles[0].source).toBe('ITmedia全記事 / ITmediaニュース');
+      expect(result.articles[0].sources).toEqual(['ITmedia全記事', 'ITmediaニュース']);
+    });
+
+    it('正常系: deduplicateを無効にすると重複をまとめない', async () => {
+      rssManager.setOptions({ deduplicate: false });
+      rssManager.addFeed('https://feed1.com', 'Feed 1');
+      rssManager.addFeed('https://feed2.com', 'Feed 2');
+      mockParseURL.mockResolvedValue({
+        items: [{ title: '同じ記事', link: 'https://example.com/same', pubDate: '2023-12-01' }]
+      });
+
+      const result = await rssManager.fetchAllFeeds();
+
+      expect(result.articles).toHaveLength(2);
+    });
+  });
+
+  describe('キーワードフィルター', () => {
+    const items = [
+      { title: '【PR】セール開催中', link: 'https://example.com/pr', pubDate: '2023-12-03' },
+      { title: '新製品を発表', link: 'https://example.com/new', pubDate: '2023-12-02' },
+      { title: '決算を発表', link: 'https://example.com/ir', pubDate: '2023-12-01' }
+    ];
+
+    it('正常系: 除外された記事は表示枠を消費しない', async () => {
+      rssManager.setOptions({ maxArticles: 2 });
+      rssManager.setFilterRules([{ type: 'exclude', pattern: 'PR' }]);
+      rssManager.addFeed('https://feed1.com', 'Feed 1');
+      mockParseURL.mockResolvedValue({ items });
+
+      const result = await rssManager.fetchAllFeeds();
+
+      expect(result.articles.map(a => a.title)).toEqual(['新製品を発表', '決算を発表']);
+      expect(result.hiddenCount).toBe(1);
+    });
+
+    it('正常系: 直近の記事に対して下書きのルールをプレビューできる', async () => {
+      rssManager.addFeed('https://feed1.com', 'Feed 1');
+      mockParseURL.mockResolvedValue({ items });
+      await rssManager.fetchAllFeeds();
+
+      const preview = rssManager.previewFilters([{ type: 'exclude', pattern: '発表' }]);
+
+      expect(preview.total).toBe(3);
+      expect(preview.hidden.map(h => h.article.title)).toEqual(['新製品を発表', '決算を発表']);
+      expect(rssManager.getArticles()).toHaveLength(3);
+    });
+  });
+
+  describe('フィードの取得状況', () => {
+    it('正常系: 取得結果をフィードごとに記録する', async () => {
+      rssManager.addFeed('https://ok.com', 'OK Feed');
+      rssManager.addFeed('https://broken.com', 'Broken Feed');
+      mockParseURL.mockImplementation(async (url) => {
+        if (url === 'https://broken.com') throw new Error('Unable to parse XML.');
+        return { items: [{ title: 'A', guid: 'a' }, { title: 'B', guid: 'b' }] };
+      });
+
+      await rssManager.fetchAllFeeds();
+      const health = rssManager.getFeedHealth();
+
+      expect(Object.keys(health)).toEqual(['https://ok.com', 'https://broken.com']);
+      expect(health['https://ok.com']).toEqual(expect.objectContaining({
+        status: 'ok',
+        itemCount: 2,
+        responseTime: expect.any(Number),
+        consecutiveFailures: 0
+      }));
+      expect(health['https://broken.com']).toEqual(expect.objectContaining({
+        status: 'error',
+        lastError: 'Unable to parse XML.',
+        lastErrorType: 'parse',
+        consecutiveFailures: 1
+      }));
+    });
+
+    it('異常系: 失敗し続けているフィードをティッカー用の項目に変換する', async () => {
+      rssManager.addFeed('https://broken.com', 'Broken Feed');
+      rssManager.addFeed('https://ok.com', 'OK Feed');
+      mockParseURL.mockImplementation(async (url) => {
+        if (url === 'https://broken.com') throw new Error('Status code 503');
+        return { items: [] };
+      });
+
+      await rssManager.fetchAllFeeds();
+      await rssManager.fetchAllFeeds({ force: true });
+
+      expect(rssManager.getFeedErrorArticles(60 * 60 * 1000)).toEqual([]);
+
+      const items = rssManager.getFeedErrorArticles(0);
+      expect(items).toHaveLength(1);
+      expect(items[0]).toEqual(expect.objectContaining({
+        id: 'feed-error:https://broken.com',
+        title: 'Broken Feed の取得に2回連続で失敗しています（HTTPエラー）',
+        source: 'フィードエラー',
+        feedUrls: ['https://broken.com'],
+        feedError: true
+      }));
+    });
+
+    it('異常系: 失敗したフィードはバックオフ中の更新では取得しない', async () => {
+      rssManager.addFeed('https://broken.com', 'Broken Feed');
+      rssManager.addFeed('https://ok.com', 'OK Feed');
+      mockParseURL.mockImplementation(async (url) => {
+        if (url === 'https://broken.com') throw new Error('Status code 500');
+        return { items: [] };
+      });
+
+      await rssManager.fetchAllFeeds();
+      await rssManager.fetchAllFeeds();
+
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+      expect(global.fetch).not.toHaveBeenLastCalledWith('https://broken.com', expect.anything());
+
+      // 手動更新（force）ではバックオフを待たずに再試行する
+      const result = await rssManager.fetchAllFeeds({ force: true });
+      expect(result.errors).toEqual([expect.objectContaining({ url: 'https://broken.com' })]);
+    });
+
+    it('異常系: 連続で失敗したフィードを自動停止し、再開できる', async () => {
+      rssManager.setOptions({ suspendAfterFailures: 3 });
+      rssManager.addFeed('https://broken.com', 'Broken Feed');
+      mockParseURL.mockRejectedValue(new Error('Unable to parse XML.'));
+
+      const results = [];
+      for (let i = 0; i < 3; i++) {
+        results.push(await rssManager.fetchAllFeeds({ force: true }));
+      }
+
+      expect(results[1].suspended).toEqual([]);
+      expect(results[2].suspended).toEqual([{ feed: 'Broken Feed', url: 'https://broken.com', failures: 3 }]);
+      expect(rssManager.getFeed('https://broken.com').suspended).toBe(true);
+      expect(rssManager.getFeedErrorArticles(0)[0].title).toBe('Broken Feed は3回連続で失敗したため更新を停止しました（解析エラー）');
+
+      global.fetch.mockClear();
+      await rssManager.fetchAllFeeds({ force: true });
+      expect(global.fetch).not.toHaveBeenCalled();
+
+      expect(rssManager.resumeFeed('https://broken.com')).toBe(true);
+      expect(rssManager.getFeed('https://broken.com').suspended).toBeUndefined();
+      expect(rssManager.getFeedHealth()['https://broken.com'].consecutiveFailures).toBe(0);
+      expect(rssManager.resumeFeed('https://broken.com')).toBe(false);
+    });
+
+    it('異常系: 取得に失敗したフィードは直近の記事を表示し続け、停止したら取り除く', async () => {
+      rssManager.setOptions({ suspendAfterFailures: 2 });
+      rssManager.addFeed('https://flaky.com', 'Flaky Feed');
+      rssManager.addFeed('https://ok.com', 'OK Feed');
+      mockParseURL.mockImplementation(async (url) => ({ items: [{ title: url, guid: url }] }));
+      await rssManager.fetchAllFeeds();
+
+      mockParseURL.mockImplementation(async (url) => {
+        if (url === 'https://flaky.com') throw new Error('Status code 503');
+        return { items: [{ title: url, guid: url }] };
+      });
+      const failed = await rssManager.fetchAllFeeds({ force: true });
+      expect(failed.errors).toEqual([expect.objectContaining({ url: 'https://flaky.com' })]);
+      expect(failed.articles.map(a => a.title).sort()).toEqual(['https://flaky.com', 'https://ok.com']);
+
+      const suspended = await rssManager.fetchAllFeeds({ force: true });
+      expect(suspended.suspended).toEqual([expect.objectContaining({ url: 'https://flaky.com' })]);
+      expect(suspended.articles.map(a => a.title)).toEqual(['https://ok.com']);
+    });
+
+    it('正常系: 無効にしたフィードの記事を取り除く', async () => {
+      rssManager.addFeed('https://feed1.com', 'Feed 1');
+      rssManager.addFeed('https://feed2.com', 'Feed 2');
+      mockParseURL.mockImplementation(async (url) => ({ items: [{ title: url, guid: url }] }));
+      await rssManager.fetchAllFeeds();
+
+      rssManager.updateFeed('https://feed1.com', { disabled: true });
+      rssManager.updateFeed('https://feed1.com', { disabled: false });
+
+      expect(rssManager.rebuildArticles().articles.map(a => a.title)).toEqual(['https://feed2.com']);
+    });
+
+    it('正常系: 保存された停止状態を復元できる', () => {
+      rssManager.addFeed('https://broken.com', 'Broken Feed', { suspended: true });
+
+      expect(rssManager.getFeed('https://broken.com').suspended).toBe(true);
+    });
+
+    it('正常系: フィードを削除すると取得状況も削除される', async () => {
+      rssManager.addFeed('https://feed1.com', 'Feed 1');
+      rssManager.addFeed('https://feed2.com', 'Feed 2');
+      mockParseURL.mockResolvedValue({ items: [] });
+      await rssManager.fetchAllFeeds();
+
+      rssManager.removeFeed('https://feed1.com');
+      rssManager.addFeed('https://feed1.com', 'Feed 1');
+
+      expect(rssManager.getFeedHealth()['https://feed1.com'].status).toBe('unknown');
+    });
+  });
+
+  describe('フィードの検証と自動検出', () => {
+    const htmlResponse = (body) => new Response(body, {
+      status: 200,
+      headers: { 'Content-Type': 'text/html; charset=UTF-8' }
+    });
+
+    it('正常系: フィードURLを取得・解析してタイトルと記事数を返す', async () => {
+      mockParseURL.mockResolvedValue({ title: ' Example News ', items: [{ title: 'A' }, { title: 'B' }] });
+
+      const result = await rssManager.validateFeed('https://example.com/feed.xml');
+
+      expect(result).toEqual({
+        success: true,
+        url: 'https://example.com/feed.xml',
+        title: 'Example News',
+        itemCount: 2,
+        discovered: false
+      });
+    });
+
+    it('正常系: HTMLページのlink要素からフィードを検出する', async () => {
+      global.fetch = jest.fn(async (url) => url === 'https://example.com/'
+        ? htmlResponse('<head><link rel="alternate" type="application/rss+xml" title="Example" href="/broken.xml"><link rel="alternate" type="application/atom+xml" title="Example Atom" href="/atom.xml"></head>')
+        : new Response(url, { status: 200 }));
+      mockParseURL.mockImplementation(async (body) => {
+        if (body.includes('broken')) throw new Error('Non-whitespace before first tag.');
+        return { title: '', items: [] };
+      });
+
+      const result = await rssManager.validateFeed('https://example.com/');
+
+      expect(result).toEqual({
+        success: true,
+        url: 'https://example.com/atom.xml',
+        title: 'Example Atom',
+        itemCount: 0,
+        discovered: true
+      });
+    });
+
+    it('正常系: 複数のフィードを同時取得数の上限を守って入力順に検証する', async () => {
+      rssManager.setOptions({ concurrency: 2 });
+      let active = 0;
+      let maxActive = 0;
+      mockParseURL.mockImplementation(async (body) => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+        if (body.includes('dead')) throw new Error('Non-whitespace before first tag.');
+        return { title: body, items: [] };
+      });
+
+      const results = await rssManager.validateFeeds([
+        'https://a.example.com/rss',
+        'https://dead.example.com/rss',
+        'https://c.example.com/rss'
+      ]);
+
+      expect(results.map(result => result.success)).toEqual([true, false, true]);
+      expect(results[0].url).toBe('https://a.example.com/rss');
+      expect(maxActive).toBeLessThanOrEqual(2);
+    });
+
+    it('異常系: フィードの無いHTMLページはnot-foundを返す', async () => {
+      global.fetch = jest.fn(async () => htmlResponse('<html><head></head></html>'));
+
+      const result = await rssManager.validateFeed('https://example.com/');
+
+      expect(result).toEqual({
+        success: false,
+        error: { type: 'not-found', message: 'ページ内にフィードが見つかりませんでした' }
+      });
+    });
+
+    it('異常系: 不正なURL・登録済みのフィードは取得せずに拒否する', async () => {
+      rssManager.addFeed('https://example.com/feed.xml', 'Example');
+
+      expect((await rssManager.validateFeed('example.com')).error.type).toBe('invalid-url');
+      expect((await rssManager.validateFeed('https://example.com/feed.xml')).error.type).toBe('duplicate');
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('異常系: 検出したフィードが登録済みの場合はduplicateを返す', async () => {
+      rssManager.addFeed('https://example.com/rss.xml', 'Example');
+      global.fetch = jest.fn(async () => htmlResponse('<link rel="alternate" type="application/rss+xml" href="/rss.xml">'));
+
+      const result = await rssManager.validateFeed('https://example.com/');
+
+      expect(result.error.type).toBe('duplicate');
+    });
+
+    it('異常系: 取得・解析の失敗を種類付きのエラーで返す', async () => {
+      global.fetch = jest.fn(async () => new Response('', { status: 404 }));
+      const httpError = await rssManager.validateFeed('https://example.com/missing.xml');
+
+      global.fetch = jest.fn(async () => {
+        throw new TypeError('fetch failed', { cause: { code: 'ENOTFOUND' } });
+      });
+      const networkError = await rssManager.validateFeed('https://unknown.example/feed.xml');
+
+      global.fetch = jest.fn(async (url) => new Response(url, { status: 200 }));
+      mockParseURL.mockRejectedValue(new Error('Unable to parse XML.'));
+      const parseError = await rssManager.validateFeed('https://example.com/not-a-feed.txt');
+
+      expect(httpError.error).toEqual({ type: 'http', message: 'サーバーがエラーを返しました (Status code 404)' });
+      expect(networkError.error.type).toBe('network');
+      expect(parseError.error.type).toBe('parse');
+    });
   });
 
   describe('フィード管理機能', () => {
@@ -170,6 +900,50 @@ describe('RSSManager', () => {
       expect(rssManager.getFeeds()).toHaveLength(1);
     });
 
+    it('正常系: カテゴリ付きでフィードを追加し、URLで取得できる', () => {
+      rssManager.addFeed('https://example.com/feed', 'Example Feed', { category: 'テクノロジー' });
+
+      expect(rssManager.getFeed('https://example.com/feed')).toEqual({
+        url: 'https://example.com/feed',
+        name: 'Example Feed',
+        category: 'テクノロジー'
+      });
+      expect(rssManager.getFeed('https://nonexistent.com/feed')).toBeNull();
+    });
+
+    it('正常系: フィード一覧を置き換えても残るフィードの記事は保持する', async () => {
+      rssManager.addFeed('https://keep.com', 'Keep');
+      rssManager.addFeed('https://drop.com', 'Drop');
+      mockParseURL.mockImplementation(async (url) => ({ items: [{ title: url, guid: url }] }));
+      await rssManager.fetchAllFeeds();
+
+      rssManager.setFeeds([
+        { url: 'https://new.com', name: 'New', category: 'IT' },
+        { url: 'https://keep.com', name: 'Keep' }
+      ]);
+
+      expect(rssManager.getFeeds()).toEqual([
+        { url: 'https://new.com', name: 'New', category: 'IT' },
+        { url: 'https://keep.com', name: 'Keep' }
+      ]);
+      expect(rssManager.rebuildArticles().articles.map(a => a.title)).toEqual(['https://keep.com']);
+    });
+
+    it('正常系: フィード一覧を置き換えると取得が必要なフィードを返す', async () => {
+      rssManager.addFeed('https://keep.com', 'Keep');
+      rssManager.addFeed('https://resize.com', 'Resize');
+      mockParseURL.mockImplementation(async (url) => ({ items: [{ title: url, guid: url }] }));
+      await rssManager.fetchAllFeeds();
+
+      const feedUrls = rssManager.setFeeds([
+        { url: 'https://keep.com', name: 'Keep 改', category: 'IT' },
+        { url: 'https://resize.com', name: 'Resize', maxItems: 3 },
+        { url: 'https://new.com', name: 'New' }
+      ]);
+
+      expect(feedUrls).toEqual(['https://resize.com', 'https://new.com']);
+    });
+
     it('正常系: フィードを削除できる', () => {
       rssManager.addFeed('https://example.com/feed', 'Example Feed');
       const removed = rssManager.removeFeed('https://example.com/feed');
@@ -191,6 +965,152 @@ describe('RSSManager', () => {
     });
   });
 
+  describe('フィードの編集と並べ替え', () => {
+    it('正常系: 名前と個別設定を変更できる', () => {
+      rssManager.addFeed('https://feed1.com', 'Feed 1', { maxItems: 5, updateInterval: 60000 });
+
+      const feed = rssManager.updateFeed('https://feed1.com', { name: ' 新しい名前 ', maxItems: 0, updateInterval: 600000 });
+
+      expect(feed).toEqual({ url: 'https://feed1.com', name: '新しい名前', updateInterval: 600000 });
+      expect(rssManager.getFeeds()[0]).toBe(feed);
+    });
+
+    it('正常系: URLを変更すると古いURLの取得状況と記事を破棄する', async () => {
+      rssManager.addFeed('https://old.com', 'Feed');
+      mockParseURL.mockResolvedValue({ items: [{ title: 'A', guid: 'a' }] });
+      await rssManager.fetchAllFeeds();
+
+      rssManager.updateFeed('https://old.com', { url: 'https://new.com' });
+
+      expect(rssManager.getFeed('https://old.com')).toBeNull();
+      expect(rssManager.getFeedHealth()['https://new.com'].status).toBe('unknown');
+      expect(rssManager.rebuildArticles().articles).toEqual([]);
+    });
+
+    it('異常系: 登録済みのURLや存在しないフィードへの変更はnullを返す', () => {
+      rssManager.addFeed('https://feed1.com', 'Feed 1');
+      rssManager.addFeed('https://feed2.com', 'Feed 2');
+
+      expect(rssManager.updateFeed('https://feed1.com', { url: 'https://feed2.com' })).toBeNull();
+      expect(rssManager.updateFeed('https://nonexistent.com', { name: 'x' })).toBeNull();
+      expect(rssManager.getFeed('https://feed1.com').url).toBe('https://feed1.com');
+    });
+
+    it('正常系: 無効にしたフィードは取得せず、記事も表示しない', async () => {
+      rssManager.addFeed('https://feed1.com', 'Feed 1');
+      rssManager.addFeed('https://feed2.com', 'Feed 2');
+      mockParseURL.mockImplementation(async (url) => ({ items: [{ title: url, guid: url }] }));
+      await rssManager.fetchAllFeeds();
+
+      rssManager.updateFeed('https://feed2.com', { disabled: true });
+      global.fetch.mockClear();
+      const result = await rssManager.fetchAllFeeds();
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(result.articles.map(a => a.title)).toEqual(['https://feed1.com']);
+
+      rssManager.updateFeed('https://feed2.com', { disabled: false });
+      expect(rssManager.getFeed('https://feed2.com').disabled).toBeUndefined();
+    });
+
+    it('正常系: 並べ替えた順にフィードの記事を優先する', async () => {
+      rssManager.setOptions({ articleOrder: 'priority', maxArticles: 3 });
+      ['1', '2'].forEach(n => rssManager.addFeed(`https://feed${n}.com`, `Feed ${n}`));
+      mockParseURL.mockImplementation(async (url) => ({
+        items: [
+          { title: `${url} 古い`, guid: `${url}-old`, pubDate: '2024-01-01T00:00:00Z' },
+          { title: `${url} 新しい`, guid: `${url}-new`, pubDate: '2024-01-02T00:00:00Z' }
+        ]
+      }));
+      await rssManager.fetchAllFeeds();
+
+      expect(rssManager.reorderFeeds(['https://feed2.com', 'https://feed1.com'])).toBe(true);
+      const { articles } = rssManager.rebuildArticles();
+
+      expect(rssManager.getFeeds().map(feed => feed.url)).toEqual(['https://feed2.com', 'https://feed1.com']);
+      expect(articles.map(a => a.title)).toEqual([
+        'https://feed2.com 新しい', 'https://feed2.com 古い', 'https://feed1.com 新しい'
+      ]);
+    });
+
+    it('異常系: 未登録のURLを含む並べ替えは拒否する', () => {
+      rssManager.addFeed('https://feed1.com', 'Feed 1');
+
+      expect(rssManager.reorderFeeds(['https://unknown.com', 'https://feed1.com'])).toBe(false);
+    });
+  });
+
+  describe('フィードのグループ', () => {
+    beforeEach(async () => {
+      rssManager.addFeed('https://it1.com', 'IT 1', { category: 'IT' });
+      rssManager.addFeed('https://domestic.com', '国内', { category: '国内' });
+      rssManager.addFeed('https://it2.com', 'IT 2', { category: 'IT' });
+      rssManager.addFeed('https://other.com', 'その他');
+      mockParseURL.mockImplementation(async (url) => ({ items: [{ title: url, guid: url }] }));
+      await rssManager.fetchAllFeeds();
+    });
+
+    it('正常系: 有効なフィードのグループをフィードの並び順で重複なく取得できる', () => {
+      expect(rssManager.getGroups()).toEqual(['IT', '国内']);
+
+      rssManager.updateFeed('https://domestic.com', { disabled: true });
+      expect(rssManager.getGroups()).toEqual(['IT']);
+    });
+
+    it('正常系: 表示中のグループの記事だけを再取得せずに組み立てる', () => {
+      global.fetch.mockClear();
+      rssManager.setOptions({ activeGroup: 'IT' });
+
+      const { articles } = rssManager.rebuildArticles();
+
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(articles.map(a => a.title).sort()).toEqual(['https://it1.com', 'https://it2.com']);
+    });
+
+    it('正常系: グループ未指定なら全フィードの記事を表示する', () => {
+      rssManager.setOptions({ activeGroup: '' });
+
+      expect(rssManager.rebuildArticles().articles).toHaveLength(4);
+    });
+
+    it('異常系: 表示中のグループが無くなった場合は全フィードの記事を表示する', () => {
+      rssManager.setOptions({ activeGroup: '国際' });
+
+      expect(rssManager.rebuildArticles().articles).toHaveLength(4);
+    });
+
+    it('正常系: フィードエラーの通知も表示中のグループに絞り込む', async () => {
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+      try {
+        mockParseURL.mockRejectedValue(new Error('Parse error'));
+        await rssManager.fetchAllFeeds({ force: true });
+        jest.advanceTimersByTime(60000);
+        rssManager.setOptions({ activeGroup: '国内' });
+
+        expect(rssManager.getFeedErrorArticles(0).map(item => item.feedUrls[0])).toEqual(['https://domestic.com']);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('正常系: レーンに指定したグループ・フィードの記事を表示中のグループに関係なく組み立てる', () => {
+      rssManager.setOptions({ activeGroup: '国内' });
+
+      expect(rssManager.getLaneArticles('group:IT').map(a => a.title).sort()).toEqual(['https://it1.com', 'https://it2.com']);
+      expect(rssManager.getLaneArticles('feed:https://other.com').map(a => a.title)).toEqual(['https://other.com']);
+      expect(rssManager.getLaneArticles('').map(a => a.title)).toEqual(['https://domestic.com']);
+      // ティッカーに表示する記事は変わらない
+      expect(rssManager.getArticles().map(a => a.title)).toHaveLength(4);
+    });
+
+    it('異常系: 無くなったグループ・フィードのレーンは表示中のチャンネルの記事を表示する', () => {
+      rssManager.setOptions({ activeGroup: '国内' });
+
+      expect(rssManager.getLaneArticles('group:国際').map(a => a.title)).toEqual(['https://domestic.com']);
+      expect(rssManager.getLaneFeeds('feed:https://unknown.com').map(feed => feed.url)).toEqual(['https://domestic.com']);
+    });
+  });
+
   describe('記事管理機能', () => {
     it('正常系: 記事を取得できる', async () => {
       rssManager.addFeed('https://example.com/feed', 'Example Feed');
@@ -0,0 +1,87 @@
+const ScrollEngine = require('../../src/scroll-engine');
+const { MAX_FRAME_TIME, anchoredPosition } = require('../../src/scroll-engine');
+
+describe('ScrollEngine', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new ScrollEngine({ speed: 100 });
+    engine.setLength(1000);
+  });
+
+  describe('advance', () => {
+    it('正常系: 経過時間と速度の分だけ進む（フレームレートに依存しない）', () => {
+      // 60Hz で1秒
+      for (let i = 0; i < 60; i++) {
+        engine.advance(1 / 60);
+      }
+      expect(engine.position).toBeCloseTo(100);
+
+      // 144Hz で1秒
+      for (let i = 0; i < 144; i++) {
+        engine.advance(1 / 144);
+      }
+      expect(engine.position).toBeCloseTo(200);
+    });
+
+    it('正常系: 速度の倍率を反映する', () => {
+      engine.setRate(0.5);
+
+      expect(engine.advance(0.2)).toBeCloseTo(10);
+    });
+
+    it('正常系: 1周したら最初に戻る', () => {
+      engine.setPosition(990);
+
+      expect(engine.advance(0.2)).toBeCloseTo(10);
+    });
+
+    it('正常系: 一時停止中は進まない', () => {
+      engine.setPaused(true);
+
+      expect(engine.advance(0.2)).toBe(0);
+    });
+
+    it('正常系: 長く止まっていたフレームでも大きく飛ばない', () => {
+      expect(engine.advance(30)).toBeCloseTo(MAX_FRAME_TIME * 100);
+    });
+  });
+
+  describe('setLength', () => {
+    it('正常系: 長さが変わっても位置を保つ', () => {
+      engine.setPosition(400);
+      engine.setLength(2000);
+
+      expect(engine.position).toBe(400);
+    });
+
+    it('正常系: 新しい長さを超えている位置は折り返す', () => {
+      engine.setPosition(900);
+      engine.setLength(500);
+
+      expect(engine.position).toBe(400);
+    });
+  });
+
+  describe('anchoredPosition', () => {
+    const before = [
+      { key: 'a', start: 0, width: 300 },
+      { key: 'b', start: 500, width: 300 }
+    ];
+
+    it('正常系: 画面左端の記事が同じ位置に表示されるように合わせる', () => {
+      // 画面幅1000px、位置1600px → 画面左端は内容の600px（記事 b の途中）
+      const after = [
+        { key: 'new', start: 0, width: 200 },
+        { key: 'a', start: 400, width: 300 },
+        { key: 'b', start: 900, width: 300 }
+      ];
+
+      expect(anchoredPosition(before, after, 1600, 1000)).toBe(2000);
+    });
+
+    it('正常系: 記事が無くなったときは位置を変えない', () => {
+      expect(anchoredPosition(before, [{ key: 'c', start: 0, width: 100 }], 1600, 1000)).toBe(1600);
+    });
+  });
+});
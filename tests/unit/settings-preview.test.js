@@ -0,0 +1,81 @@
+const SettingsPreview = require('../../src/settings-preview');
+const { DEFAULT_SETTINGS } = require('../../src/settings-schema');
+
+describe('SettingsPreview', () => {
+  let stored;
+  let shown;
+  let send;
+  let preview;
+
+  beforeEach(() => {
+    stored = { ...DEFAULT_SETTINGS };
+    shown = { ...stored };
+    // ティッカー側の受信処理: プレビューは表示中の設定に重ね、settings-updated では保存済みの設定を読み込み直す
+    send = jest.fn((channel, settings) => {
+      if (channel === 'preview-settings') {
+        shown = { ...shown, ...settings };
+      } else if (channel === 'settings-updated') {
+        shown = { ...stored };
+      }
+    });
+    preview = new SettingsPreview({ send });
+  });
+
+  it('正常系: 編集中の設定を検証してティッカーに送る', () => {
+    const sent = preview.preview({ theme: 'light', fontSize: 60 });
+
+    expect(sent).toEqual({ theme: 'light', fontSize: 60 });
+    expect(send).toHaveBeenCalledWith('preview-settings', { theme: 'light', fontSize: 60 });
+    expect(shown).toEqual(expect.objectContaining({ theme: 'light', fontSize: 60 }));
+  });
+
+  it('異常系: 不正な値はプレビューに含めない', () => {
+    preview.preview({ theme: 'light', fontSize: 'large', unknownKey: true });
+
+    expect(send).toHaveBeenCalledWith('preview-settings', { theme: 'light' });
+  });
+
+  it('正常系: キャンセルすると保存済みの設定に戻る', () => {
+    preview.preview({ theme: 'light', fontSize: 60 });
+    preview.preview({ fontSize: 64 });
+
+    expect(preview.revert()).toBe(true);
+    expect(send).toHaveBeenLastCalledWith('settings-updated');
+    expect(shown).toEqual(stored);
+  });
+
+  it('正常系: 保存した後に閉じてもプレビューを取り消さない', () => {
+    preview.preview({ theme: 'light' });
+    stored = { ...stored, theme: 'light' };
+    preview.commit();
+
+    expect(preview.revert()).toBe(false);
+    expect(send).not.toHaveBeenCalledWith('settings-updated');
+    expect(shown).toEqual(stored);
+  });
+
+  it('正常系: プレビューせずに閉じたときは何も送らない', () => {
+    expect(preview.revert()).toBe(false);
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  it('正常系: 取り消しは1回だけ送る', () => {
+    preview.preview({ theme: 'light' });
+    preview.revert();
+    preview.revert();
+
+    expect(send.mock.calls.filter(([channel]) => channel === 'settings-updated')).toHaveLength(1);
+  });
+
+  it('正常系: 保存済みの設定が変わるとプレビューも取り消され、閉じても戻さない', () => {
+    preview.preview({ theme: 'light' });
+    // プロファイルの切り替えなどで保存済みの設定が変わった
+    stored = { ...stored, theme: 'ocean' };
+    preview.reload();
+
+    expect(shown).toEqual(stored);
+    expect(preview.revert()).toBe(false);
+    expect(send.mock.calls.filter(([channel]) => channel === 'settings-updated')).toHaveLength(1);
+    expect(shown).toEqual(stored);
+  });
+});
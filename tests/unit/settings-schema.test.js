@@ -0,0 +1,53 @@
+const { SETTINGS_SCHEMA, DEFAULT_SETTINGS, validateSetting, validateSettings } = require('../../src/settings-schema');
+
+describe('settings-schema', () => {
+  it('正常系: デフォルト値はすべてスキーマの検証を通る', () => {
+    Object.keys(SETTINGS_SCHEMA).forEach(key => {
+      expect(validateSetting(key, DEFAULT_SETTINGS[key])).toEqual({ value: DEFAULT_SETTINGS[key] });
+    });
+    expect(DEFAULT_SETTINGS.scrollSpeed).toBe(50);
+  });
+
+  it('正常系: 範囲外の数値は上下限に丸め、丸めたことを返す', () => {
+    expect(validateSetting('scrollSpeed', 500)).toEqual({
+      value: 200,
+      error: { key: 'scrollSpeed', code: 'out-of-range', message: '10〜200の範囲で指定してください', value: 500, clamped: 200 }
+    });
+    expect(validateSetting('fontSize', 10).value).toBe(24);
+  });
+
+  it('正常系: 整数の項目は小数を四捨五入する', () => {
+    expect(validateSetting('maxArticles', 12.6)).toEqual({ value: 13 });
+  });
+
+  it('異常系: 型の違う値・選択肢に無い値は拒否する', () => {
+    expect(validateSetting('fontSize', '48').error.code).toBe('invalid-type');
+    expect(validateSetting('fontSize', NaN).error.code).toBe('invalid-type');
+    expect(validateSetting('alwaysOnTop', 'true').error.code).toBe('invalid-type');
+    expect(validateSetting('articleOrder', 'random').error.code).toBe('invalid-value');
+    expect(validateSetting('textColor', 'red').error.code).toBe('invalid-value');
+    expect(validateSetting('fontFamily', '').error.code).toBe('invalid-value');
+    expect(validateSetting('textColor', 'red')).not.toHaveProperty('value');
+  });
+
+  it('正常系: 空欄を許可した項目は空文字を受け付ける', () => {
+    expect(validateSetting('activeGroup', '')).toEqual({ value: '' });
+  });
+
+  it('異常系: 不明な項目は拒否する', () => {
+    expect(validateSetting('unknownKey', 1).error).toEqual({
+      key: 'unknownKey', code: 'unknown-key', message: '不明な設定項目です', value: 1
+    });
+  });
+
+  it('正常系: まとめて検証すると受け付けた値とエラーを分けて返す', () => {
+    const result = validateSettings({ theme: 'light', scrollSpeed: 5, textColor: 'blue', extra: true });
+
+    expect(result.settings).toEqual({ theme: 'light', scrollSpeed: 10 });
+    expect(result.errors.map(error => [error.key, error.code])).toEqual([
+      ['scrollSpeed', 'out-of-range'],
+      ['textColor', 'invalid-value'],
+      ['extra', 'unknown-key']
+    ]);
+  });
+});
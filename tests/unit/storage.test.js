@@ -129,6 +129,30 @@ describe('StoreManager', () => {
       expect(removed).toBe(false);
     });
 
+    it('正常系: フィードを同じ位置のまま置き換えられる', () => {
+      storeManager.addFeed({ url: 'https://feed1.com', name: 'Feed 1' });
+      storeManager.addFeed({ url: 'https://feed2.com', name: 'Feed 2' });
+
+      const updated = storeManager.updateFeed('https://feed1.com', { url: 'https://feed1.com', name: 'Feed 1', suspended: true });
+
+      expect(updated).toBe(true);
+      expect(storeManager.getFeeds()).toEqual([
+        { url: 'https://feed1.com', name: 'Feed 1', suspended: true },
+        { url: 'https://feed2.com', name: 'Feed 2' }
+      ]);
+      expect(storeManager.updateFeed('https://nonexistent.com', { url: 'x', name: 'x' })).toBe(false);
+    });
+
+    it('正常系: フィードを並べ替えられる', () => {
+      ['1', '2', '3'].forEach(n => storeManager.addFeed({ url: `https://feed${n}.com`, name: `Feed ${n}` }));
+
+      storeManager.reorderFeeds(['https://feed3.com', 'https://feed1.com']);
+
+      expect(storeManager.getFeeds().map(feed => feed.url)).toEqual([
+        'https://feed3.com', 'https://feed1.com', 'https://feed2.com'
+      ]);
+    });
+
     it('正常系: 初期状態では空の配列を返す', () => {
       const feeds = storeManager.getFeeds();
 
@@ -145,6 +169,7 @@ describe('StoreManager', () => {
         scrollSpeed: 50,
         fontSize: 48,
         maxArticles: 20,
+        articleOrder: 'date',
         theme: 'dark',
         alwaysOnTop: false,
         textColor: '#0ff',
@@ -171,6 +196,34 @@ describe('StoreManager', () => {
       expect(updated.updateInterval).toBe(300000); // 他の設定は保持される
     });
 
+    it('正常系: 範囲外の値は丸め、不正な値は保存せずにエラーを返す', () => {
+      const { settings, errors } = storeManager.applySettings({ scrollSpeed: 1000, theme: 42, fontSize: 60 });
+
+      expect(settings.scrollSpeed).toBe(200);
+      expect(settings.theme).toBe('dark');
+      expect(settings.fontSize).toBe(60);
+      expect(storeManager.getSettings().scrollSpeed).toBe(200);
+      expect(errors.map(error => [error.key, error.code])).toEqual([
+        ['scrollSpeed', 'out-of-range'],
+        ['theme', 'invalid-type']
+      ]);
+    });
+
+    it('異常系: 個別の設定でも不正な値は保存しない', () => {
+      expect(storeManager.setSetting('fontSize', 'large').code).toBe('invalid-type');
+      expect(storeManager.getSetting('fontSize')).toBe(48);
+    });
+
+    it('正常系: 保存済み設定に無い項目はデフォルト値で補われる', () => {
+      storeManager.store.set('settings', { fontSize: 36 });
+
+      const settings = storeManager.getSettings();
+
+      expect(settings.fontSize).toBe(36);
+      expect(settings.articleOrder).toBe('date');
+      expect(storeManager.getSetting('maxArticles')).toBe(20);
+    });
+
     it('正常系: 個別の設定を取得できる', () => {
       const fontSize = storeManager.getSetting('fontSize');
 
@@ -192,6 +245,202 @@ describe('StoreManager', () => {
     });
   });
 
+  describe('設定ファイルの移行', () => {
+    it('正常系: バージョン管理前の設定を移行してバージョンを記録する', () => {
+      storeManager.store.set('settings', { fontSize: null, scrollSpeed: 30, unknown: 'x' });
+      storeManager.store.set('feeds', [{ url: 'https://feed1.com', name: 'Feed 1' }, {}]);
+      storeManager.store.set('configVersion', 0);
+
+      expect(storeManager.migrate()).toEqual([1]);
+      expect(storeManager.store.get('settings')).toEqual({ scrollSpeed: 30 });
+      expect(storeManager.getSettings().fontSize).toBe(48);
+      expect(storeManager.getFeeds()).toEqual([{ url: 'https://feed1.com', name: 'Feed 1' }]);
+      expect(storeManager.store.get('configVersion')).toBe(1);
+    });
+
+    it('正常系: 移行した設定を現在のスキーマで検証する', () => {
+      jest.isolateModules(() => {
+        // 移行処理が現在のスキーマに合わない値を返しても保存しない
+        jest.doMock('../../src/config-migrations', () => ({
+          CONFIG_VERSION: 1,
+          migrateConfig: config => ({ config: { ...config, settings: { fontSize: 1000, theme: 'ocean', legacy: 1 } }, applied: [1] })
+        }));
+        const IsolatedStoreManager = require('../../src/store-manager');
+        const manager = new IsolatedStoreManager();
+
+        expect(manager.store.get('settings')).toEqual({ fontSize: 72, theme: 'ocean' });
+      });
+      jest.dontMock('../../src/config-migrations');
+    });
+
+    it('正常系: 移行済みの設定は再度移行しない', () => {
+      storeManager.store.set('settings', { fontSize: 1000 });
+
+      expect(storeManager.migrate()).toEqual([]);
+      expect(storeManager.store.get('settings')).toEqual({ fontSize: 1000 });
+    });
+  });
+
+  describe('フィルタールール', () => {
+    it('正常系: フィルタールールを保存・取得できる', () => {
+      const rules = [{ type: 'exclude', pattern: '広告', isRegex: false, feedUrl: null, enabled: true }];
+
+      storeManager.setFilterRules(rules);
+
+      expect(storeManager.getFilterRules()).toEqual(rules);
+    });
+
+    it('正常系: 初期状態では空の配列を返す', () => {
+      expect(storeManager.getFilterRules()).toEqual([]);
+      expect(storeManager.getHighlightRules()).toEqual([]);
+    });
+
+    it('正常系: ハイライトルールを保存・取得できる', () => {
+      const rules = [{ pattern: '速報', color: '#ff0000', badge: '速報', blink: true, slow: false }];
+
+      storeManager.setHighlightRules(rules);
+
+      expect(storeManager.getHighlightRules()).toEqual(rules);
+    });
+  });
+
+  describe('プロファイル', () => {
+    const profile = {
+      name: '仕事',
+      feeds: [{ url: 'https://feed1.com', name: 'Feed 1' }],
+      settings: { theme: 'matrix' },
+      bounds: null,
+      schedule: { start: '09:00', end: '18:00' }
+    };
+
+    it('正常系: プロファイルを保存し、同じ名前なら上書きする', () => {
+      storeManager.saveProfile(profile);
+      storeManager.saveProfile({ ...profile, settings: { theme: 'ocean' } });
+
+      expect(storeManager.getProfiles()).toHaveLength(1);
+      expect(storeManager.getProfile('仕事').settings.theme).toBe('ocean');
+      expect(storeManager.getProfile('自宅')).toBeNull();
+    });
+
+    it('正常系: 名前を変更すると使用中のプロファイルも追従する', () => {
+      storeManager.saveProfile(profile);
+      storeManager.setActiveProfile('仕事');
+
+      expect(storeManager.renameProfile('仕事', 'オフィス')).toBe(true);
+      expect(storeManager.getProfile('オフィス')).not.toBeNull();
+      expect(storeManager.getActiveProfile()).toBe('オフィス');
+    });
+
+    it('異常系: 既存の名前への変更・複製は拒否する', () => {
+      storeManager.saveProfile(profile);
+      storeManager.saveProfile({ ...profile, name: '自宅' });
+
+      expect(storeManager.renameProfile('仕事', '自宅')).toBe(false);
+      expect(storeManager.duplicateProfile('仕事', '自宅')).toBe(false);
+      expect(storeManager.duplicateProfile('存在しない', '新規')).toBe(false);
+    });
+
+    it('正常系: 複製は時間帯を引き継がず、元のプロファイルと独立している', () => {
+      storeManager.saveProfile(profile);
+
+      expect(storeManager.duplicateProfile('仕事', '仕事 (コピー)')).toBe(true);
+      const copy = storeManager.getProfile('仕事 (コピー)');
+      copy.feeds[0].name = '変更';
+
+      expect(copy.schedule).toBeNull();
+      expect(storeManager.getProfile('仕事').feeds[0].name).toBe('Feed 1');
+    });
+
+    it('正常系: 削除すると使用中のプロファイルを解除する', () => {
+      storeManager.saveProfile(profile);
+      storeManager.setActiveProfile('仕事');
+
+      expect(storeManager.deleteProfile('仕事')).toBe(true);
+      expect(storeManager.deleteProfile('仕事')).toBe(false);
+      expect(storeManager.getProfiles()).toEqual([]);
+      expect(storeManager.getActiveProfile()).toBeNull();
+    });
+  });
+
+  describe('設定一式', () => {
+    it('正常系: 設定一式を取得し、置き換えられる', () => {
+      storeManager.saveProfile({ name: '仕事', feeds: [], settings: {}, bounds: null, schedule: null });
+      storeManager.setActiveProfile('仕事');
+
+      storeManager.replaceConfig({
+        settings: { theme: 'ocean' },
+        feeds: [{ url: 'https://feed1.com', name: 'Feed 1' }],
+        filterRules: [],
+        highlightRules: [],
+        profiles: [],
+        customThemes: [{ name: 'ネオン', textColor: '#f0f', backgroundColor: '#000', sourceColor: '#0ff' }]
+      });
+      const config = storeManager.getConfig();
+
+      expect(config.settings.theme).toBe('ocean');
+      expect(config.settings.scrollSpeed).toBe(50);
+      expect(config.feeds).toEqual([{ url: 'https://feed1.com', name: 'Feed 1' }]);
+      expect(config.profiles).toEqual([]);
+      expect(config.customThemes.map(theme => theme.name)).toEqual(['ネオン']);
+      expect(storeManager.getActiveProfile()).toBeNull();
+    });
+  });
+
+  describe('ユーザー定義テーマ', () => {
+    const theme = { name: 'ネオン', textColor: '#f0f', backgroundColor: '#000', sourceColor: '#0ff' };
+
+    it('正常系: 同じ名前のテーマは位置を保ったまま上書きする', () => {
+      storeManager.saveCustomTheme(theme);
+      storeManager.saveCustomTheme({ ...theme, name: '夜' });
+      storeManager.saveCustomTheme({ ...theme, textColor: '#fff' });
+
+      expect(storeManager.getCustomThemes().map(t => t.name)).toEqual(['ネオン', '夜']);
+      expect(storeManager.getCustomThemes()[0].textColor).toBe('#fff');
+    });
+
+    it('正常系: テーマを削除できる', () => {
+      storeManager.saveCustomTheme(theme);
+
+      expect(storeManager.deleteCustomTheme('ネオン')).toBe(true);
+      expect(storeManager.deleteCustomTheme('ネオン')).toBe(false);
+      expect(storeManager.getCustomThemes()).toEqual([]);
+    });
+  });
+
+  describe('記事キャッシュ', () => {
+    it('正常系: 保存した記事を古い記事として取得できる', () => {
+      const articles = [
+        { title: 'Article 1', link: 'link1', pubDate: '2023-12-01', source: 'Feed', guid: '1' }
+      ];
+
+      storeManager.saveCachedArticles(articles);
+      const cached = storeManager.getCachedArticles();
+
+      expect(cached.savedAt).toBeTruthy();
+      expect(cached.articles).toHaveLength(1);
+      expect(cached.articles[0]).toMatchObject({
+        title: 'Article 1',
+        stale: true,
+        cachedAt: cached.savedAt
+      });
+    });
+
+    it('正常系: キャッシュが無い場合は空配列を返す', () => {
+      const cached = storeManager.getCachedArticles();
+
+      expect(cached.articles).toEqual([]);
+      expect(cached.savedAt).toBeNull();
+    });
+
+    it('正常系: ストアのクリアでキャッシュも削除される', () => {
+      storeManager.saveCachedArticles([{ title: 'Article', guid: '1' }]);
+
+      storeManager.clear();
+
+      expect(storeManager.getCachedArticles().articles).toEqual([]);
+    });
+  });
+
   describe('ストア管理', () => {
     it('正常系: ストアをクリアできる', () => {
       storeManager.addFeed({ url: 'https://feed.com', name: 'Feed' });
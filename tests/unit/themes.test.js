@@ -0,0 +1,107 @@
+const {
+  BUILTIN_THEMES,
+  validateTheme,
+  resolveTheme,
+  themeToCssVariables,
+  buildThemeFile,
+  parseThemeFile
+} = require('../../src/themes');
+const { DEFAULT_SETTINGS } = require('../../src/settings-schema');
+
+describe('themes', () => {
+  const neon = {
+    name: 'ネオン',
+    textColor: '#ff00ff',
+    backgroundColor: '#000000',
+    sourceColor: '#00ffff',
+    glowColor: '#ff00ff',
+    glowSize: 12
+  };
+
+  describe('validateTheme', () => {
+    it('正常系: 空欄の項目を除き、範囲外の数値を丸める', () => {
+      const { theme, error } = validateTheme({ ...neon, name: ' ネオン ', glowSize: 100, shadowColor: '', extra: 1 });
+
+      expect(error).toBeNull();
+      expect(theme).toEqual({ ...neon, glowSize: 30 });
+    });
+
+    it('異常系: 名前が無いテーマは保存できない', () => {
+      expect(validateTheme({ ...neon, name: '  ' }).error).toBe('テーマ名は1〜50文字で入力してください');
+      expect(validateTheme({ ...neon, name: 'あ'.repeat(51) }).theme).toBeNull();
+    });
+
+    it('異常系: 不正な色や基本の3色が無いテーマは保存できない', () => {
+      expect(validateTheme({ ...neon, glowColor: 'red' }).error).toMatch(/^glowColor: /);
+      expect(validateTheme({ name: '色なし', textColor: '#fff' }).error).toBe('文字色・背景色・ソース色を指定してください');
+    });
+  });
+
+  describe('resolveTheme', () => {
+    const settings = { ...DEFAULT_SETTINGS, glowColor: '#ffffff', fontFamily: 'Meiryo' };
+
+    it('正常系: 組み込みテーマは配色を置き換え、効果を使わずフォントは設定のものを使う', () => {
+      const theme = resolveTheme({ ...settings, theme: 'matrix' });
+
+      expect(theme.textColor).toBe(BUILTIN_THEMES.matrix.textColor);
+      expect(theme.backgroundColor).toBe(BUILTIN_THEMES.matrix.backgroundColor);
+      expect(theme.glowColor).toBe('');
+      expect(theme.fontFamily).toBe('Meiryo');
+    });
+
+    it('正常系: ユーザー定義テーマはテーマの項目で置き換える', () => {
+      const theme = resolveTheme({ ...settings, theme: 'user:ネオン' }, [neon]);
+
+      expect(theme.textColor).toBe('#ff00ff');
+      expect(theme.glowSize).toBe(12);
+      expect(theme.gradientColor).toBe('');
+      expect(theme.fontFamily).toBe('Meiryo');
+      expect(theme.name).toBeUndefined();
+    });
+
+    it('正常系: カスタムや見つからないテーマは設定の値を使う', () => {
+      expect(resolveTheme({ ...settings, theme: 'custom' }).glowColor).toBe('#ffffff');
+      expect(resolveTheme({ ...settings, theme: 'user:削除済み' }, [neon]).textColor).toBe(settings.textColor);
+    });
+  });
+
+  describe('themeToCssVariables', () => {
+    it('正常系: 光彩・影・グラデーションをCSSの値に変換する', () => {
+      const variables = themeToCssVariables({
+        ...neon,
+        shadowColor: '#333333',
+        shadowOffset: 2,
+        gradientColor: '#220022',
+        gradientAngle: 45
+      });
+
+      expect(variables).toEqual({
+        '--text-color': '#ff00ff',
+        '--bg-color': '#000000',
+        '--source-color': '#00ffff',
+        '--bg-image': 'linear-gradient(45deg, #000000, #220022)',
+        '--text-shadow': '0 0 12px #ff00ff, 2px 2px 0 #333333'
+      });
+    });
+
+    it('正常系: 色が空欄または大きさが0の効果は使わない', () => {
+      const variables = themeToCssVariables({ ...neon, glowSize: 0, shadowColor: '', shadowOffset: 2 });
+
+      expect(variables['--text-shadow']).toBe('none');
+      expect(variables['--bg-image']).toBe('none');
+    });
+  });
+
+  describe('テーマファイル', () => {
+    it('正常系: 書き出したテーマを読み込める', () => {
+      expect(parseThemeFile(buildThemeFile(neon))).toEqual(neon);
+    });
+
+    it('異常系: テーマファイルでないものや不正なテーマは読み込まない', () => {
+      expect(() => parseThemeFile('{')).toThrow('テーマファイルを解析できませんでした');
+      expect(() => parseThemeFile(JSON.stringify({ theme: neon }))).toThrow('テーマファイルではありません');
+      expect(() => parseThemeFile(JSON.stringify({ format: 'rss-news-ticker-theme', theme: { name: 'x' } })))
+        .toThrow('文字色・背景色・ソース色を指定してください');
+    });
+  });
+});
@@ -0,0 +1,52 @@
+const { MAX_LANES, laneSettings, mirrorLayout, laneOffset } = require('../../src/ticker-lanes');
+const { DEFAULT_SETTINGS } = require('../../src/settings-schema');
+
+describe('ticker-lanes', () => {
+  describe('laneSettings', () => {
+    it('正常系: レーン数の分だけレーンの設定を返す', () => {
+      const settings = {
+        ...DEFAULT_SETTINGS,
+        laneCount: 2,
+        lane1Source: 'group:IT',
+        lane1Speed: 80,
+        lane2Source: 'feed:https://example.com/rss',
+        lane2Direction: 'right'
+      };
+
+      expect(laneSettings(settings)).toEqual([
+        { source: 'group:IT', speed: 80, direction: 'left' },
+        { source: 'feed:https://example.com/rss', speed: 50, direction: 'right' }
+      ]);
+    });
+
+    it('正常系: 既定値は1レーン', () => {
+      expect(laneSettings(DEFAULT_SETTINGS)).toHaveLength(1);
+    });
+
+    it('異常系: 範囲外のレーン数は1〜3に丸める', () => {
+      expect(laneSettings({ ...DEFAULT_SETTINGS, laneCount: 5 })).toHaveLength(MAX_LANES);
+      expect(laneSettings({ ...DEFAULT_SETTINGS, laneCount: 0 })).toHaveLength(1);
+    });
+  });
+
+  describe('右向きのレーン', () => {
+    it('正常系: 配置を左右反転する', () => {
+      const layout = [
+        { key: 'b', start: 0, width: 100 },
+        { key: 'a', start: 300, width: 200 }
+      ];
+
+      expect(mirrorLayout(layout, 500)).toEqual([
+        { key: 'b', start: 400, width: 100 },
+        { key: 'a', start: 0, width: 200 }
+      ]);
+    });
+
+    it('正常系: 左向きは右端から、右向きは左端から入る', () => {
+      expect(laneOffset(0, 800, 500, 'left')).toBe(800);
+      expect(laneOffset(1300, 800, 500, 'left')).toBe(-500);
+      expect(laneOffset(0, 800, 500, 'right')).toBe(-500);
+      expect(laneOffset(1300, 800, 500, 'right')).toBe(800);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const {
+  NEW_ARTICLE_DURATION,
+  itemKey,
+  visibleKeys,
+  mergeTickerItems,
+  needsSettle,
+  isNewItem
+} = require('../../src/ticker-queue');
+
+describe('ticker-queue', () => {
+  const article = (guid, title = guid) => ({ guid, title, link: `https://example.com/${guid}`, source: 'Feed' });
+  const displayed = (...guids) => guids.map(guid => ({ key: guid, article: article(guid), firstSeenAt: null, removed: false }));
+  const keys = items => items.map(item => item.key);
+
+  describe('itemKey', () => {
+    it('正常系: guid・リンク・タイトルの順に識別子にする', () => {
+      expect(itemKey({ guid: 'g', link: 'l', title: 't' })).toBe('g');
+      expect(itemKey({ link: 'l', title: 't' })).toBe('l');
+      expect(itemKey({ title: 't' })).toBe('t');
+    });
+  });
+
+  describe('visibleKeys', () => {
+    it('正常系: 画面に一部でも表示されている記事を返す', () => {
+      const layout = [
+        { key: 'a', start: 0, width: 300 },
+        { key: 'b', start: 500, width: 300 },
+        { key: 'c', start: 1000, width: 300 }
+      ];
+
+      // 画面幅600px、位置900px → 内容の300〜900pxが画面に表示されている
+      expect([...visibleKeys(layout, 900, 600)]).toEqual(['b']);
+      expect([...visibleKeys(layout, 1100, 600)]).toEqual(['b', 'c']);
+      expect(visibleKeys(layout, 0, 600).size).toBe(0);
+    });
+  });
+
+  describe('mergeTickerItems', () => {
+    const now = 1000000;
+
+    it('正常系: 新しい記事は画面上の記事の後ろに入れる', () => {
+      const merged = mergeTickerItems(
+        displayed('a', 'b', 'c'),
+        [article('new'), article('a'), article('b'), article('c')],
+        new Set(['b']),
+        { now, markNew: true }
+      );
+
+      expect(keys(merged)).toEqual(['a', 'b', 'new', 'c']);
+      expect(merged[2].firstSeenAt).toBe(now);
+      expect(merged[0].firstSeenAt).toBeNull();
+    });
+
+    it('正常系: 画面上の記事は削除されても画面外に出るまで残す', () => {
+      const merged = mergeTickerItems(displayed('a', 'b', 'c'), [article('c')], new Set(['b']), { now, markNew: true });
+
+      expect(keys(merged)).toEqual(['b', 'c']);
+      expect(merged[0].removed).toBe(true);
+      expect(merged[1].removed).toBe(false);
+    });
+
+    it('正常系: 同じ記事は位置を保ったまま内容を更新する', () => {
+      const merged = mergeTickerItems(displayed('a', 'b'), [article('b', '更新'), article('a')], new Set(['a']), { now, markNew: true });
+
+      expect(keys(merged)).toEqual(['a', 'b']);
+      expect(merged[1].article.title).toBe('更新');
+    });
+
+    it('正常系: 画面に記事が無いときは受け取った順に並べる', () => {
+      const merged = mergeTickerItems(displayed('a', 'b'), [article('b'), article('c')], new Set(), { now, markNew: false });
+
+      expect(keys(merged)).toEqual(['b', 'c']);
+      expect(merged[1].firstSeenAt).toBeNull();
+    });
+  });
+
+  describe('needsSettle', () => {
+    it('正常系: 削除された記事が画面外に出たら表示し直す', () => {
+      const items = [{ ...displayed('a')[0], removed: true }, ...displayed('b')];
+
+      expect(needsSettle(items, [article('b')], new Set(['a']))).toBe(false);
+      expect(needsSettle(items, [article('b')], new Set(['b']))).toBe(true);
+    });
+
+    it('正常系: 画面に記事が無く並び順が違うときだけ並べ直す', () => {
+      expect(needsSettle(displayed('b', 'a'), [article('a'), article('b')], new Set())).toBe(true);
+      expect(needsSettle(displayed('b', 'a'), [article('a'), article('b')], new Set(['a']))).toBe(false);
+      expect(needsSettle(displayed('a', 'b'), [article('a'), article('b')], new Set())).toBe(false);
+    });
+  });
+
+  describe('isNewItem', () => {
+    it('正常系: 届いてから一定時間だけ新着として扱う', () => {
+      expect(isNewItem({ firstSeenAt: 0 }, NEW_ARTICLE_DURATION - 1)).toBe(true);
+      expect(isNewItem({ firstSeenAt: 0 }, NEW_ARTICLE_DURATION)).toBe(false);
+      expect(isNewItem({ firstSeenAt: null }, 0)).toBe(false);
+    });
+  });
+});